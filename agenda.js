@@ -0,0 +1,114 @@
+// /agenda: pending tasks with an event_time in a date window, grouped by local day
+const { getZonedParts, zonedTimeToDate, toDateKey, getLocalDayRange } = require('./dates');
+
+function parseDateArgument(text, today) {
+    let year, month, day;
+
+    const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    // Day first, as written in Israel: 3/7, 3.7.25, 03/07/2025
+    const dayMonthMatch = text.match(/^(\d{1,2})[/.](\d{1,2})(?:[/.](\d{2}|\d{4}))?$/);
+
+    if (isoMatch) {
+        [year, month, day] = isoMatch.slice(1).map(Number);
+    } else if (dayMonthMatch) {
+        day = parseInt(dayMonthMatch[1]);
+        month = parseInt(dayMonthMatch[2]);
+        year = dayMonthMatch[3] ? parseInt(dayMonthMatch[3]) : today.year;
+        if (year < 100) {
+            year += 2000;
+        }
+    } else {
+        return null;
+    }
+
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+        return null;
+    }
+    return { year, month, day };
+}
+
+// "today" (default), "tomorrow", "week" or a date -> { label, start, end, includeOverdue };
+// null when the argument is not understood
+function parseAgendaRange(arg, now, timeZone) {
+    const text = (arg || 'today').trim().toLowerCase();
+    const today = getZonedParts(now, timeZone);
+    const todayKey = toDateKey(today);
+
+    let anchor = now;
+    let days = 1;
+    let label;
+
+    if (text === 'today') {
+        label = 'Today';
+    } else if (text === 'tomorrow') {
+        anchor = zonedTimeToDate(today.year, today.month, today.day + 1, 12, 0, timeZone);
+        label = 'Tomorrow';
+    } else if (text === 'week') {
+        days = 7;
+        label = 'Next 7 days';
+    } else {
+        const date = parseDateArgument(text, today);
+        if (!date) {
+            return null;
+        }
+        anchor = zonedTimeToDate(date.year, date.month, date.day, 12, 0, timeZone);
+        label = null;
+    }
+
+    const range = getLocalDayRange(anchor, timeZone, days);
+    return {
+        ...range,
+        label: label || range.dateKey,
+        // Overdue tasks are listed when the window starts today
+        includeOverdue: range.dateKey === todayKey
+    };
+}
+
+async function getAgendaTasks(pool, range) {
+    const dated = await pool.query(`
+        SELECT * FROM tasks
+        WHERE is_task = true AND status = 'pending'
+          AND event_time >= $1 AND event_time < $2
+        ORDER BY event_time, created_at
+    `, [range.start, range.end]);
+
+    const overdue = range.includeOverdue
+        ? await pool.query(`
+            SELECT * FROM tasks
+            WHERE is_task = true AND status = 'pending' AND event_time < $1
+            ORDER BY event_time
+        `, [range.start])
+        : { rows: [] };
+
+    const undated = await pool.query(`
+        SELECT * FROM tasks
+        WHERE is_task = true AND status = 'pending' AND event_time IS NULL
+        ORDER BY created_at DESC
+    `);
+
+    return {
+        overdue: overdue.rows,
+        dated: dated.rows,
+        undated: undated.rows
+    };
+}
+
+// Chronologically sorted tasks -> [{ dateKey, tasks }] by local day
+function groupTasksByDay(tasks, timeZone) {
+    const days = new Map();
+    for (const task of tasks) {
+        const dateKey = toDateKey(getZonedParts(new Date(task.event_time), timeZone));
+        if (!days.has(dateKey)) {
+            days.set(dateKey, []);
+        }
+        days.get(dateKey).push(task);
+    }
+    return [...days.entries()].map(([dateKey, dayTasks]) => ({ dateKey, tasks: dayTasks }));
+}
+
+module.exports = {
+    parseAgendaRange,
+    getAgendaTasks,
+    groupTasksByDay
+};
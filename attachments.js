@@ -0,0 +1,263 @@
+// Text from images and PDFs (invoices, school flyers, invitations) for task detection.
+// Extraction runs on local tools behind createTextExtractor(): pdftotext for PDFs with a
+// text layer, and OCR (tesseract) for images and scanned PDFs, whose pages are rendered
+// with pdftoppm first. The original file is kept in ATTACHMENT_DIR and described in
+// message_attachments, which a task saved from the message points to (attachment_id) so
+// the dashboard can show and download it; files no task points to are pruned after
+// ATTACHMENT_RETENTION_HOURS. Off unless ATTACHMENTS_ENABLED=true.
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// whatsapp-web.js message types that carry an attachment ('sticker' images are left out)
+const ATTACHMENT_MESSAGE_TYPES = ['image', 'document'];
+
+const ATTACHMENT_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf'
+};
+
+// A PDF with less text than this is treated as a scan and OCR'd
+const MIN_PDF_TEXT_LENGTH = 20;
+
+// env -> { enabled, ocrLanguages, tesseractPath, pdftotextPath, pdftoppmPath,
+// maxBytes, maxPages, maxChars, timeoutMs, dir, retentionHours }
+function resolveAttachmentConfig(env) {
+    const timeoutMs = parseInt(env.ATTACHMENT_TIMEOUT);
+
+    return {
+        enabled: env.ATTACHMENTS_ENABLED === 'true',
+        ocrLanguages: env.OCR_LANGUAGES || 'eng+heb',
+        tesseractPath: env.TESSERACT_PATH || 'tesseract',
+        pdftotextPath: env.PDFTOTEXT_PATH || 'pdftotext',
+        pdftoppmPath: env.PDFTOPPM_PATH || 'pdftoppm',
+        maxBytes: (parseFloat(env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024,
+        maxPages: parseInt(env.ATTACHMENT_MAX_PAGES) || 3,
+        // Extracted text sent to the LLM; a flyer's task is rarely past the first paragraphs
+        maxChars: parseInt(env.ATTACHMENT_MAX_CHARS) || 3000,
+        timeoutMs: isNaN(timeoutMs) || timeoutMs <= 0 ? 60000 : timeoutMs,
+        dir: path.resolve(env.ATTACHMENT_DIR || './attachments'),
+        // How long a file no task points to is kept, so retried detections can still link it
+        retentionHours: env.ATTACHMENT_RETENTION_HOURS !== undefined
+            ? Math.max(parseFloat(env.ATTACHMENT_RETENTION_HOURS) || 0, 0)
+            : 24
+    };
+}
+
+// "application/pdf" -> 'document', "image/jpeg" -> 'image', anything else -> null
+function getAttachmentKind(mimetype) {
+    const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+    if (type === 'application/pdf') {
+        return 'document';
+    }
+    return ATTACHMENT_EXTENSIONS[type] ? 'image' : null;
+}
+
+function getAttachmentExtension(mimetype) {
+    const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+    return ATTACHMENT_EXTENSIONS[type] || 'bin';
+}
+
+function isAttachmentMessage(message) {
+    return !!message && !!message.hasMedia && ATTACHMENT_MESSAGE_TYPES.includes(message.type);
+}
+
+// What whatsapp-web.js knows about the media before it is downloaded: { mimetype, size }
+// (null when unknown), so other file types and large files are never downloaded
+function getMessageMediaInfo(message) {
+    const data = (message && message._data) || {};
+    return {
+        mimetype: data.mimetype || null,
+        size: Number.isFinite(data.size) ? data.size : null
+    };
+}
+
+function cleanText(text) {
+    return String(text || '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+async function runOcr(config, file, execFileImpl) {
+    const { stdout } = await execFileImpl(config.tesseractPath,
+        [file, 'stdout', '-l', config.ocrLanguages],
+        { timeout: config.timeoutMs, maxBuffer: 10 * 1024 * 1024 });
+    return cleanText(stdout);
+}
+
+// The text layer of the first maxPages pages, or OCR of those pages for a scan
+async function extractPdfText(config, file, dir, execFileImpl) {
+    const { stdout } = await execFileImpl(config.pdftotextPath,
+        ['-layout', '-l', String(config.maxPages), file, '-'],
+        { timeout: config.timeoutMs, maxBuffer: 10 * 1024 * 1024 });
+    const text = cleanText(stdout);
+    if (text.length >= MIN_PDF_TEXT_LENGTH) {
+        return { text, method: 'pdf' };
+    }
+
+    await execFileImpl(config.pdftoppmPath,
+        ['-r', '200', '-png', '-l', String(config.maxPages), file, path.join(dir, 'page')],
+        { timeout: config.timeoutMs });
+    const pages = (await fs.readdir(dir)).filter(name => /^page-\d+\.png$/.test(name)).sort();
+    const texts = [];
+    for (const page of pages) {
+        texts.push(await runOcr(config, path.join(dir, page), execFileImpl));
+    }
+    return { text: texts.filter(Boolean).join('\n'), method: 'ocr' };
+}
+
+// -> { config, extract(media) -> { text, method: 'pdf'|'ocr' } }. media is a whatsapp-web.js
+// MessageMedia ({ mimetype, data: base64, filename }); the tools run in a temporary directory.
+function createTextExtractor(config, { execFile: execFileImpl = promisify(execFile) } = {}) {
+    return {
+        config,
+        async extract(media) {
+            const kind = getAttachmentKind(media.mimetype);
+            if (!kind) {
+                throw new Error(`Unsupported attachment type ${media.mimetype}`);
+            }
+
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachment-'));
+            try {
+                const file = path.join(dir, `input.${getAttachmentExtension(media.mimetype)}`);
+                await fs.writeFile(file, Buffer.from(media.data, 'base64'));
+                if (kind === 'document') {
+                    return await extractPdfText(config, file, dir, execFileImpl);
+                }
+                return { text: await runOcr(config, file, execFileImpl), method: 'ocr' };
+            } finally {
+                await fs.rm(dir, { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+function getMediaSize(media) {
+    return media.filesize || Math.floor(String(media.data || '').length * 3 / 4);
+}
+
+// What detectTask sees: the caption the sender wrote, then the attachment's text,
+// cut to maxChars
+function buildDetectionText(caption, text, { kind, filename = null, maxChars = 3000 } = {}) {
+    const label = kind === 'document' ? `PDF${filename ? ` "${filename}"` : ''}` : 'Image';
+    let body = cleanText(text);
+    if (body.length > maxChars) {
+        body = body.substring(0, maxChars).trimEnd() + ' …';
+    }
+    return [String(caption || '').trim(), body ? `[${label} text]\n${body}` : ''].filter(Boolean).join('\n\n');
+}
+
+// Writes the original file to dir under a name derived from the message id, so the
+// stored name never comes from the sender. -> file name relative to dir
+async function storeAttachmentFile(dir, messageId, media) {
+    const hash = crypto.createHash('sha256').update(String(messageId)).digest('hex').substring(0, 32);
+    const fileName = `${hash}.${getAttachmentExtension(media.mimetype)}`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, fileName), Buffer.from(media.data, 'base64'));
+    return fileName;
+}
+
+async function getAttachment(pool, messageId) {
+    const result = await pool.query('SELECT * FROM message_attachments WHERE message_id = $1', [messageId]);
+    return result.rows[0] || null;
+}
+
+// entry: { messageId, chatId, kind, mimetype, filename, fileName, sizeBytes, text, method, error }
+async function saveAttachment(pool, entry) {
+    const result = await pool.query(`
+        INSERT INTO message_attachments (
+            message_id, chat_id, media_type, mimetype, filename, file_name, size_bytes,
+            extracted_text, extraction_method, error
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (message_id) DO UPDATE SET
+            file_name = COALESCE(EXCLUDED.file_name, message_attachments.file_name),
+            extracted_text = EXCLUDED.extracted_text,
+            extraction_method = EXCLUDED.extraction_method,
+            error = EXCLUDED.error,
+            created_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [
+        entry.messageId,
+        entry.chatId || null,
+        entry.kind,
+        entry.mimetype || null,
+        entry.filename || null,
+        entry.fileName || null,
+        entry.sizeBytes ?? null,
+        entry.text ?? null,
+        entry.method || null,
+        entry.error || null
+    ]);
+    return result.rows[0] || null;
+}
+
+// The attachment a task was saved from, or null
+async function getTaskAttachment(pool, taskId) {
+    const result = await pool.query(`
+        SELECT a.* FROM tasks t
+        JOIN message_attachments a ON a.id = t.attachment_id
+        WHERE t.id = $1
+    `, [taskId]);
+    return result.rows[0] || null;
+}
+
+// Deletes the stored files of attachments no task points to once they are older than
+// `hours` (an attachment's row and text stay). Returns the number of files removed.
+async function pruneAttachmentFiles(pool, dir, { hours = 24 } = {}) {
+    const result = await pool.query(`
+        SELECT a.id, a.file_name FROM message_attachments a
+        WHERE a.file_name IS NOT NULL
+          AND a.created_at < NOW() - $1 * INTERVAL '1 hour'
+          AND NOT EXISTS (SELECT 1 FROM tasks t WHERE t.attachment_id = a.id)
+    `, [hours]);
+    if (result.rows.length === 0) {
+        return 0;
+    }
+
+    for (const row of result.rows) {
+        await fs.rm(path.join(dir, path.basename(row.file_name)), { force: true });
+    }
+    await pool.query(
+        'UPDATE message_attachments SET file_name = NULL WHERE id = ANY($1::int[])',
+        [result.rows.map(row => row.id)]
+    );
+    return result.rows.length;
+}
+
+// Processed and failed attachments for /status
+async function getAttachmentStats(pool) {
+    const result = await pool.query(`
+        SELECT COUNT(*) FILTER (WHERE error IS NULL) AS processed,
+               COUNT(*) FILTER (WHERE error IS NOT NULL) AS failed
+        FROM message_attachments
+    `);
+    return {
+        processed: parseInt(result.rows[0].processed) || 0,
+        failed: parseInt(result.rows[0].failed) || 0
+    };
+}
+
+module.exports = {
+    ATTACHMENT_MESSAGE_TYPES,
+    resolveAttachmentConfig,
+    getAttachmentKind,
+    isAttachmentMessage,
+    getMessageMediaInfo,
+    getAttachmentExtension,
+    getMediaSize,
+    createTextExtractor,
+    buildDetectionText,
+    storeAttachmentFile,
+    getAttachment,
+    saveAttachment,
+    getTaskAttachment,
+    pruneAttachmentFiles,
+    getAttachmentStats
+};
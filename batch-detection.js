@@ -0,0 +1,83 @@
+// Batched detection for catch-up runs (startup scan, /read_unread analyze): candidate
+// messages from one chat go to the model in one request and come back as one result
+// per message. Messages are listed under short keys (m1, m2, ...) that map back to
+// their WhatsApp message ids, which are too long to expect the model to copy exactly.
+const { estimateTokens } = require('./conversation-context');
+const { validateDetection } = require('./detection-schema');
+
+function getBatchKey(index) {
+    return `m${index + 1}`;
+}
+
+function formatMessageLine(message, index, timeZone) {
+    const sentAt = new Date(message.timestamp * 1000).toLocaleString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone
+    });
+    const text = String(message.body || '').replace(/\s+/g, ' ').trim();
+    return `[${getBatchKey(index)}] (${sentAt}) ${message.senderName || 'Unknown'}: ${text}`;
+}
+
+// messages: [{ id, body, timestamp (seconds), senderName }] oldest first -> batches of at
+// most batchSize messages and about maxTokens of text (a longer message gets its own batch)
+function chunkMessages(messages, { batchSize = 20, maxTokens = 3000 } = {}) {
+    const batches = [];
+    let current = [];
+    let tokens = 0;
+
+    for (const message of messages) {
+        const cost = estimateTokens(formatMessageLine(message, current.length));
+        if (current.length > 0 && (current.length >= batchSize || tokens + cost > maxTokens)) {
+            batches.push(current);
+            current = [];
+            tokens = 0;
+        }
+        current.push(message);
+        tokens += cost;
+    }
+    if (current.length > 0) {
+        batches.push(current);
+    }
+    return batches;
+}
+
+function formatBatchMessages(batch, { timeZone } = {}) {
+    return batch.map((message, index) => formatMessageLine(message, index, timeZone)).join('\n');
+}
+
+// Model output -> Map(message id -> detection result). Entries with unknown keys or
+// that fail validation (detection-schema.js) are dropped, so the caller can re-check
+// those messages one by one. null when the response is malformed as a whole.
+function parseBatchResponse(content, batch) {
+    let parsed;
+    try {
+        parsed = JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+    if (!parsed || !Array.isArray(parsed.results)) {
+        return null;
+    }
+
+    const idsByKey = new Map(batch.map((message, index) => [getBatchKey(index), message.id]));
+    const results = new Map();
+    for (const entry of parsed.results) {
+        const messageId = entry && idsByKey.get(String(entry.id));
+        const { result } = validateDetection(entry);
+        if (messageId && result && !results.has(messageId)) {
+            results.set(messageId, result);
+        }
+    }
+    return results.size > 0 ? results : null;
+}
+
+module.exports = {
+    chunkMessages,
+    formatBatchMessages,
+    parseBatchResponse
+};
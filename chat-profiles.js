@@ -0,0 +1,203 @@
+// Per-chat detection profiles stored on chat_configs: which task types count, extra
+// prefilter keywords, extra prompt instructions, the review confidence threshold and
+// sender allow/deny lists. A profile left empty behaves exactly like the global settings.
+const { TASK_TYPES } = require('./task-actions');
+
+const PROFILE_COLUMNS = [
+    'task_types',
+    'extra_keywords',
+    'prompt_instructions',
+    'confidence_threshold',
+    'allowed_senders',
+    'blocked_senders'
+];
+
+// User-facing setting names mapped to their chat_configs column
+const PROFILE_FIELDS = {
+    types: 'task_types',
+    type: 'task_types',
+    task_types: 'task_types',
+    keywords: 'extra_keywords',
+    keyword: 'extra_keywords',
+    extra_keywords: 'extra_keywords',
+    instructions: 'prompt_instructions',
+    prompt: 'prompt_instructions',
+    prompt_instructions: 'prompt_instructions',
+    confidence: 'confidence_threshold',
+    threshold: 'confidence_threshold',
+    confidence_threshold: 'confidence_threshold',
+    allow: 'allowed_senders',
+    allowed_senders: 'allowed_senders',
+    deny: 'blocked_senders',
+    block: 'blocked_senders',
+    blocked_senders: 'blocked_senders'
+};
+
+// Values that go back to the global behaviour, e.g. "/chatconfig 2 types none"
+const CLEAR_VALUES = ['none', 'clear', 'default', '-'];
+
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+
+function toList(value) {
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+}
+
+function normalizeProfileSetting(field, value) {
+    const column = PROFILE_FIELDS[String(field).toLowerCase()];
+    if (!column) {
+        throw new Error(`Unknown setting "${field}". Settings: types, keywords, instructions, confidence, allow, deny`);
+    }
+
+    const text = Array.isArray(value)
+        ? value.join(',')
+        : (value === null || value === undefined ? '' : String(value).trim());
+    if (text === '' || CLEAR_VALUES.includes(text.toLowerCase())) {
+        return { column, value: null };
+    }
+
+    switch (column) {
+        case 'task_types': {
+            const types = toList(text.toLowerCase().replace(/\s+/g, ','));
+            const unknown = types.filter(type => !TASK_TYPES.includes(type));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown task type "${unknown[0]}". Valid types: ${TASK_TYPES.join(', ')}`);
+            }
+            return { column, value: types };
+        }
+
+        case 'confidence_threshold': {
+            const threshold = Number(text.replace(/%$/, '')) / (text.endsWith('%') ? 100 : 1);
+            if (!isFinite(threshold) || threshold < 0 || threshold > 1) {
+                throw new Error(`Invalid confidence "${text}". Use a number between 0 and 1 (0 turns review off)`);
+            }
+            return { column, value: threshold };
+        }
+
+        case 'prompt_instructions':
+            if (text.length > MAX_INSTRUCTIONS_LENGTH) {
+                throw new Error(`Instructions are too long (at most ${MAX_INSTRUCTIONS_LENGTH} characters)`);
+            }
+            return { column, value: text };
+
+        default:
+            return { column, value: toList(text) };
+    }
+}
+
+function hasProfile(profile) {
+    return !!profile && PROFILE_COLUMNS.some(column => profile[column] !== null && profile[column] !== undefined);
+}
+
+async function getChatProfile(pool, chatId) {
+    const result = await pool.query(
+        `SELECT chat_id, chat_name, ${PROFILE_COLUMNS.join(', ')} FROM chat_configs WHERE chat_id = $1`,
+        [chatId]
+    );
+    return result.rows[0] || null;
+}
+
+// changes: { setting: value } using any name from PROFILE_FIELDS. Returns the updated
+// row, or null when the chat is unknown.
+async function updateChatProfile(pool, chatId, changes) {
+    const settings = new Map();
+    for (const [field, value] of Object.entries(changes || {})) {
+        const setting = normalizeProfileSetting(field, value);
+        settings.set(setting.column, setting.value);
+    }
+    if (settings.size === 0) {
+        throw new Error('No settings provided');
+    }
+
+    const columns = [...settings.keys()];
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const result = await pool.query(
+        `UPDATE chat_configs SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE chat_id = $1
+         RETURNING chat_id, chat_name, ${PROFILE_COLUMNS.join(', ')}`,
+        [chatId, ...settings.values()]
+    );
+    return result.rows[0] || null;
+}
+
+async function resetChatProfile(pool, chatId) {
+    const result = await pool.query(
+        `UPDATE chat_configs SET ${PROFILE_COLUMNS.map(column => `${column} = NULL`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE chat_id = $1
+         RETURNING chat_id, chat_name, ${PROFILE_COLUMNS.join(', ')}`,
+        [chatId]
+    );
+    return result.rows[0] || null;
+}
+
+// An entry matches a sender by name (case-insensitive) or by phone number (digits only)
+function matchesSender(entries, { name, id }) {
+    const senderName = String(name || '').trim().toLowerCase();
+    const senderDigits = String(id || '').replace(/@.*$/, '').replace(/\D/g, '');
+    return entries.some(entry => {
+        const digits = entry.replace(/\D/g, '');
+        if (digits.length >= 6 && digits === senderDigits) {
+            return true;
+        }
+        return senderName !== '' && entry.toLowerCase() === senderName;
+    });
+}
+
+// sender: { name, id } where id is the WhatsApp id ("972501234567@c.us")
+function isSenderAllowed(profile, sender) {
+    if (!profile) {
+        return true;
+    }
+    if (profile.blocked_senders && profile.blocked_senders.length > 0 && matchesSender(profile.blocked_senders, sender)) {
+        return false;
+    }
+    if (profile.allowed_senders && profile.allowed_senders.length > 0) {
+        return matchesSender(profile.allowed_senders, sender);
+    }
+    return true;
+}
+
+// Drops task types the chat does not track; a task left with none of its types is no task
+function applyProfileToResult(profile, result) {
+    const allowed = profile && profile.task_types;
+    if (!allowed || allowed.length === 0 || !result || !result.is_task) {
+        return result;
+    }
+    const types = (result.types || []).filter(type => allowed.includes(type));
+    if (result.types && result.types.length > 0 && types.length === 0) {
+        return { ...result, is_task: false, filtered_types: result.types };
+    }
+    return { ...result, types };
+}
+
+function formatProfileForPrompt(profile) {
+    if (!profile || (!profile.prompt_instructions && !(profile.task_types && profile.task_types.length > 0))) {
+        return '';
+    }
+
+    let section = `
+INSTRUCTIONS FOR THIS CHAT (${profile.chat_name || 'this chat'}):
+`;
+    if (profile.task_types && profile.task_types.length > 0) {
+        section += `- Only these task types matter here: ${profile.task_types.join(', ')}. Anything else is not a task.
+`;
+    }
+    if (profile.prompt_instructions) {
+        section += `${profile.prompt_instructions}
+`;
+    }
+    return section;
+}
+
+module.exports = {
+    PROFILE_COLUMNS,
+    PROFILE_FIELDS,
+    normalizeProfileSetting,
+    hasProfile,
+    getChatProfile,
+    updateChatProfile,
+    resetChatProfile,
+    isSenderAllowed,
+    applyProfileToResult,
+    formatProfileForPrompt
+};
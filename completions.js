@@ -0,0 +1,125 @@
+// "paid" / "שילמתי" / "done ✅" in a monitored chat: find the open task the message
+// completes (the quoted task, or the only matching open task in the chat) and
+// complete it, or store a suggestion to confirm from the command chat first.
+const taskActions = require('./task-actions');
+
+// Completion phrases are short; longer messages go through normal detection
+const MAX_COMPLETION_WORDS = 6;
+
+// Letter/digit boundaries that also work for Hebrew (\b only knows [A-Za-z0-9_]), so
+// "שילמתי" does not match inside a longer word
+const B = '(?<![\\p{L}\\p{N}])';
+const E = '(?![\\p{L}\\p{N}])';
+// Hebrew words often carry a one-letter prefix: ו (and), ש (that), כ (as)
+const HP = '[ושכ]?';
+
+const PAYMENT_PATTERNS = [
+    /\b(paid|payed|transferred|sent the money)\b/i,
+    new RegExp(`${B}${HP}(?:שילמתי|שילמנו|שילמה|שילם|שולם|העברתי|העברנו|הועבר)${E}`, 'u')
+];
+// No "סגור"/"סגרתי": "closed" is as likely news ("הגן סגור מחר") as a completion
+const DONE_PATTERNS = [
+    /\b(done|finished|completed|handled|sorted|taken care of)\b/i,
+    new RegExp(`${B}${HP}(?:בוצע|סיימתי|סיימנו|טופל|טיפלתי|עשיתי|הושלם)${E}`, 'u'),
+    /^[\s✅✔☑️]+$/u
+];
+const NEGATION_PATTERN = /\b(not|didn'?t|haven'?t|hasn'?t|yet)\b|(^|\s)(לא|עוד לא|טרם)(\s|$)/i;
+
+// -> { kind: 'payment'|'done' } or null
+function parseCompletionPhrase(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed || trimmed.includes('?') || NEGATION_PATTERN.test(trimmed)) {
+        return null;
+    }
+    if (trimmed.split(/\s+/).length > MAX_COMPLETION_WORDS) {
+        return null;
+    }
+
+    if (PAYMENT_PATTERNS.some(pattern => pattern.test(trimmed))) {
+        return { kind: 'payment' };
+    }
+    if (DONE_PATTERNS.some(pattern => pattern.test(trimmed))) {
+        return { kind: 'done' };
+    }
+    return null;
+}
+
+// A quoted open task always wins; otherwise the phrase must point at exactly one
+// open task ("paid" only considers payments), so an ambiguous "done" changes nothing
+function findCompletionTarget(phrase, { quotedTask = null, openTasks = [] } = {}) {
+    if (quotedTask) {
+        return quotedTask.status === 'pending' ? quotedTask : null;
+    }
+
+    const candidates = phrase.kind === 'payment'
+        ? openTasks.filter(task => (task.task_types || []).includes('payment'))
+        : openTasks;
+    return candidates.length === 1 ? candidates[0] : null;
+}
+
+// What AUTO_COMPLETE_MODE does with a phrase: 'complete' or 'suggest' (ask in the command
+// chat). Even in auto mode only a reply quoting the task completes it; a phrase without a
+// quote is matched to a task by guesswork, so it is only suggested.
+function getCompletionAction(mode, { quoted = false } = {}) {
+    if (mode === 'off') {
+        return null;
+    }
+    return mode === 'auto' && quoted ? 'complete' : 'suggest';
+}
+
+async function getOpenTaskForMessage(pool, messageId) {
+    const result = await pool.query(
+        `SELECT * FROM tasks WHERE message_id = $1 AND is_task = true AND status = 'pending'`,
+        [messageId]
+    );
+    return result.rows[0] || null;
+}
+
+// meta: { messageId, completedBy }. Returns the completed task, or null when it was no
+// longer pending.
+async function applyCompletion(pool, task, meta = {}) {
+    const completed = await taskActions.completeTask(pool, task.id, meta.completedBy || null);
+    if (!completed) {
+        return null;
+    }
+    await taskActions.recordTaskHistory(pool, task.id, {
+        changeType: 'complete',
+        oldValues: { status: task.status },
+        newValues: { status: 'completed', completed_by: meta.completedBy || null },
+        messageId: meta.messageId,
+        changedBy: meta.completedBy
+    });
+    return completed;
+}
+
+// Returns the new suggestion, or null when this message already suggested one
+async function createCompletionSuggestion(pool, { taskId, messageId, completedBy, text }) {
+    const result = await pool.query(`
+        INSERT INTO completion_suggestions (task_id, message_id, completed_by, message_text)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (message_id) DO NOTHING
+        RETURNING *
+    `, [taskId, messageId, completedBy, text]);
+    return result.rows[0] || null;
+}
+
+// Claims a pending suggestion as 'confirmed' or 'dismissed'; null when it does not
+// exist or was already answered
+async function resolveCompletionSuggestion(pool, suggestionId, status) {
+    const result = await pool.query(`
+        UPDATE completion_suggestions SET status = $2, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+    `, [suggestionId, status]);
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    parseCompletionPhrase,
+    findCompletionTarget,
+    getCompletionAction,
+    getOpenTaskForMessage,
+    applyCompletion,
+    createCompletionSuggestion,
+    resolveCompletionSuggestion
+};
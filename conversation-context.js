@@ -0,0 +1,97 @@
+// Earlier messages from the same chat, so detection understands replies such as
+// "yes, 8 works" or "same as last time". The window is bounded both by message
+// count and by an estimated token budget; the quoted message always comes first.
+
+// Rough estimate that errs on the high side for Hebrew (more tokens per character)
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 3);
+}
+
+function truncateToTokens(text, maxTokens) {
+    const value = String(text || '');
+    const maxChars = Math.max(maxTokens, 0) * 3;
+    return value.length > maxChars ? value.substring(0, Math.max(maxChars - 1, 0)) + '…' : value;
+}
+
+// whatsapp-web.js message -> display name without an extra getContact() call
+function getSenderName(message) {
+    if (message.fromMe) {
+        return 'Me';
+    }
+    const notifyName = message._data && message._data.notifyName;
+    const id = message.author || message.from || '';
+    return notifyName || id.replace(/@.*$/, '') || 'Unknown';
+}
+
+// entries: [{ sender, body, timestamp }] oldest first, all before the new message.
+// Keeps the newest entries that fit in maxMessages/maxTokens, returned oldest first.
+function selectContextMessages(entries, { quoted = null, sender = null, maxMessages = 8, maxTokens = 600 } = {}) {
+    let budget = maxTokens;
+    let quotedEntry = null;
+
+    if (quoted && quoted.body) {
+        quotedEntry = { ...quoted, body: truncateToTokens(quoted.body, Math.floor(maxTokens / 2)) };
+        budget -= estimateTokens(quotedEntry.body);
+    }
+
+    const messages = [];
+    for (let i = entries.length - 1; i >= 0 && messages.length < maxMessages; i--) {
+        const entry = entries[i];
+        if (!entry.body) {
+            continue;
+        }
+        const cost = estimateTokens(`${entry.sender}: ${entry.body}`);
+        if (cost > budget) {
+            break;
+        }
+        budget -= cost;
+        messages.unshift(entry);
+    }
+
+    return { messages, quoted: quotedEntry, sender };
+}
+
+function formatTime(timestamp, timeZone) {
+    return new Date(timestamp * 1000).toLocaleTimeString('en-GB', {
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone
+    });
+}
+
+// Prompt section for detectTask; empty when there is nothing to add
+function formatContextForPrompt(context, { timeZone } = {}) {
+    if (!context) {
+        return '';
+    }
+
+    let section = '';
+    if (context.messages.length > 0) {
+        const lines = context.messages.map(entry =>
+            `[${formatTime(entry.timestamp, timeZone)}] ${entry.sender}: ${entry.body.replace(/\s+/g, ' ')}`);
+        section += `
+CONVERSATION CONTEXT (earlier messages in this chat, oldest first). Use them only to understand
+the new message; do not report tasks that appear only in these earlier messages:
+${lines.join('\n')}
+`;
+    }
+    if (context.quoted) {
+        section += `
+The new message is a reply to this earlier message from ${context.quoted.sender}:
+"${context.quoted.body}"
+`;
+    }
+    if (context.sender) {
+        section += `
+The new message was sent by ${context.sender}.
+`;
+    }
+    return section;
+}
+
+module.exports = {
+    estimateTokens,
+    getSenderName,
+    selectContextMessages,
+    formatContextForPrompt
+};
@@ -0,0 +1,210 @@
+// LLM token usage and cost accounting. Every request's prompt and completion tokens are
+// stored in llm_usage with the chat and messages it was for. Cost comes from a price
+// table in USD per million tokens (DEFAULT_PRICES, extended or overridden with LLM_PRICES).
+// Daily and monthly budget caps are checked against the stored costs before each request.
+const { getZonedParts, zonedTimeToDate, getLocalDayRange } = require('./dates');
+
+// USD per million tokens. Dated model names ("gpt-4o-2024-08-06") match by prefix.
+const DEFAULT_PRICES = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 }
+};
+
+const COST_PERIODS = ['day', 'week', 'month'];
+
+// What detection does once a budget cap is reached: rule-based detection, or only
+// scoring messages with the prefilter (nothing is analysed until the budget resets)
+const BUDGET_MODES = ['rules', 'prefilter'];
+
+// "model=input/output,..." (USD per million tokens) -> { model: { input, output } }
+function parsePriceTable(value) {
+    const prices = {};
+    for (const entry of String(value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const match = entry.match(/^([^=\s]+)\s*=\s*(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/);
+        if (!match) {
+            throw new Error(`Invalid price "${entry}", expected model=input/output`);
+        }
+        prices[match[1].toLowerCase()] = { input: parseFloat(match[2]), output: parseFloat(match[3]) };
+    }
+    return prices;
+}
+
+// LLM_DAILY_BUDGET / LLM_MONTHLY_BUDGET in USD (0 or unset = no cap) and
+// BUDGET_EXCEEDED_MODE (rules by default)
+function resolveBudgets(env) {
+    const mode = String(env.BUDGET_EXCEEDED_MODE || '').trim().toLowerCase();
+    return {
+        daily: Math.max(parseFloat(env.LLM_DAILY_BUDGET) || 0, 0),
+        monthly: Math.max(parseFloat(env.LLM_MONTHLY_BUDGET) || 0, 0),
+        mode: BUDGET_MODES.includes(mode) ? mode : 'rules'
+    };
+}
+
+// Exact model name first, then the longest known prefix. Models on a local
+// OpenAI-compatible server cost nothing unless they are in the table; unknown
+// models elsewhere have no price (null) and are shown as unpriced.
+function getModelPrice(model, { provider = null, prices = DEFAULT_PRICES } = {}) {
+    const name = String(model || '').toLowerCase();
+    if (prices[name]) {
+        return prices[name];
+    }
+    const prefix = Object.keys(prices)
+        .filter(key => name.startsWith(key))
+        .sort((a, b) => b.length - a.length)[0];
+    if (prefix) {
+        return prices[prefix];
+    }
+    return provider === 'openai-compatible' ? { input: 0, output: 0 } : null;
+}
+
+function computeCost(price, promptTokens, completionTokens) {
+    if (!price) {
+        return null;
+    }
+    return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+}
+
+// usage: { chatId, messageIds, purpose, provider, model, promptTokens, completionTokens, estimated, cost }
+async function recordUsage(pool, usage) {
+    const result = await pool.query(`
+        INSERT INTO llm_usage (
+            chat_id, message_ids, purpose, provider, model,
+            prompt_tokens, completion_tokens, estimated, cost_usd
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+    `, [
+        usage.chatId || null,
+        usage.messageIds || [],
+        usage.purpose || 'detect',
+        usage.provider || null,
+        usage.model || null,
+        usage.promptTokens || 0,
+        usage.completionTokens || 0,
+        !!usage.estimated,
+        usage.cost === undefined ? null : usage.cost
+    ]);
+    return result.rows[0] || null;
+}
+
+// Start of the current local day, of the last 7 local days (week) or of the calendar month
+function getPeriodStart(period, now, timeZone) {
+    const local = getZonedParts(now, timeZone);
+    if (period === 'month') {
+        return zonedTimeToDate(local.year, local.month, 1, 0, 0, timeZone);
+    }
+    if (period === 'week') {
+        return zonedTimeToDate(local.year, local.month, local.day - 6, 0, 0, timeZone);
+    }
+    return getLocalDayRange(now, timeZone).start;
+}
+
+async function getSpend(pool, since) {
+    const result = await pool.query(
+        'SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM llm_usage WHERE created_at >= $1',
+        [since]
+    );
+    return Number(result.rows[0].cost) || 0;
+}
+
+// budgets: { daily, monthly } in USD, 0 = no cap. -> { daily: { spent, budget },
+// monthly: { spent, budget }, exceeded: 'daily' | 'monthly' | null }
+async function getBudgetStatus(pool, { daily = 0, monthly = 0, now = new Date(), timeZone } = {}) {
+    const status = {
+        daily: { spent: 0, budget: daily },
+        monthly: { spent: 0, budget: monthly },
+        exceeded: null
+    };
+    if (daily > 0) {
+        status.daily.spent = await getSpend(pool, getPeriodStart('day', now, timeZone));
+    }
+    if (monthly > 0) {
+        status.monthly.spent = await getSpend(pool, getPeriodStart('month', now, timeZone));
+    }
+    if (monthly > 0 && status.monthly.spent >= monthly) {
+        status.exceeded = 'monthly';
+    } else if (daily > 0 && status.daily.spent >= daily) {
+        status.exceeded = 'daily';
+    }
+    return status;
+}
+
+function toTotals(row) {
+    return {
+        requests: parseInt(row.requests) || 0,
+        prompt_tokens: parseInt(row.prompt_tokens) || 0,
+        completion_tokens: parseInt(row.completion_tokens) || 0,
+        cost: Number(row.cost) || 0,
+        unpriced: parseInt(row.unpriced) || 0
+    };
+}
+
+const TOTAL_COLUMNS = `
+    COUNT(*) AS requests,
+    COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+    COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+    COALESCE(SUM(cost_usd), 0) AS cost,
+    COUNT(*) FILTER (WHERE cost_usd IS NULL) AS unpriced`;
+
+// Usage since the start of `period`: totals, per chat (most expensive first, chat_name
+// from chat_configs), per model, and per local day in `timeZone` for the dashboard chart
+async function getCostSummary(pool, { period = 'month', now = new Date(), timeZone } = {}) {
+    const since = getPeriodStart(period, now, timeZone);
+
+    const [totals, byChat, byModel, byDay] = await Promise.all([
+        pool.query(`SELECT ${TOTAL_COLUMNS} FROM llm_usage WHERE created_at >= $1`, [since]),
+        pool.query(`
+            SELECT u.chat_id, (SELECT chat_name FROM chat_configs c WHERE c.chat_id = u.chat_id) AS chat_name, ${TOTAL_COLUMNS}
+            FROM llm_usage u
+            WHERE u.created_at >= $1
+            GROUP BY u.chat_id
+            ORDER BY cost DESC, requests DESC
+        `, [since]),
+        pool.query(`
+            SELECT model, ${TOTAL_COLUMNS}
+            FROM llm_usage
+            WHERE created_at >= $1
+            GROUP BY model
+            ORDER BY cost DESC, requests DESC
+        `, [since]),
+        pool.query(`
+            SELECT to_char(
+                (created_at AT TIME ZONE current_setting('TimeZone')) AT TIME ZONE COALESCE($2, current_setting('TimeZone')),
+                'YYYY-MM-DD'
+            ) AS day, ${TOTAL_COLUMNS}
+            FROM llm_usage
+            WHERE created_at >= $1
+            GROUP BY 1
+            ORDER BY 1
+        `, [since, timeZone || null])
+    ]);
+
+    return {
+        period,
+        since,
+        ...toTotals(totals.rows[0]),
+        by_chat: byChat.rows.map(row => ({ chat_id: row.chat_id, chat_name: row.chat_name || null, ...toTotals(row) })),
+        by_model: byModel.rows.map(row => ({ model: row.model, ...toTotals(row) })),
+        by_day: byDay.rows.map(row => ({ day: row.day, ...toTotals(row) }))
+    };
+}
+
+module.exports = {
+    DEFAULT_PRICES,
+    COST_PERIODS,
+    BUDGET_MODES,
+    parsePriceTable,
+    resolveBudgets,
+    getModelPrice,
+    computeCost,
+    recordUsage,
+    getPeriodStart,
+    getBudgetStatus,
+    getCostSummary
+};
@@ -5,6 +5,16 @@ const { Pool } = require('pg');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
+const taskActions = require('./task-actions');
+const taskFilters = require('./task-filters');
+const search = require('./search');
+const reviewQueue = require('./review-queue');
+const feedback = require('./feedback');
+const chatProfiles = require('./chat-profiles');
+const costs = require('./costs');
+const taskMerge = require('./task-merge');
+const attachments = require('./attachments');
+const dates = require('./dates');
 
 const app = express();
 app.use(cors());
@@ -124,37 +134,34 @@ const pool = new Pool({
     port: process.env.DB_PORT || 5432,
 });
 
+// Where the bot keeps the original images and PDFs tasks were read from
+const ATTACHMENT_DIR = attachments.resolveAttachmentConfig(process.env).dir;
+
 // Database methods for dashboard
-async function getAllTasks() {
-    const result = await pool.query(`
-        SELECT 
-            id, message_id, chat_name, sender_name, summary, 
+async function getAllTasks(filters = {}) {
+    const query = taskFilters.buildTaskQuery(filters, {
+        columns: `id, message_id, chat_name, sender_name, summary,
             task_types, event_time, amount, link, original_text,
-            created_at, status
-        FROM tasks 
-        WHERE is_task = true 
-        ORDER BY 
-            CASE WHEN status = 'completed' THEN 1 ELSE 0 END,
-            created_at DESC
-    `);
+            created_at, status, source, completed_by, confidence, source_chats, media_type,
+            attachment_id`,
+        orderBy: `CASE WHEN status = 'completed' THEN 1 ELSE 0 END, created_at DESC`
+    });
+    const result = await pool.query(query.text, query.values);
     return result.rows;
 }
 
-async function markTaskComplete(taskId) {
-    await pool.query(
-        'UPDATE tasks SET status = $1, completed_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['completed', taskId]
-    );
-}
-
-async function deleteTask(taskId) {
-    await pool.query('DELETE FROM tasks WHERE id = $1', [taskId]);
-}
-
 // API Routes
+// Optional filters: ?chat=<name|id>&type=payment&from=<sender>&since=7d&until=YYYY-MM-DD&status=pending
 app.get('/api/tasks', async (req, res) => {
+    const { token, ...query } = req.query;
     try {
-        const tasks = await getAllTasks();
+        const timeZone = dates.resolveBotTimeZone(process.env);
+        const { filters, errors } = taskFilters.normalizeTaskFilters(query, { timeZone });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.join('; ') });
+        }
+
+        const tasks = await getAllTasks(filters);
         res.json(tasks);
     } catch (error) {
         console.error('Error fetching tasks:', error);
@@ -162,19 +169,118 @@ app.get('/api/tasks', async (req, res) => {
     }
 });
 
+// Ranked full-text search: ?q=<words>; snippet highlights matches with <mark>
+app.get('/api/tasks/search', async (req, res) => {
+    const query = req.query.q || '';
+    if (search.tokenizeSearch(query).length === 0) {
+        return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    try {
+        const tasks = await search.searchTasks(pool, query, {
+            limit: Math.min(parseInt(req.query.limit) || 20, 100),
+            startSel: '<mark>',
+            stopSel: '</mark>'
+        });
+        res.json(tasks.map(({ search_vector, ...task }) => task));
+    } catch (error) {
+        console.error('Error searching tasks:', error);
+        res.status(500).json({ error: 'Failed to search tasks' });
+    }
+});
+
 app.post('/api/tasks/:id/complete', async (req, res) => {
     try {
-        await markTaskComplete(req.params.id);
-        res.json({ success: true });
+        const task = await taskActions.completeTask(pool, req.params.id);
+        if (!task) {
+            const existing = await taskActions.getTaskById(pool, req.params.id);
+            if (!existing) {
+                return res.status(404).json({ error: 'Task not found' });
+            }
+            return res.status(409).json({ error: `Task ${taskActions.getCompletionBlock(existing) || 'is no longer pending'}` });
+        }
+        res.json({ success: true, task });
     } catch (error) {
         console.error('Error marking task complete:', error);
         res.status(500).json({ error: 'Failed to mark task complete' });
     }
 });
 
+app.post('/api/tasks/:id/reopen', async (req, res) => {
+    try {
+        const task = await taskActions.reopenTask(pool, req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        res.json({ success: true, task });
+    } catch (error) {
+        console.error('Error reopening task:', error);
+        res.status(500).json({ error: 'Failed to reopen task' });
+    }
+});
+
+// Review queue: keep turns a low-confidence task into a pending one, discard hides it
+app.post('/api/tasks/:id/keep', async (req, res) => {
+    try {
+        const task = await reviewQueue.keepReviewTask(pool, req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found or already reviewed' });
+        }
+        res.json({ success: true, task });
+    } catch (error) {
+        console.error('Error keeping task:', error);
+        res.status(500).json({ error: 'Failed to keep task' });
+    }
+});
+
+app.post('/api/tasks/:id/discard', async (req, res) => {
+    try {
+        const task = await reviewQueue.discardReviewTask(pool, req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found or already reviewed' });
+        }
+        res.json({ success: true, task });
+    } catch (error) {
+        console.error('Error discarding task:', error);
+        res.status(500).json({ error: 'Failed to discard task' });
+    }
+});
+
+app.patch('/api/tasks/:id', async (req, res) => {
+    try {
+        const changes = Object.entries(req.body || {});
+        if (changes.length === 0) {
+            throw new Error('No changes provided');
+        }
+        for (const [field, value] of changes) {
+            taskActions.normalizeTaskEdit(field, value);
+        }
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const task = await taskActions.editTask(pool, req.params.id, req.body);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        res.json({ success: true, task });
+    } catch (error) {
+        console.error('Error editing task:', error);
+        res.status(500).json({ error: 'Failed to edit task' });
+    }
+});
+
+// ?reason=not_task records the deleted task as a detection mistake (feedback.js)
 app.delete('/api/tasks/:id', async (req, res) => {
     try {
-        await deleteTask(req.params.id);
+        const task = await taskActions.deleteTask(pool, req.params.id);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        if (req.query.reason === 'not_task') {
+            await feedback.tryRecordTaskFeedback(pool, task, 'not_task', 'deleted');
+        }
         res.json({ success: true });
     } catch (error) {
         console.error('Error deleting task:', error);
@@ -182,6 +288,93 @@ app.delete('/api/tasks/:id', async (req, res) => {
     }
 });
 
+// The image or PDF a task was read from: shown inline, or downloaded under its original
+// name with ?download=1
+app.get('/api/tasks/:id/attachment', async (req, res) => {
+    try {
+        const attachment = await attachments.getTaskAttachment(pool, req.params.id);
+        if (!attachment || !attachment.file_name) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        const file = path.join(ATTACHMENT_DIR, path.basename(attachment.file_name));
+        const onError = error => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'Attachment file is missing' });
+            }
+        };
+        if (req.query.download === '1') {
+            const filename = attachment.filename ||
+                `task-${req.params.id}.${attachments.getAttachmentExtension(attachment.mimetype)}`;
+            return res.download(file, filename, onError);
+        }
+        res.type(attachment.mimetype || 'application/octet-stream');
+        res.sendFile(file, onError);
+    } catch (error) {
+        console.error('Error fetching attachment:', error);
+        res.status(500).json({ error: 'Failed to fetch attachment' });
+    }
+});
+
+// Proposed merges of tasks about the same event (task-merge.js), with their tasks
+app.get('/api/merge-suggestions', async (req, res) => {
+    try {
+        res.json(await taskMerge.getPendingMergeSuggestions(pool));
+    } catch (error) {
+        console.error('Error fetching merge suggestions:', error);
+        res.status(500).json({ error: 'Failed to fetch merge suggestions' });
+    }
+});
+
+// Accept merges the tasks into the suggested one, dismiss keeps them apart
+app.post('/api/merge-suggestions/:id/:action', async (req, res) => {
+    const { action } = req.params;
+    if (action !== 'accept' && action !== 'dismiss') {
+        return res.status(400).json({ error: `Unknown action "${action}". Use accept or dismiss` });
+    }
+
+    try {
+        if (action === 'dismiss') {
+            const suggestion = await taskMerge.resolveMergeSuggestion(pool, req.params.id, 'dismissed');
+            if (!suggestion) {
+                return res.status(404).json({ error: 'Merge suggestion not found or already answered' });
+            }
+            return res.json({ success: true, suggestion });
+        }
+
+        const result = await taskMerge.acceptMergeSuggestion(pool, req.params.id, { changedBy: 'dashboard' });
+        if (!result) {
+            return res.status(404).json({ error: 'Merge suggestion not found or already answered' });
+        }
+        if (!result.task) {
+            return res.status(409).json({ error: 'The tasks of this suggestion are no longer open' });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error answering merge suggestion:', error);
+        res.status(500).json({ error: 'Failed to answer merge suggestion' });
+    }
+});
+
+// LLM usage for the Costs tab: ?period=day|week|month (default month), plus the budget caps
+app.get('/api/costs', async (req, res) => {
+    const period = req.query.period || 'month';
+    if (!costs.COST_PERIODS.includes(period)) {
+        return res.status(400).json({ error: `Unknown period "${period}". Use ${costs.COST_PERIODS.join(', ')}` });
+    }
+
+    try {
+        const budgets = costs.resolveBudgets(process.env);
+        const timeZone = dates.resolveBotTimeZone(process.env);
+        const summary = await costs.getCostSummary(pool, { period, timeZone });
+        const budget = await costs.getBudgetStatus(pool, { ...budgets, timeZone });
+        res.json({ ...summary, budget: { ...budget, mode: budgets.mode } });
+    } catch (error) {
+        console.error('Error fetching costs:', error);
+        res.status(500).json({ error: 'Failed to fetch costs' });
+    }
+});
+
 // Serve dashboard HTML with token validation
 app.get('/dashboard', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
@@ -221,10 +414,16 @@ app.get('/', (req, res) => {
 });
 
 // Chat management API endpoints
+// The task types a chat profile can pick from (task-actions.js holds the one list)
+app.get('/api/task-types', (req, res) => {
+    res.json(taskActions.TASK_TYPES);
+});
+
 app.get('/api/chats', async (req, res) => {
     try {
         const result = await pool.query(`
-            SELECT chat_id, chat_name, is_monitored, is_group, participant_count, updated_at
+            SELECT chat_id, chat_name, is_monitored, is_group, participant_count, updated_at,
+                ${chatProfiles.PROFILE_COLUMNS.join(', ')}
             FROM chat_configs 
             ORDER BY is_monitored DESC, chat_name ASC
         `);
@@ -252,6 +451,33 @@ app.post('/api/chats/:chatId/monitor', async (req, res) => {
     }
 });
 
+// Detection profile: body holds any of types, keywords, instructions, confidence, allow, deny
+// (lists as arrays or comma-separated text; null or "" resets a setting)
+app.put('/api/chats/:chatId/profile', async (req, res) => {
+    try {
+        const settings = Object.entries(req.body || {});
+        if (settings.length === 0) {
+            throw new Error('No settings provided');
+        }
+        for (const [field, value] of settings) {
+            chatProfiles.normalizeProfileSetting(field, value);
+        }
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const profile = await chatProfiles.updateChatProfile(pool, req.params.chatId, req.body);
+        if (!profile) {
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+        res.json({ success: true, profile });
+    } catch (error) {
+        console.error('Error updating chat profile:', error);
+        res.status(500).json({ error: 'Failed to update chat profile' });
+    }
+});
+
 app.post('/api/refresh-chats', async (req, res) => {
     try {
         // This endpoint will be called by the chat manager
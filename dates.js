@@ -0,0 +1,94 @@
+// Timezone-aware date helpers for the digest and agenda, based on Intl so no
+// extra timezone library is needed
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The bot's timezone from env: BOT_TIMEZONE, or DIGEST_TIMEZONE (its name from before
+// /agenda); the system timezone when neither is set or the name is not a valid IANA zone
+function resolveBotTimeZone(env) {
+    const value = env.BOT_TIMEZONE || env.DIGEST_TIMEZONE;
+    const systemTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (value && !isValidTimeZone(value)) {
+        console.error(`❌ Invalid BOT_TIMEZONE/DIGEST_TIMEZONE "${value}", using ${systemTimeZone}`);
+        return systemTimeZone;
+    }
+    return value || systemTimeZone;
+}
+
+// Wall-clock parts of a moment in the given timezone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short'
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+// The moment a wall-clock time occurs in the given timezone
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const guess = Date.UTC(year, month - 1, day, hour, minute);
+    const local = getZonedParts(new Date(guess), timeZone);
+    const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - guess;
+    return new Date(guess - offset);
+}
+
+// "YYYY-MM-DD" for the year/month/day of zoned parts
+function toDateKey(parts) {
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+// "YYYY-MM-DDTHH:MM:00" local wall-clock time of zoned parts, the event_time format of detection results
+function toLocalDateTime(parts) {
+    return `${toDateKey(parts)}T${pad(parts.hour)}:${pad(parts.minute)}:00`;
+}
+
+// [start, end) of the local day containing `date`, spanning `days` days
+function getLocalDayRange(date, timeZone, days = 1) {
+    const local = getZonedParts(date, timeZone);
+    const next = new Date(Date.UTC(local.year, local.month - 1, local.day + days));
+    return {
+        dateKey: toDateKey(local),
+        start: zonedTimeToDate(local.year, local.month, local.day, 0, 0, timeZone),
+        end: zonedTimeToDate(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, timeZone)
+    };
+}
+
+module.exports = {
+    WEEKDAYS,
+    isValidTimeZone,
+    resolveBotTimeZone,
+    getZonedParts,
+    zonedTimeToDate,
+    toDateKey,
+    toLocalDateTime,
+    getLocalDayRange
+};
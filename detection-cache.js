@@ -0,0 +1,127 @@
+// Detection cache and duplicate linking for messages that arrive more than once, such as
+// a school announcement forwarded into several monitored groups. Messages are identified
+// by a fingerprint: a hash of the normalised text plus the local message date, since the
+// same words on another day can mean another date ("tomorrow at 8"). Copies after the
+// first reuse the cached detection result instead of another LLM request, and a task
+// saved from a copy is linked to the first one (status 'duplicate', canonical_task_id),
+// which lists every chat the message came from in source_chats.
+const crypto = require('crypto');
+
+// Shorter texts ("ok", "בוטל", "see you at 8") are common replies, not one announcement
+const DEFAULT_MIN_LENGTH = 40;
+
+// Lowercase letters and digits only, so emoji, punctuation and spacing differences between
+// copies do not matter
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// dateKey: the local "YYYY-MM-DD" the message was sent on. null for short texts.
+function getFingerprint(text, dateKey, { minLength = DEFAULT_MIN_LENGTH } = {}) {
+    const normalized = normalizeText(text);
+    if (normalized.length < minLength) {
+        return null;
+    }
+    return crypto.createHash('sha256').update(`${dateKey}\n${normalized}`).digest('hex');
+}
+
+// Only clean LLM answers are reused: no failures, rule-based or over-budget answers, and no
+// follow-ups, which refer to an open task of the chat the message was first seen in
+function isCacheable(result) {
+    return !!result && !result.error && !result.fallback && !result.budget_exceeded &&
+        result.detector !== 'rules' && result.action !== 'update' && result.action !== 'cancel';
+}
+
+// Cached result for a fingerprint stored within the last `days`, or null
+async function getCachedDetection(pool, fingerprint, { days = 7 } = {}) {
+    const result = await pool.query(`
+        UPDATE detection_cache
+        SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP
+        WHERE fingerprint = $1 AND created_at >= NOW() - $2 * INTERVAL '1 day'
+        RETURNING result
+    `, [fingerprint, days]);
+    return result.rows[0] ? result.rows[0].result : null;
+}
+
+async function storeDetection(pool, fingerprint, { messageId, chatId, result }) {
+    const { cached, ...stored } = result;
+    await pool.query(`
+        INSERT INTO detection_cache (fingerprint, message_id, chat_id, result)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (fingerprint) DO UPDATE SET
+            message_id = EXCLUDED.message_id,
+            chat_id = EXCLUDED.chat_id,
+            result = EXCLUDED.result,
+            hits = 0,
+            created_at = CURRENT_TIMESTAMP,
+            last_hit_at = NULL
+    `, [fingerprint, messageId || null, chatId || null, JSON.stringify(stored)]);
+}
+
+async function pruneDetectionCache(pool, { days = 7 } = {}) {
+    const result = await pool.query(
+        `DELETE FROM detection_cache WHERE created_at < NOW() - $1 * INTERVAL '1 day'`,
+        [days]
+    );
+    return result.rowCount;
+}
+
+// The first task saved from a message with this fingerprint, unless it was cancelled or discarded
+async function findCanonicalTask(pool, fingerprint) {
+    const result = await pool.query(`
+        SELECT * FROM tasks
+        WHERE fingerprint = $1 AND canonical_task_id IS NULL AND is_task = true
+          AND COALESCE(status, 'pending') IN ('pending', 'needs_review', 'completed')
+        ORDER BY id
+        LIMIT 1
+    `, [fingerprint]);
+    return result.rows[0] || null;
+}
+
+// Adds a chat to the canonical task's source_chats (which starts with its own chat)
+async function addSourceChat(pool, taskId, chatName) {
+    const result = await pool.query(`
+        UPDATE tasks
+        SET source_chats = CASE
+            WHEN $2::text = ANY(COALESCE(source_chats, ARRAY[COALESCE(chat_name, chat_id)]::text[]))
+                THEN COALESCE(source_chats, ARRAY[COALESCE(chat_name, chat_id)]::text[])
+            ELSE array_append(COALESCE(source_chats, ARRAY[COALESCE(chat_name, chat_id)]::text[]), $2::text)
+        END
+        WHERE id = $1
+        RETURNING *
+    `, [taskId, chatName]);
+    return result.rows[0] || null;
+}
+
+// Cache size and reuse for /status
+async function getCacheStats(pool) {
+    const result = await pool.query(`
+        SELECT COUNT(*) AS entries, COALESCE(SUM(hits), 0) AS hits
+        FROM detection_cache
+    `);
+    const duplicates = await pool.query(
+        `SELECT COUNT(*) AS count FROM tasks WHERE canonical_task_id IS NOT NULL`
+    );
+    return {
+        entries: parseInt(result.rows[0].entries) || 0,
+        hits: parseInt(result.rows[0].hits) || 0,
+        linked_tasks: parseInt(duplicates.rows[0].count) || 0
+    };
+}
+
+module.exports = {
+    DEFAULT_MIN_LENGTH,
+    normalizeText,
+    getFingerprint,
+    isCacheable,
+    getCachedDetection,
+    storeDetection,
+    pruneDetectionCache,
+    findCanonicalTask,
+    addSourceChat,
+    getCacheStats
+};
@@ -0,0 +1,194 @@
+// Schema for task detection results. Model output is checked field by field before
+// anything is saved: fixable values are coerced (and reported), unusable optional
+// fields are dropped, and a result without a usable is_task or summary is rejected
+// so the caller can ask the model to repair it.
+const { extractJson } = require('./llm');
+const { TASK_TYPES } = require('./task-actions');
+
+const FOLLOW_UP_ACTIONS = ['create', 'update', 'cancel', 'none'];
+
+const MAX_SUMMARY_LENGTH = 500;
+const MAX_AMOUNT_LENGTH = 50;
+// Event times outside this range are misread dates, not plans
+const MIN_EVENT_YEAR = 2000;
+const MAX_EVENT_YEAR = 2100;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function coerceBoolean(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return null;
+}
+
+function validateTypes(value, issues) {
+    const values = Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]);
+    if (!Array.isArray(value) && value !== undefined && value !== null) {
+        issues.push('types was not a list');
+    }
+    const types = [];
+    for (const entry of values) {
+        const type = typeof entry === 'string' ? entry.trim().toLowerCase() : null;
+        if (TASK_TYPES.includes(type)) {
+            if (!types.includes(type)) {
+                types.push(type);
+            }
+        } else {
+            issues.push(`unknown type ${JSON.stringify(entry)}`);
+        }
+    }
+    return types;
+}
+
+function validateEventTime(value, issues) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const date = typeof value === 'string' ? new Date(value.trim()) : null;
+    if (!date || isNaN(date.getTime())) {
+        issues.push(`invalid event_time ${JSON.stringify(value)}`);
+        return null;
+    }
+    const year = date.getUTCFullYear();
+    if (year < MIN_EVENT_YEAR || year > MAX_EVENT_YEAR) {
+        issues.push(`event_time out of range ${JSON.stringify(value)}`);
+        return null;
+    }
+    return value.trim();
+}
+
+function validateAmount(value, issues) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value === 'number' && isFinite(value)) {
+        issues.push('amount was a number');
+        return String(value);
+    }
+    if (typeof value !== 'string' || value.trim().length > MAX_AMOUNT_LENGTH) {
+        issues.push(`invalid amount ${JSON.stringify(value)}`);
+        return null;
+    }
+    return value.trim() || null;
+}
+
+function validateLink(value, issues) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string' || !/^https?:\/\/\S+$/i.test(value.trim())) {
+        issues.push(`invalid link ${JSON.stringify(value)}`);
+        return null;
+    }
+    return value.trim();
+}
+
+// 0.85 stays, "0.85" and 85 (a percentage) become 0.85, anything else is dropped
+function validateConfidence(value, issues) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    let confidence = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof confidence !== 'number' || !isFinite(confidence) || confidence < 0) {
+        issues.push(`invalid confidence ${JSON.stringify(value)}`);
+        return null;
+    }
+    if (typeof value === 'string') {
+        issues.push('confidence was a string');
+    }
+    if (confidence > 1) {
+        if (confidence > 100) {
+            issues.push(`invalid confidence ${JSON.stringify(value)}`);
+            return null;
+        }
+        issues.push(`confidence ${confidence} read as a percentage`);
+        confidence = confidence / 100;
+    }
+    return confidence;
+}
+
+// Follow-up fields pass through when well-formed (follow-ups.js checks them against the open tasks)
+function validateFollowUp(raw, result, issues) {
+    if (raw.action === undefined || raw.action === null) {
+        return;
+    }
+    const action = typeof raw.action === 'string' ? raw.action.trim().toLowerCase() : null;
+    if (!FOLLOW_UP_ACTIONS.includes(action)) {
+        issues.push(`unknown action ${JSON.stringify(raw.action)}`);
+        return;
+    }
+    result.action = action;
+    if (raw.task_id !== undefined && raw.task_id !== null) {
+        const taskId = Number(raw.task_id);
+        if (Number.isInteger(taskId) && taskId > 0) {
+            result.task_id = taskId;
+        } else {
+            issues.push(`invalid task_id ${JSON.stringify(raw.task_id)}`);
+        }
+    }
+    if (raw.changes !== undefined && raw.changes !== null) {
+        if (isPlainObject(raw.changes)) {
+            result.changes = raw.changes;
+        } else {
+            issues.push('changes was not an object');
+        }
+    }
+}
+
+// Parsed model output -> { result, issues }. result is null when the output cannot be
+// used (issues then says why); otherwise issues lists what was coerced or dropped.
+function validateDetection(raw) {
+    const issues = [];
+    if (!isPlainObject(raw)) {
+        return { result: null, issues: ['response is not a JSON object'] };
+    }
+
+    const isTask = coerceBoolean(raw.is_task);
+    if (isTask === null) {
+        return { result: null, issues: [`is_task must be true or false, got ${JSON.stringify(raw.is_task)}`] };
+    }
+    if (typeof raw.is_task === 'string') {
+        issues.push('is_task was a string');
+    }
+
+    const result = { is_task: isTask };
+    if (isTask) {
+        const summary = typeof raw.summary === 'string' ? raw.summary.trim() : '';
+        if (!summary) {
+            return { result: null, issues: [...issues, 'summary is missing'] };
+        }
+        if (summary.length > MAX_SUMMARY_LENGTH) {
+            issues.push('summary was too long');
+        }
+        result.types = validateTypes(raw.types, issues);
+        result.summary = summary.length > MAX_SUMMARY_LENGTH ? summary.substring(0, MAX_SUMMARY_LENGTH - 3) + '...' : summary;
+        result.event_time = validateEventTime(raw.event_time, issues);
+        result.amount = validateAmount(raw.amount, issues);
+        result.link = validateLink(raw.link, issues);
+        result.confidence = validateConfidence(raw.confidence, issues);
+    }
+    validateFollowUp(raw, result, issues);
+    return { result, issues };
+}
+
+// Raw model text -> { result, issues }, like validateDetection
+function parseDetection(content) {
+    let raw;
+    try {
+        raw = JSON.parse(extractJson(content));
+    } catch (error) {
+        return { result: null, issues: [`response is not valid JSON (${error.message})`] };
+    }
+    return validateDetection(raw);
+}
+
+module.exports = {
+    validateDetection,
+    parseDetection
+};
@@ -0,0 +1,175 @@
+// Daily and weekly digests: schedule maths in the configured timezone, the
+// digest_settings row, and digest_log, which records every digest sent so a
+// restart shortly after the send time does not send it again.
+
+const { WEEKDAYS, getZonedParts, toDateKey, getLocalDayRange } = require('./dates');
+
+// A digest missed because the bot was down is still sent this long after its time
+const DIGEST_CATCH_UP_MINUTES = 3 * 60;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+// "8:00" / "08:00" -> "08:00"; null when invalid
+function parseDigestTime(text) {
+    const match = String(text).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        return null;
+    }
+    const hour = parseInt(match[1]);
+    const minute = parseInt(match[2]);
+    if (hour > 23 || minute > 59) {
+        return null;
+    }
+    return `${pad(hour)}:${pad(minute)}`;
+}
+
+// Digests whose send time has passed today (within the catch-up window). The daily digest
+// and the Sunday overview are switched on and off separately (is_enabled, weekly_enabled).
+function getDueDigests(now, settings, timeZone) {
+    if (!settings.is_enabled && !settings.weekly_enabled) {
+        return [];
+    }
+
+    const [hour, minute] = settings.send_time.split(':').map(Number);
+    const local = getZonedParts(now, timeZone);
+    const minutesLate = (local.hour * 60 + local.minute) - (hour * 60 + minute);
+    if (minutesLate < 0 || minutesLate > DIGEST_CATCH_UP_MINUTES) {
+        return [];
+    }
+
+    const dateKey = toDateKey(local);
+    const due = [];
+    if (settings.is_enabled) {
+        due.push({ type: 'daily', dateKey });
+    }
+    if (settings.weekly_enabled && local.weekday === WEEKDAYS.Sun) {
+        due.push({ type: 'weekly', dateKey });
+    }
+    return due;
+}
+
+async function getDigestSettings(pool, defaults) {
+    const result = await pool.query('SELECT * FROM digest_settings LIMIT 1');
+    if (result.rows.length > 0) {
+        return result.rows[0];
+    }
+
+    const inserted = await pool.query(`
+        INSERT INTO digest_settings (is_enabled, send_time, weekly_enabled)
+        VALUES ($1, $2, $3)
+        RETURNING *
+    `, [defaults.is_enabled, defaults.send_time, defaults.weekly_enabled]);
+    return inserted.rows[0];
+}
+
+// changes: any of is_enabled, send_time, weekly_enabled
+async function updateDigestSettings(pool, defaults, changes) {
+    const settings = await getDigestSettings(pool, defaults);
+    const updated = { ...settings, ...changes };
+    const result = await pool.query(`
+        UPDATE digest_settings
+        SET is_enabled = $1, send_time = $2, weekly_enabled = $3, updated_at = NOW()
+        WHERE id = $4
+        RETURNING *
+    `, [updated.is_enabled, updated.send_time, updated.weekly_enabled, settings.id]);
+    return result.rows[0];
+}
+
+// Records a digest as sent; false when it was already sent for that date
+async function claimDigest(pool, type, dateKey) {
+    const result = await pool.query(`
+        INSERT INTO digest_log (digest_type, digest_date)
+        VALUES ($1, $2)
+        ON CONFLICT (digest_type, digest_date) DO NOTHING
+        RETURNING id
+    `, [type, dateKey]);
+    return result.rows.length > 0;
+}
+
+// Undo a claim when sending the digest failed, so the next check retries it
+async function releaseDigest(pool, type, dateKey) {
+    await pool.query(
+        'DELETE FROM digest_log WHERE digest_type = $1 AND digest_date = $2',
+        [type, dateKey]
+    );
+}
+
+async function getOverdueTasks(pool, before) {
+    const result = await pool.query(`
+        SELECT * FROM tasks
+        WHERE is_task = true AND status = 'pending' AND event_time < $1
+        ORDER BY event_time
+    `, [before]);
+    return result.rows;
+}
+
+async function getOpenPayments(pool) {
+    const result = await pool.query(`
+        SELECT * FROM tasks
+        WHERE is_task = true AND status = 'pending' AND 'payment' = ANY(task_types)
+        ORDER BY event_time NULLS LAST, created_at
+    `);
+    return result.rows;
+}
+
+async function getEventsBetween(pool, start, end) {
+    const result = await pool.query(`
+        SELECT * FROM tasks
+        WHERE is_task = true AND status = 'pending'
+          AND event_time >= $1 AND event_time < $2
+        ORDER BY event_time
+    `, [start, end]);
+    return result.rows;
+}
+
+async function getDailyDigestData(pool, now, timeZone) {
+    const today = getLocalDayRange(now, timeZone);
+    const since = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const newTasks = await pool.query(`
+        SELECT * FROM tasks
+        WHERE is_task = true AND created_at >= $1 AND COALESCE(status, 'pending') IN ('pending', 'completed')
+        ORDER BY created_at DESC
+    `, [since]);
+
+    return {
+        dateKey: today.dateKey,
+        todayEvents: await getEventsBetween(pool, today.start, today.end),
+        overdueTasks: await getOverdueTasks(pool, today.start),
+        openPayments: await getOpenPayments(pool),
+        newTasks: newTasks.rows
+    };
+}
+
+async function getWeeklyDigestData(pool, now, timeZone) {
+    const week = getLocalDayRange(now, timeZone, 7);
+    const since = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const counts = await pool.query(`
+        SELECT
+            COUNT(*) FILTER (WHERE created_at >= $1) as created_count,
+            COUNT(*) FILTER (WHERE status = 'completed' AND completed_at >= $1) as completed_count,
+            COUNT(*) FILTER (WHERE status = 'pending') as pending_count
+        FROM tasks
+        WHERE is_task = true AND COALESCE(status, 'pending') IN ('pending', 'completed')
+    `, [since]);
+
+    return {
+        dateKey: week.dateKey,
+        weekEvents: await getEventsBetween(pool, week.start, week.end),
+        overdueTasks: await getOverdueTasks(pool, week.start),
+        openPayments: await getOpenPayments(pool),
+        stats: counts.rows[0]
+    };
+}
+
+module.exports = {
+    parseDigestTime,
+    getDueDigests,
+    getDigestSettings,
+    updateDigestSettings,
+    claimDigest,
+    releaseDigest,
+    getDailyDigestData,
+    getWeeklyDigestData
+};
@@ -0,0 +1,197 @@
+// Labelled detection feedback. Deleting a task as "not a task" or discarding it in review
+// marks a false positive; keeping a reviewed task confirms it; adding or forwarding a task
+// by hand marks one the bot missed. The labels become few-shot examples in the detection
+// prompt and feed the weekly precision in /feedback stats.
+
+const VERDICTS = ['task', 'not_task'];
+
+// Words that mark a /delete as "this was never a task"
+const NOT_TASK_REASONS = ['notask', 'not-a-task', 'not a task', 'wrong', 'לא משימה'];
+
+const MAX_EXAMPLE_LENGTH = 200;
+
+function isNotTaskReason(text) {
+    return NOT_TASK_REASONS.includes(String(text || '').trim().toLowerCase());
+}
+
+// Labels the message a task row came from. Later feedback on the same message wins.
+async function recordTaskFeedback(pool, task, verdict, source) {
+    if (!VERDICTS.includes(verdict)) {
+        throw new Error(`Unknown feedback verdict "${verdict}"`);
+    }
+    const result = await pool.query(`
+        INSERT INTO detection_feedback (
+            message_id, chat_id, chat_name, message_text, verdict, source,
+            detected, task_id, task_types, summary, task_created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (message_id) DO UPDATE SET
+            verdict = EXCLUDED.verdict,
+            source = EXCLUDED.source,
+            task_types = EXCLUDED.task_types,
+            summary = EXCLUDED.summary,
+            created_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [
+        task.message_id,
+        task.chat_id || null,
+        task.chat_name || null,
+        task.original_text,
+        verdict,
+        source,
+        (task.source || 'detected') === 'detected',
+        task.id,
+        task.task_types || [],
+        task.summary || null,
+        task.created_at || null
+    ]);
+    return result.rows[0] || null;
+}
+
+// Feedback is best effort: a failed insert is logged and must not undo the keep, discard
+// or delete it came with. -> the feedback row, or null
+async function tryRecordTaskFeedback(pool, task, verdict, source) {
+    try {
+        return await recordTaskFeedback(pool, task, verdict, source);
+    } catch (error) {
+        console.error('❌ Failed to record detection feedback:', error.message);
+        return null;
+    }
+}
+
+// Labels from the last `days`, newest first: the pool few-shot examples are picked from
+async function getRecentFeedback(pool, { days = 90, limit = 200 } = {}) {
+    const result = await pool.query(`
+        SELECT * FROM detection_feedback
+        WHERE created_at >= NOW() - $1 * INTERVAL '1 day'
+        ORDER BY created_at DESC, id DESC
+        LIMIT $2
+    `, [days, limit]);
+    return result.rows;
+}
+
+function tokenize(text) {
+    return new Set((String(text || '').toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || []));
+}
+
+// Picks up to `limit` examples for one message: shared words and the same chat count as
+// relevant, newer labels win ties (so the set rotates as feedback comes in), and neither
+// verdict takes more than half the slots while the other still has candidates.
+function selectFeedbackExamples(feedback, { text, chatId = null, limit = 6 } = {}) {
+    if (!feedback || feedback.length === 0 || limit <= 0) {
+        return [];
+    }
+
+    const words = tokenize(text);
+    const ranked = feedback
+        .map((entry, index) => {
+            let score = 0;
+            for (const word of tokenize(entry.message_text)) {
+                if (words.has(word)) {
+                    score++;
+                }
+            }
+            if (chatId && entry.chat_id === chatId) {
+                score++;
+            }
+            return { entry, score, index };
+        })
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ entry }) => entry);
+
+    const perVerdict = Math.ceil(limit / 2);
+    const selected = [];
+    const overflow = [];
+    const counts = { task: 0, not_task: 0 };
+    for (const entry of ranked) {
+        if (counts[entry.verdict] < perVerdict) {
+            counts[entry.verdict]++;
+            selected.push(entry);
+        } else {
+            overflow.push(entry);
+        }
+    }
+    return [...selected, ...overflow].slice(0, limit);
+}
+
+function formatFeedbackForPrompt(examples) {
+    if (!examples || examples.length === 0) {
+        return '';
+    }
+
+    const lines = examples.map(example => {
+        const text = example.message_text.replace(/\s+/g, ' ').trim();
+        const quoted = `"${text.length > MAX_EXAMPLE_LENGTH ? text.substring(0, MAX_EXAMPLE_LENGTH - 3) + '...' : text}"`;
+        if (example.verdict === 'not_task') {
+            return `❌ ${quoted} → not a task`;
+        }
+        const types = (example.task_types || []).join(', ');
+        return `✅ ${quoted} → ${types ? `${types}: ` : ''}${example.summary || 'task'}`;
+    });
+
+    return `
+CORRECTIONS FROM THIS USER (earlier messages labelled by hand; judge similar messages the same way):
+${lines.join('\n')}
+`;
+}
+
+// Per week (oldest first): detected tasks, how many were labelled not a task, how many
+// tasks were added by hand because detection missed them, and the resulting precision.
+// Deleted false positives are gone from tasks, so they are counted back from their labels.
+async function getFeedbackStats(pool, { weeks = 8 } = {}) {
+    const result = await pool.query(`
+        WITH weeks AS (
+            SELECT generate_series(
+                date_trunc('week', LOCALTIMESTAMP) - ($1::int - 1) * INTERVAL '1 week',
+                date_trunc('week', LOCALTIMESTAMP),
+                INTERVAL '1 week'
+            ) AS week
+        ),
+        detected AS (
+            SELECT date_trunc('week', created_at) AS week, COUNT(*) AS count
+            FROM tasks
+            WHERE is_task = true AND COALESCE(source, 'detected') = 'detected'
+              AND COALESCE(status, 'pending') <> 'duplicate'
+            GROUP BY 1
+        ),
+        labels AS (
+            SELECT date_trunc('week', COALESCE(f.task_created_at, f.created_at)) AS week,
+                COUNT(*) FILTER (WHERE f.verdict = 'not_task' AND f.detected) AS false_positives,
+                COUNT(*) FILTER (WHERE f.verdict = 'not_task' AND f.detected
+                                 AND NOT EXISTS (SELECT 1 FROM tasks t WHERE t.id = f.task_id)) AS deleted,
+                COUNT(*) FILTER (WHERE f.verdict = 'task' AND NOT f.detected) AS missed
+            FROM detection_feedback f
+            GROUP BY 1
+        )
+        SELECT w.week,
+            COALESCE(d.count, 0) + COALESCE(l.deleted, 0) AS detected,
+            COALESCE(l.false_positives, 0) AS false_positives,
+            COALESCE(l.missed, 0) AS missed
+        FROM weeks w
+        LEFT JOIN detected d ON d.week = w.week
+        LEFT JOIN labels l ON l.week = w.week
+        ORDER BY w.week
+    `, [weeks]);
+
+    return result.rows.map(row => {
+        const detected = parseInt(row.detected) || 0;
+        const falsePositives = parseInt(row.false_positives) || 0;
+        return {
+            week: row.week,
+            detected,
+            false_positives: falsePositives,
+            missed: parseInt(row.missed) || 0,
+            precision: detected > 0 ? (detected - falsePositives) / detected : null
+        };
+    });
+}
+
+module.exports = {
+    VERDICTS,
+    isNotTaskReason,
+    recordTaskFeedback,
+    tryRecordTaskFeedback,
+    getRecentFeedback,
+    selectFeedbackExamples,
+    formatFeedbackForPrompt,
+    getFeedbackStats
+};
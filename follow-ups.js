@@ -0,0 +1,145 @@
+// Follow-up messages ("meeting moved to 4pm", "it's actually 200₪", "cancelled"):
+// recent open tasks from the same chat are shown to the model, which answers
+// with an action (create/update/cancel/none). Changes keep the old values in task_history.
+const taskActions = require('./task-actions');
+const { getZonedParts, toLocalDateTime } = require('./dates');
+
+// Fields a follow-up message may change on an existing task
+const FOLLOW_UP_FIELDS = ['summary', 'event_time', 'amount', 'link'];
+
+// Wording that changes or calls off something already said, in Hebrew and English
+const FOLLOW_UP_PATTERNS = [
+    /(בוטל|מבוטל|ביטול|לבטל|נדחה|נדחית|דחינו|הוזז|הזזנו|שינוי|השתנה|במקום|עדכון)/,
+    /\b(cancel(l?ed)?|called off|postponed|moved|rescheduled|changed?|instead|update[d]?|actually)\b/i
+];
+
+// Follow-ups are often too short for the other prefilter signals ("בוטל", "moved to Thursday")
+function looksLikeFollowUp(text) {
+    return FOLLOW_UP_PATTERNS.some(pattern => pattern.test(text || ''));
+}
+
+async function getRecentOpenTasks(pool, chatId, { days = 14, limit = 10 } = {}) {
+    const result = await pool.query(`
+        SELECT id, summary, task_types, event_time, amount, link, status, created_at
+        FROM tasks
+        WHERE chat_id = $1 AND is_task = true AND status = 'pending'
+          AND created_at >= NOW() - $2 * INTERVAL '1 day'
+        ORDER BY created_at DESC
+        LIMIT $3
+    `, [chatId, days, limit]);
+    return result.rows;
+}
+
+// Prompt section listing the open tasks the message may refer to. Event times are local
+// wall-clock times in timeZone, the format the model is asked to answer in.
+function formatOpenTasksForPrompt(openTasks, { timeZone } = {}) {
+    if (!openTasks || openTasks.length === 0) {
+        return '';
+    }
+
+    const lines = openTasks.map(task => {
+        const details = [
+            `types: ${(task.task_types || []).join(', ') || '-'}`,
+            `event_time: ${task.event_time ? toLocalDateTime(getZonedParts(new Date(task.event_time), timeZone)) : '-'}`,
+            `amount: ${task.amount || '-'}`
+        ];
+        return `[${task.id}] ${task.summary || '(no summary)'} | ${details.join(' | ')}`;
+    });
+
+    return `
+OPEN TASKS ALREADY TRACKED IN THIS CHAT:
+${lines.join('\n')}
+
+The message may be a follow-up to one of these open tasks. Decide which applies:
+- "update": it changes details of an open task (new time, date, amount, link or description)
+- "cancel": it says an open task is cancelled or no longer happening
+- "create": it is a new task, separate from the open ones
+- "none": it is not a task and does not change an open task
+Add "action" to your JSON. For "update" and "cancel" also add "task_id" (the number in brackets);
+for "update" add "changes" with ONLY the fields that change ("summary", "event_time", "amount", "link"),
+using the same formats as above. Do not create a new task for a follow-up.
+`;
+}
+
+function isSameValue(column, oldValue, newValue) {
+    if (column === 'event_time') {
+        const oldTime = oldValue ? new Date(oldValue).getTime() : null;
+        const newTime = newValue ? newValue.getTime() : null;
+        return oldTime === newTime;
+    }
+    return (oldValue || null) === (newValue || null);
+}
+
+// Model result -> { action: 'create'|'update'|'cancel'|'none', task?, changes? }.
+// Anything that does not point at one of the open tasks falls back to plain detection.
+function resolveFollowUp(result, openTasks) {
+    const fallback = { action: result && result.is_task ? 'create' : 'none' };
+    if (!result || (result.action !== 'update' && result.action !== 'cancel')) {
+        return result && result.action === 'none' ? { action: 'none' } : fallback;
+    }
+
+    const task = (openTasks || []).find(openTask => openTask.id === Number(result.task_id));
+    if (!task) {
+        return fallback;
+    }
+    if (result.action === 'cancel') {
+        return { action: 'cancel', task };
+    }
+
+    const changes = {};
+    for (const field of FOLLOW_UP_FIELDS) {
+        if (!result.changes || !(field in result.changes)) {
+            continue;
+        }
+        try {
+            const edit = taskActions.normalizeTaskEdit(field, result.changes[field]);
+            if (!isSameValue(edit.column, task[edit.column], edit.value)) {
+                changes[edit.column] = edit.value;
+            }
+        } catch (error) {
+            // Ignore fields the model filled with something unusable
+        }
+    }
+
+    return Object.keys(changes).length > 0
+        ? { action: 'update', task, changes }
+        : { action: 'none' };
+}
+
+// meta: { messageId, changedBy }. Returns the updated task.
+async function applyFollowUp(pool, followUp, meta = {}) {
+    const { task } = followUp;
+
+    if (followUp.action === 'cancel') {
+        const cancelled = await taskActions.cancelTask(pool, task.id);
+        await taskActions.recordTaskHistory(pool, task.id, {
+            changeType: 'cancel',
+            oldValues: { status: task.status },
+            newValues: { status: 'cancelled' },
+            ...meta
+        });
+        return cancelled;
+    }
+
+    const oldValues = {};
+    for (const column of Object.keys(followUp.changes)) {
+        oldValues[column] = task[column] === undefined ? null : task[column];
+    }
+    const updated = await taskActions.editTask(pool, task.id, followUp.changes);
+    await taskActions.recordTaskHistory(pool, task.id, {
+        changeType: 'update',
+        oldValues,
+        newValues: followUp.changes,
+        ...meta
+    });
+    return updated;
+}
+
+module.exports = {
+    FOLLOW_UP_FIELDS,
+    looksLikeFollowUp,
+    getRecentOpenTasks,
+    formatOpenTasksForPrompt,
+    resolveFollowUp,
+    applyFollowUp
+};
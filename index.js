@@ -1,13 +1,40 @@
 require('dotenv').config();
 const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
-const OpenAI = require('openai');
 const fs = require('fs').promises;
 const { Pool } = require('pg');
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 const readline = require('readline');
+const taskActions = require('./task-actions');
+const taskListing = require('./task-listing');
+const reminders = require('./reminders');
+const digest = require('./digest');
+const agenda = require('./agenda');
+const dates = require('./dates');
+const taskFilters = require('./task-filters');
+const search = require('./search');
+const followUps = require('./follow-ups');
+const completions = require('./completions');
+const messageEdits = require('./message-edits');
+const conversationContext = require('./conversation-context');
+const batchDetection = require('./batch-detection');
+const llm = require('./llm');
+const ruleDetector = require('./rule-detector');
+const retryQueue = require('./retry-queue');
+const detectionSchema = require('./detection-schema');
+const reviewQueue = require('./review-queue');
+const feedback = require('./feedback');
+const prefilter = require('./prefilter');
+const chatProfiles = require('./chat-profiles');
+const costs = require('./costs');
+const detectionCache = require('./detection-cache');
+const taskMerge = require('./task-merge');
+const transcription = require('./transcription');
+const attachments = require('./attachments');
+const manualTasks = require('./manual-tasks');
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// LLM provider from LLM_* env vars; loadLLMSettings() applies the /llm overrides after startup
+let llmClient = llm.createLLMClient(llm.resolveLLMConfig(process.env), { onUsage: recordLLMUsage });
 let MONITORED_CHATS = process.env.MONITORED_CHATS?.split(',') || ['Test Group'];
 const BOT_COMMAND_CHAT = process.env.BOT_COMMAND_CHAT || 'Bot Commands';
 const MAX_MESSAGE_HISTORY_DAYS = parseInt(process.env.MAX_MESSAGE_HISTORY_DAYS) || 3;
@@ -22,6 +49,104 @@ const SESSION_RETRY_DELAY = parseInt(process.env.SESSION_RETRY_DELAY) || 3000; /
 const ALWAYS_VERIFY_CHATS = process.env.ALWAYS_VERIFY_CHATS !== 'false'; // Always ask to verify chats on startup
 const AUTO_PROCESS_STARTUP_MESSAGES = process.env.AUTO_PROCESS_STARTUP_MESSAGES !== 'false'; // Process unread messages on startup
 const STARTUP_SCAN_TIMEOUT = parseInt(process.env.STARTUP_SCAN_TIMEOUT) || 60000; // Timeout for startup message scanning
+
+// Rule-based detection (rule-detector.js) when an LLM request fails; DETECTION_MODE=rules uses it only
+const LLM_FALLBACK_TO_RULES = process.env.LLM_FALLBACK_TO_RULES !== 'false';
+
+// Detected tasks with a confidence below this wait in /review instead of the pending list (0 disables)
+const REVIEW_CONFIDENCE_THRESHOLD = process.env.REVIEW_CONFIDENCE_THRESHOLD !== undefined
+    ? Math.max(parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0, 0)
+    : 0.6;
+
+// Labelled feedback (feedback.js) sent to the model as few-shot examples
+const FEEDBACK_EXAMPLES = process.env.FEEDBACK_EXAMPLES !== undefined
+    ? Math.max(parseInt(process.env.FEEDBACK_EXAMPLES) || 0, 0) // 0 disables the examples
+    : 6;
+const FEEDBACK_WINDOW_DAYS = parseInt(process.env.FEEDBACK_WINDOW_DAYS) || 90; // Older labels are no longer used
+
+// Retry queue for messages whose detection failed (LLM error or timeout)
+const RETRY_OPTIONS = {
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || retryQueue.RETRY_DEFAULTS.maxAttempts,
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY) || retryQueue.RETRY_DEFAULTS.baseDelayMs, // Doubled after every failed attempt
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY) || retryQueue.RETRY_DEFAULTS.maxDelayMs
+};
+const RETRY_CHECK_INTERVAL = parseInt(process.env.RETRY_CHECK_INTERVAL) || 60000; // How often due retries are checked
+// Messages skipped over the LLM budget: at most this many wait for the reset (0 drops them),
+// and the ones older than BUDGET_RETRY_MAX_AGE hours by then are not analysed
+const BUDGET_RETRY_LIMIT = process.env.BUDGET_RETRY_LIMIT !== undefined
+    ? Math.max(parseInt(process.env.BUDGET_RETRY_LIMIT) || 0, 0)
+    : retryQueue.BUDGET_RETRY_DEFAULTS.limit;
+const BUDGET_RETRY_MAX_AGE = parseInt(process.env.BUDGET_RETRY_MAX_AGE) || retryQueue.BUDGET_RETRY_DEFAULTS.maxAgeHours;
+
+// Messages scoring below this in the weighted prefilter are not sent to the LLM (0 analyses everything)
+const PREFILTER_THRESHOLD = process.env.PREFILTER_THRESHOLD !== undefined
+    ? Math.max(parseFloat(process.env.PREFILTER_THRESHOLD) || 0, 0)
+    : prefilter.DEFAULT_THRESHOLD;
+
+// LLM cost accounting (costs.js): LLM_PRICES="model=input/output,..." in USD per million
+// tokens adds to or overrides the built-in prices. Once LLM_DAILY_BUDGET or LLM_MONTHLY_BUDGET
+// (USD) is spent, detection switches to BUDGET_EXCEEDED_MODE (rules or prefilter) until it resets.
+const LLM_PRICES = { ...costs.DEFAULT_PRICES, ...parseLLMPrices(process.env.LLM_PRICES) };
+const LLM_BUDGETS = costs.resolveBudgets(process.env);
+
+// Detection cache (detection-cache.js): copies of a message (forwards, reposts) reuse the first
+// result for DETECTION_CACHE_DAYS (0 disables the cache; duplicate tasks are still linked)
+const DETECTION_CACHE_DAYS = process.env.DETECTION_CACHE_DAYS !== undefined
+    ? Math.max(parseInt(process.env.DETECTION_CACHE_DAYS) || 0, 0)
+    : 7;
+const DETECTION_CACHE_MIN_LENGTH = parseInt(process.env.DETECTION_CACHE_MIN_LENGTH) || detectionCache.DEFAULT_MIN_LENGTH;
+
+// Batched detection for catch-up runs (startup scan, /read_unread analyze)
+const DETECTION_BATCH_SIZE = parseInt(process.env.DETECTION_BATCH_SIZE) || 20; // Messages per request; 1 = one request per message
+const DETECTION_BATCH_MAX_TOKENS = parseInt(process.env.DETECTION_BATCH_MAX_TOKENS) || 3000; // Estimated message tokens per request
+
+// Reminder configuration
+const REMINDER_LEAD_TIMES = parseReminderLeadTimes(process.env.REMINDER_LEAD_TIMES || '1d,1h'); // Default lead times before each event
+const REMINDER_CHECK_INTERVAL = parseInt(process.env.REMINDER_CHECK_INTERVAL) || 60000; // How often due reminders are checked
+
+// Timezone used for "today" in digests and /agenda
+const BOT_TIMEZONE = dates.resolveBotTimeZone(process.env);
+
+// Digest configuration (defaults for the digest_settings row, changed later with /digest)
+const DIGEST_DEFAULTS = {
+    is_enabled: process.env.DIGEST_ENABLED !== 'false',
+    send_time: digest.parseDigestTime(process.env.DIGEST_TIME || '08:00') || '08:00',
+    weekly_enabled: process.env.DIGEST_WEEKLY !== 'false'
+};
+const DIGEST_SECTION_LIMIT = 10; // Tasks shown per digest section
+const AGENDA_UNDATED_LIMIT = 15; // Undated tasks shown at the end of /agenda
+
+// Follow-up configuration: open tasks from the same chat a new message may update or cancel
+const FOLLOW_UP_WINDOW_DAYS = parseInt(process.env.FOLLOW_UP_WINDOW_DAYS) || 14;
+const FOLLOW_UP_MAX_TASKS = parseInt(process.env.FOLLOW_UP_MAX_TASKS) || 10;
+
+// Conversation context: earlier messages from the same chat sent along with each analysed message
+const CONTEXT_WINDOW_MESSAGES = process.env.CONTEXT_WINDOW_MESSAGES !== undefined
+    ? Math.max(parseInt(process.env.CONTEXT_WINDOW_MESSAGES) || 0, 0) // 0 disables context
+    : 8;
+const CONTEXT_MAX_TOKENS = parseInt(process.env.CONTEXT_MAX_TOKENS) || 600; // Estimated token cap for the context
+
+// "paid"/"done" replies: auto (a reply quoting the task completes it and notifies, others are
+// asked about in the command chat), confirm (always ask) or off
+const AUTO_COMPLETE_MODE = ['auto', 'confirm', 'off'].includes(process.env.AUTO_COMPLETE_MODE)
+    ? process.env.AUTO_COMPLETE_MODE
+    : 'auto';
+
+// Duplicate tasks (task-merge.js): how often open tasks of the last DEDUPE_WINDOW_DAYS are checked
+// for the same event and proposed for /merge (0 disables the periodic pass, /merge still runs one)
+const DEDUPE_CHECK_INTERVAL = process.env.DEDUPE_CHECK_INTERVAL !== undefined
+    ? Math.max(parseInt(process.env.DEDUPE_CHECK_INTERVAL) || 0, 0)
+    : 60 * 60 * 1000;
+const DEDUPE_WINDOW_DAYS = parseInt(process.env.DEDUPE_WINDOW_DAYS) || 14;
+const DEDUPE_TIME_WINDOW_HOURS = parseFloat(process.env.DEDUPE_TIME_WINDOW_HOURS) || taskMerge.DEFAULT_TIME_WINDOW_HOURS;
+// Voice notes (transcription.js): transcribed with TRANSCRIPTION_PROVIDER and analysed like text
+const TRANSCRIPTION_CONFIG = transcription.resolveTranscriptionConfig(process.env);
+const transcriber = TRANSCRIPTION_CONFIG.provider ? transcription.createTranscriber(TRANSCRIPTION_CONFIG) : null;
+
+// Images and PDFs (attachments.js): text extracted locally and analysed with the caption
+const ATTACHMENT_CONFIG = attachments.resolveAttachmentConfig(process.env);
+const textExtractor = ATTACHMENT_CONFIG.enabled ? attachments.createTextExtractor(ATTACHMENT_CONFIG) : null;
+
 // Store discovered chats for management
 let discoveredChats = new Map();
 
@@ -35,6 +160,24 @@ const pool = new Pool({
     port: process.env.DB_PORT || 5432,
 });
 
+function parseReminderLeadTimes(value) {
+    try {
+        return reminders.parseOffsetList(value);
+    } catch (error) {
+        console.error(`❌ Invalid REMINDER_LEAD_TIMES (${error.message}), using 1d,1h`);
+        return [24 * 60, 60];
+    }
+}
+
+function parseLLMPrices(value) {
+    try {
+        return costs.parsePriceTable(value);
+    } catch (error) {
+        console.error(`❌ Invalid LLM_PRICES (${error.message}), using the built-in prices`);
+        return {};
+    }
+}
+
 // Health monitoring variables
 let lastMessageTime = Date.now();
 let isWhatsAppConnected = false;
@@ -43,6 +186,29 @@ let connectionTimeout;
 let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 3;
 
+// Reminder scheduler variables
+let reminderInterval;
+let isCheckingReminders = false;
+let commandChatId = null;
+
+// Digest scheduler variables
+let digestInterval;
+let isCheckingDigests = false;
+
+// Detection retry worker variables
+let retryInterval;
+let isProcessingRetries = false;
+
+// Duplicate task check variables
+let dedupeInterval;
+let isCheckingDuplicates = false;
+
+// /review sessions per user: the task shown last and the ones skipped
+const reviewSessions = reviewQueue.createReviewSessions();
+
+// Set while /read_unread analyze is running
+let isAnalyzingUnread = false;
+
 // Session management variables
 let sessionClearAttempts = 0;
 let lastSuccessfulConnection = null;
@@ -156,6 +322,20 @@ async function initDatabase() {
     }
 }
 
+// Rebuilds the LLM client from the env plus the llm_settings overrides
+async function loadLLMSettings() {
+    try {
+        const settings = await llm.getLLMSettings(pool);
+        llmClient = llm.createLLMClient(llm.resolveLLMConfig(process.env, settings), { onUsage: recordLLMUsage });
+    } catch (error) {
+        console.error('❌ Failed to load LLM settings, using environment configuration:', error.message);
+    }
+    const { mode, provider, model, baseUrl } = llmClient.config;
+    console.log(mode === 'rules'
+        ? '🧠 Detection: rule-based only (no LLM)'
+        : `🧠 LLM: ${provider} (${model}) at ${baseUrl}`);
+}
+
 // Health check functions
 async function checkDatabaseHealth() {
     try {
@@ -204,6 +384,24 @@ async function performHealthCheck() {
     
     if (!dbHealthy) {
         console.log('⚠️  WARNING: Database connection unhealthy');
+    } else {
+        // Cached detections older than DETECTION_CACHE_DAYS are never reused
+        try {
+            await detectionCache.pruneDetectionCache(pool, { days: DETECTION_CACHE_DAYS });
+        } catch (error) {
+            console.error('❌ Failed to prune the detection cache:', error.message);
+        }
+        // Stored images and PDFs that no task was saved from
+        try {
+            const removed = await attachments.pruneAttachmentFiles(pool, ATTACHMENT_CONFIG.dir, {
+                hours: ATTACHMENT_CONFIG.retentionHours
+            });
+            if (removed > 0) {
+                console.log(`📎 Removed ${removed} attachment file${removed > 1 ? 's' : ''} no task uses`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to prune attachment files:', error.message);
+        }
     }
     
     if (memUsageMB > 500) {
@@ -227,112 +425,873 @@ function startHealthMonitoring() {
     console.log('🔍 Health monitoring started (5-minute intervals)');
 }
 
-function hasTaskIndicators(text) {
-    const lowerText = text.toLowerCase();
-    
-    // Hebrew task indicators - expanded
-    const hebrewIndicators = [
-        // Days and time
-        'מחר', 'מחרתיים', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת', 'ראשון',
-        'היום', 'אתמול', 'השבוע', 'שבוע הבא', 'החודש', 'חודש הבא',
-        'ביום', 'בשעה', 'שעות', 'דקות', 'זמן', 'תאריך',
-        
-        // Events and meetings
-        'פגישה', 'מפגש', 'ישיבה', 'אירוע', 'חגיגה', 'יום הולדת', 'חתונה', 'בר מצווה',
-        'כנס', 'סדנה', 'הרצאה', 'קורס', 'שיעור', 'בדיקה', 'טיפול', 'רופא', 'דחוף',
-        
-        // Payments and money
-        'תשלום', 'להעביר', 'לשלם', 'כסף', 'שח', '₪', 'דולר', 'חשבון', 'חשבונית',
-        'הרשמה', 'דמי', 'עלות', 'מחיר', 'תשלום', 'העברה', 'צ\'ק', 'מזומן', 'אשראי',
-        
-        // Action words
-        'צריך', 'חייב', 'מוכרח', 'רוצה', 'צריכה', 'חייבת', 'מוכרחת', 'רוצים',
-        'לזכור', 'לא לשכוח', 'חשוב', 'דחוף', 'מהיר', 'בדחיפות'
-    ];
-    
-    // English task indicators - expanded
-    const englishIndicators = [
-        // Days and time
-        'tomorrow', 'today', 'yesterday', 'monday', 'tuesday', 'wednesday', 'thursday', 
-        'friday', 'saturday', 'sunday', 'next week', 'this week', 'next month',
-        'at', 'pm', 'am', 'o\'clock', 'oclock', 'time', 'date', 'when', 'schedule',
-        
-        // Events and meetings
-        'meeting', 'appointment', 'event', 'party', 'birthday', 'wedding', 'conference',
-        'workshop', 'lecture', 'class', 'course', 'checkup', 'treatment', 'doctor', 'urgent',
-        'deadline', 'due', 'reminder', 'important', 'call', 'visit',
-        
-        // Payments and money
-        'payment', 'pay', 'transfer', 'money', '$', '₪', 'dollar', 'bill', 'invoice',
-        'registration', 'fee', 'cost', 'price', 'charge', 'owe', 'debt', 'cash', 'credit',
-        
-        // Action words
-        'need', 'must', 'should', 'have to', 'got to', 'remember', 'dont forget',
-        'important', 'urgent', 'asap', 'quickly', 'soon'
-    ];
-    
-    // Time patterns - enhanced
-    const timePatterns = [
-        /\d{1,2}:\d{2}/, // 10:30
-        /\d{1,2}\.\d{2}/, // 10.30
-        /\d{1,2} ?pm|am/i, // 3pm, 3 PM
-        /\d{1,2}:\d{2} ?pm|am/i, // 3:30pm
-        /בשעה \d/, // בשעה 8
-        /ב-?\d{1,2}/, // ב-8, ב8
-        /at \d{1,2}/i, // at 3
-        /\d{1,2} ?o'?clock/i, // 3 o'clock, 3 oclock
-        /\b\d{1,2}\/\d{1,2}/, // 12/25, 3/4
-        /\b\d{1,2}-\d{1,2}/, // 12-25
-    ];
-    
-    // Amount patterns - enhanced
-    const amountPatterns = [
-        /\d+\s*₪/, // 50₪
-        /\d+\s*שח/, // 50 שח
-        /\$\d+/, // $50
-        /\d+\s*\$/, // 50$
-        /\d+\s*dollars?/i, // 50 dollars
-        /\d+\s*shekels?/i, // 50 shekels
-        /\d+\s*\*\s*\d+/, // 350 * 5.5
-        /\d+\s*nis/i, // 50 NIS
-        /₪\s*\d+/, // ₪50
-        /\b\d{2,}\b/, // Any number with 2+ digits (potential amount)
-    ];
-    
-    // URL patterns (links often indicate tasks)
-    const urlPatterns = [
-        /https?:\/\//, // HTTP/HTTPS links
-        /www\./i, // www. links
-        /\.com|\.org|\.net|\.co\./i, // Common domains
-    ];
-    
-    // Question patterns (often indicate requests/tasks)
-    const questionPatterns = [
-        /\?/, // Any question mark
-        /can you/i,
-        /could you/i,
-        /would you/i,
-        /will you/i,
-        /איך/,
-        /מתי/,
-        /איפה/,
-        /כמה/,
-        /אפשר/,
-    ];
-    
-    // Check for indicators
-    const hasHebrew = hebrewIndicators.some(indicator => text.includes(indicator));
-    const hasEnglish = englishIndicators.some(indicator => lowerText.includes(indicator));
-    const hasTime = timePatterns.some(pattern => pattern.test(text));
-    const hasAmount = amountPatterns.some(pattern => pattern.test(text));
-    const hasUrl = urlPatterns.some(pattern => pattern.test(text));
-    const hasQuestion = questionPatterns.some(pattern => pattern.test(text));
-    
-    // Lower threshold for analysis - if any indicator is found, analyze
-    return hasHebrew || hasEnglish || hasTime || hasAmount || hasUrl || hasQuestion;
-}
-
-const TASK_DETECTION_PROMPT = `
+// Resolve (and cache) the command chat so scheduled messages can be pushed to it
+async function getCommandChatId() {
+    if (commandChatId) {
+        return commandChatId;
+    }
+    const chats = await client.getChats();
+    const commandChat = chats.find(chat => (chat.name || '').includes(BOT_COMMAND_CHAT));
+    if (commandChat) {
+        commandChatId = commandChat.id._serialized;
+    }
+    return commandChatId;
+}
+
+function formatReminder(reminder) {
+    return `⏰ Reminder (${reminders.formatOffset(reminder.offset_minutes)} before)\n\n` +
+           formatSingleTask(reminder.task, null, false).trimEnd();
+}
+
+async function checkReminders() {
+    // Skip while disconnected or reconnecting; claimed reminders are only
+    // marked sent once, so overlapping or repeated checks cannot double-send
+    if (!isWhatsAppConnected || isCheckingReminders) {
+        return;
+    }
+    isCheckingReminders = true;
+    
+    try {
+        await reminders.syncReminders(pool, REMINDER_LEAD_TIMES);
+        const dueReminders = await reminders.claimDueReminders(pool);
+        if (dueReminders.length === 0) {
+            return;
+        }
+        
+        const chatId = await getCommandChatId();
+        for (const reminder of dueReminders) {
+            try {
+                if (!chatId) {
+                    throw new Error(`command chat "${BOT_COMMAND_CHAT}" not found`);
+                }
+                await client.sendMessage(chatId, formatReminder(reminder));
+                console.log(`⏰ Reminder sent for task ${reminder.task_id} (${reminders.formatOffset(reminder.offset_minutes)} before)`);
+            } catch (error) {
+                console.error(`❌ Failed to send reminder for task ${reminder.task_id}:`, error.message);
+                await reminders.releaseReminder(pool, reminder.reminder_id);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Reminder check failed:', error.message);
+    } finally {
+        isCheckingReminders = false;
+    }
+}
+
+function startReminderScheduler() {
+    // Started once per process (not on every 'ready'), so reconnects never add a second loop
+    if (reminderInterval) {
+        return;
+    }
+    reminderInterval = setInterval(checkReminders, REMINDER_CHECK_INTERVAL);
+    console.log(`⏰ Reminder scheduler started (lead times: ${REMINDER_LEAD_TIMES.map(reminders.formatOffset).join(', ')})`);
+}
+
+function formatDigestSection(title, tasks) {
+    if (tasks.length === 0) {
+        return '';
+    }
+    
+    let section = `${title} (${tasks.length}):\n`;
+    tasks.slice(0, DIGEST_SECTION_LIMIT).forEach(task => {
+        section += formatSingleTask(task, null, task.status === 'completed');
+    });
+    if (tasks.length > DIGEST_SECTION_LIMIT) {
+        section += `   ...and ${tasks.length - DIGEST_SECTION_LIMIT} more\n\n`;
+    }
+    return section;
+}
+
+function formatLocalDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+function formatDailyDigest(data) {
+    const sections = [
+        formatDigestSection('📅 **TODAY**', data.todayEvents),
+        formatDigestSection('⚠️ **OVERDUE**', data.overdueTasks),
+        formatDigestSection('💰 **OPEN PAYMENTS**', data.openPayments),
+        formatDigestSection('🆕 **NEW SINCE YESTERDAY**', data.newTasks)
+    ].join('');
+    
+    let message = `☀️ Daily Digest - ${formatLocalDate(data.dateKey)}\n\n`;
+    message += sections || `Nothing scheduled and nothing overdue! 🎉\n\n`;
+    message += `💡 Commands: /pending /tasks /digest off`;
+    return message;
+}
+
+function formatWeeklyDigest(data) {
+    let message = `🗓️ Weekly Overview - week of ${formatLocalDate(data.dateKey)}\n\n`;
+    message += `📊 Last 7 days: ${data.stats.created_count} new, ${data.stats.completed_count} completed\n`;
+    message += `⏳ Pending now: ${data.stats.pending_count}\n\n`;
+    message += [
+        formatDigestSection('📅 **THIS WEEK**', data.weekEvents),
+        formatDigestSection('⚠️ **OVERDUE**', data.overdueTasks),
+        formatDigestSection('💰 **OPEN PAYMENTS**', data.openPayments)
+    ].join('');
+    message += `💡 Commands: /pending /tasks /digest weekly off`;
+    return message;
+}
+
+async function buildDigest(type, now) {
+    if (type === 'weekly') {
+        return formatWeeklyDigest(await digest.getWeeklyDigestData(pool, now, BOT_TIMEZONE));
+    }
+    return formatDailyDigest(await digest.getDailyDigestData(pool, now, BOT_TIMEZONE));
+}
+
+async function checkDigests() {
+    if (!isWhatsAppConnected || isCheckingDigests) {
+        return;
+    }
+    isCheckingDigests = true;
+    
+    try {
+        const now = new Date();
+        const settings = await digest.getDigestSettings(pool, DIGEST_DEFAULTS);
+        
+        for (const { type, dateKey } of digest.getDueDigests(now, settings, BOT_TIMEZONE)) {
+            // digest_log makes this a no-op when the digest already went out today
+            if (!await digest.claimDigest(pool, type, dateKey)) {
+                continue;
+            }
+            
+            try {
+                const chatId = await getCommandChatId();
+                if (!chatId) {
+                    throw new Error(`command chat "${BOT_COMMAND_CHAT}" not found`);
+                }
+                await client.sendMessage(chatId, await buildDigest(type, now));
+                console.log(`📰 ${type} digest sent for ${dateKey}`);
+            } catch (error) {
+                console.error(`❌ Failed to send ${type} digest:`, error.message);
+                await digest.releaseDigest(pool, type, dateKey);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Digest check failed:', error.message);
+    } finally {
+        isCheckingDigests = false;
+    }
+}
+
+function startDigestScheduler() {
+    if (digestInterval) {
+        return;
+    }
+    digestInterval = setInterval(checkDigests, 60 * 1000);
+    console.log(`📰 Digest scheduler started (${BOT_TIMEZONE})`);
+}
+
+// Context for a queued message, as long as WhatsApp still has it
+async function getRetryContext(retry) {
+    try {
+        const msg = await client.getMessageById(retry.message_id);
+        return msg ? await getConversationContext(msg, await msg.getChat()) : null;
+    } catch (error) {
+        console.error('❌ Failed to load queued message for context:', error.message);
+        return null;
+    }
+}
+
+// One more detection attempt for a claimed detection_retries row
+async function retryDetection(retry) {
+    const message = {
+        id: { _serialized: retry.message_id },
+        from: retry.chat_id,
+        body: retry.message_text,
+        timestamp: Number(retry.message_timestamp)
+    };
+
+    let failure;
+    try {
+        // A voice note whose transcription failed is transcribed again first
+        if (retry.media_type === 'voice') {
+            const voiceNote = await client.getMessageById(retry.message_id);
+            if (!voiceNote) {
+                throw new Error('Voice note is no longer available');
+            }
+            const transcript = await transcribeVoiceNote(voiceNote, retry.chat_name);
+            const stored = await transcription.getTranscript(pool, retry.message_id);
+            if (stored && stored.error) {
+                throw new Error(`Transcription failed: ${stored.error}`);
+            }
+            if (!transcript) {
+                // Nothing was said, or the note is over the length limit
+                await retryQueue.completeRetry(pool, retry.id);
+                return;
+            }
+            message.body = transcript;
+        }
+
+        const openTasks = await followUps.getRecentOpenTasks(pool, retry.chat_id, {
+            days: FOLLOW_UP_WINDOW_DAYS,
+            limit: FOLLOW_UP_MAX_TASKS
+        });
+        const context = await getRetryContext(retry);
+        const result = await Promise.race([
+            detectTask(message, { openTasks, context }),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Task detection timeout')), 15000))
+        ]);
+
+        failure = getDetectionFailure(result);
+        if (!failure) {
+            await applyDetectionResult(result, openTasks, message, retry.chat_name, async () => retry.sender_name || 'Unknown');
+            await retryQueue.completeRetry(pool, retry.id);
+            console.log(`✅ Detection retry ${retry.id} succeeded for ${retry.chat_name} (attempt ${retry.attempts + 1})`);
+            return;
+        }
+    } catch (error) {
+        failure = error.message;
+    }
+
+    const updated = await retryQueue.recordRetryFailure(pool, retry, failure, RETRY_OPTIONS);
+    if (updated && updated.status === 'failed') {
+        console.error(`❌ Giving up on detection retry ${retry.id} after ${updated.attempts} attempts: ${failure}`);
+    } else if (updated) {
+        console.log(`🔁 Detection retry ${retry.id} failed (${failure}), next attempt ${new Date(updated.next_attempt_at).toLocaleString()}`);
+    }
+}
+
+async function processRetries() {
+    // Queued messages wait while WhatsApp is down (notices and context need it) and while
+    // an LLM budget cap is reached, so they get the LLM again once it resets
+    if (!isWhatsAppConnected || isProcessingRetries || await getBudgetMode()) {
+        return;
+    }
+    isProcessingRetries = true;
+
+    try {
+        const expired = await retryQueue.expireRetries(pool, 'budget', { maxAgeHours: BUDGET_RETRY_MAX_AGE });
+        if (expired > 0) {
+            console.log(`⌛ ${expired} message${expired === 1 ? '' : 's'} skipped over the LLM budget expired unanalysed`);
+        }
+        const retries = await retryQueue.claimDueRetries(pool);
+        for (const retry of retries) {
+            await retryDetection(retry);
+        }
+    } catch (error) {
+        console.error('❌ Retry check failed:', error.message);
+    } finally {
+        isProcessingRetries = false;
+    }
+}
+
+function startRetryWorker() {
+    if (retryInterval) {
+        return;
+    }
+    retryInterval = setInterval(processRetries, RETRY_CHECK_INTERVAL);
+    console.log(`🔁 Detection retry worker started (up to ${RETRY_OPTIONS.maxAttempts} attempts)`);
+}
+
+function formatRetryEntry(retry) {
+    const body = retry.message_text || (retry.media_type === 'voice' ? '🎙️ voice note' : '');
+    const text = body.length > 60 ? body.substring(0, 57) + '...' : body;
+    const when = retry.status === 'failed'
+        ? '❌ gave up'
+        : (retry.status === 'processing' ? '⏳ running' : `next ${new Date(retry.next_attempt_at).toLocaleString()}`);
+    return `#${retry.id} ${retry.chat_name || retry.chat_id}: "${text}"\n` +
+           `   ${retry.attempts} attempt${retry.attempts === 1 ? '' : 's'}, ${when}` +
+           `${retry.last_error ? `\n   Last error: ${retry.last_error}` : ''}\n`;
+}
+
+// One line for /status
+async function formatRetryStatus() {
+    const stats = await retryQueue.getRetryStats(pool);
+    let line = `🔁 Detection Retries: ${stats.pending + stats.processing} waiting, ${stats.failed} failed, ${stats.done} recovered`;
+    if (stats.next_attempt_at) {
+        line += `\n• Next attempt: ${new Date(stats.next_attempt_at).toLocaleString()}`;
+    }
+    return line;
+}
+
+// Looks for open tasks about the same event and proposes each new group in the command chat
+async function checkDuplicates() {
+    if (!isWhatsAppConnected || isCheckingDuplicates) {
+        return;
+    }
+    isCheckingDuplicates = true;
+
+    try {
+        const created = await proposeMerges();
+        if (created.length > 0) {
+            const suggestions = (await taskMerge.getPendingMergeSuggestions(pool))
+                .filter(suggestion => created.some(entry => entry.id === suggestion.id));
+            await sendCommandChatNotice(`🔀 These tasks look like the same event:\n\n` +
+                suggestions.map(formatMergeSuggestion).join('\n') +
+                `Reply /merge <id> to merge them or /merge dismiss <id> to keep them apart.`);
+        }
+    } catch (error) {
+        console.error('❌ Duplicate task check failed:', error.message);
+    } finally {
+        isCheckingDuplicates = false;
+    }
+}
+
+function startDedupeWorker() {
+    if (dedupeInterval || DEDUPE_CHECK_INTERVAL === 0) {
+        return;
+    }
+    dedupeInterval = setInterval(checkDuplicates, DEDUPE_CHECK_INTERVAL);
+    console.log(`🔀 Duplicate task check started (every ${Math.round(DEDUPE_CHECK_INTERVAL / 60000)} minutes)`);
+}
+
+async function proposeMerges() {
+    const created = await taskMerge.proposeMerges(pool, {
+        days: DEDUPE_WINDOW_DAYS,
+        timeWindowHours: DEDUPE_TIME_WINDOW_HOURS
+    });
+    if (created.length > 0) {
+        console.log(`🔀 Proposed ${created.length} task merge${created.length === 1 ? '' : 's'}`);
+    }
+    return created;
+}
+
+// A suggestion with its tasks; the one the others would be merged into comes first
+function formatMergeSuggestion(suggestion) {
+    const tasks = [...suggestion.tasks].sort((a, b) =>
+        (b.id === suggestion.canonical_task_id) - (a.id === suggestion.canonical_task_id) || a.id - b.id);
+    return `#${suggestion.id} (${tasks.length} tasks, ⭐ is kept):\n` +
+           tasks.map((task, index) => (index === 0 ? '⭐ ' : '') + formatSingleTask(task, null, false)).join('');
+}
+
+// /merge lists the proposed merges (after a fresh check), /merge <id> accepts one and
+// /merge dismiss <id> keeps its tasks apart
+async function handleMergeCommand(args, msg) {
+    const action = (args[0] || '').toLowerCase();
+
+    if (!action) {
+        await proposeMerges();
+        const suggestions = await taskMerge.getPendingMergeSuggestions(pool);
+        if (suggestions.length === 0) {
+            return `✅ No open tasks look like the same event.`;
+        }
+        return `🔀 Proposed Merges\n\n` +
+               suggestions.map(formatMergeSuggestion).join('\n') +
+               `Reply /merge <id> to merge or /merge dismiss <id> to keep them apart.`;
+    }
+
+    const isDismiss = action === 'dismiss';
+    const suggestionId = parseInt(isDismiss ? args[1] : args[0]);
+    if (isNaN(suggestionId)) {
+        return `❌ Usage: /merge [<id>|dismiss <id>]`;
+    }
+
+    if (isDismiss) {
+        const suggestion = await taskMerge.resolveMergeSuggestion(pool, suggestionId, 'dismissed');
+        return suggestion
+            ? `👌 Kept apart: ${suggestion.task_ids.length} tasks from merge #${suggestionId}`
+            : `ℹ️ Merge ${suggestionId} was not found or has already been answered.`;
+    }
+
+    const contact = await msg.getContact();
+    const result = await taskMerge.acceptMergeSuggestion(pool, suggestionId, { changedBy: contact.pushname || 'Unknown' });
+    if (!result) {
+        return `ℹ️ Merge ${suggestionId} was not found or has already been answered.`;
+    }
+    if (!result.task) {
+        return `ℹ️ The tasks of merge ${suggestionId} are no longer open, nothing was merged.`;
+    }
+    return `🔀 Merged ${result.merged_task_ids.length + 1} tasks into:\n\n` +
+           formatSingleTask(result.task, null, false).trimEnd();
+}
+
+// One line for /status
+async function formatAttachmentStatus() {
+    if (!textExtractor) {
+        return `📎 Images & PDFs: not read (ATTACHMENTS_ENABLED is not set)`;
+    }
+    const stats = await attachments.getAttachmentStats(pool);
+    return `📎 Images & PDFs: ${stats.processed} read, ${stats.failed} failed (OCR languages ${ATTACHMENT_CONFIG.ocrLanguages})`;
+}
+
+// One line for /status
+async function formatTranscriptionStatus() {
+    if (!transcriber) {
+        return `🎙️ Voice Notes: not transcribed (TRANSCRIPTION_PROVIDER is not set)`;
+    }
+    const stats = await transcription.getTranscriptionStats(pool);
+    return `🎙️ Voice Notes: ${TRANSCRIPTION_CONFIG.provider} (${transcription.getTranscriptionModel(TRANSCRIPTION_CONFIG)}), ` +
+           `${stats.transcribed} transcribed, ${stats.failed} failed`;
+}
+
+// One line for /status
+async function formatCacheStatus() {
+    const stats = await detectionCache.getCacheStats(pool);
+    return `♻️ Detection Cache: ${DETECTION_CACHE_DAYS > 0 ? `${stats.entries} results, reused ${stats.hits} times` : 'off'}, ` +
+           `${stats.linked_tasks} duplicate task${stats.linked_tasks === 1 ? '' : 's'} linked`;
+}
+
+// /retry [all|<id>]
+async function handleRetryCommand(args) {
+    const action = (args[0] || '').toLowerCase();
+
+    if (!action) {
+        const queue = await retryQueue.getRetryQueue(pool);
+        if (queue.length === 0) {
+            return `✅ No failed detections are waiting for a retry.`;
+        }
+        return `🔁 Detection Retry Queue\n\n${queue.map(formatRetryEntry).join('\n')}\n` +
+               `💡 /retry all - retry everything now, /retry <id> - retry one message now`;
+    }
+
+    const id = action === 'all' ? null : parseInt(action);
+    if (action !== 'all' && (isNaN(id) || id < 1)) {
+        return `❌ Usage: /retry [all|<id>]`;
+    }
+    const count = await retryQueue.retryNow(pool, id);
+    if (count === 0) {
+        return action === 'all'
+            ? `✅ No failed detections are waiting for a retry.`
+            : `❌ Retry #${id} not found or already done.`;
+    }
+    // Run now instead of waiting for the next check; the worker skips if it is already busy
+    processRetries();
+    return `🔁 Retrying ${count} message${count === 1 ? '' : 's'} now.`;
+}
+
+function formatPercent(part, total) {
+    return total > 0 ? `${Math.round(part / total * 100)}%` : '-';
+}
+
+function formatSignals(signals) {
+    const entries = Object.entries(signals || {});
+    return entries.length > 0 ? entries.map(([name, weight]) => `${name} +${weight}`).join(', ') : 'no signals';
+}
+
+function formatChatProfile(profile) {
+    const list = (values, empty) => values && values.length > 0 ? values.join(', ') : empty;
+    return `⚙️ Detection profile: ${profile.chat_name}\n\n` +
+           `• Task types: ${list(profile.task_types, 'all')}\n` +
+           `• Extra keywords: ${list(profile.extra_keywords, 'none')}\n` +
+           `• Review threshold: ${profile.confidence_threshold !== null ? profile.confidence_threshold : `global (${REVIEW_CONFIDENCE_THRESHOLD})`}\n` +
+           `• Allowed senders: ${list(profile.allowed_senders, 'everyone')}\n` +
+           `• Blocked senders: ${list(profile.blocked_senders, 'none')}\n` +
+           `• Instructions: ${profile.prompt_instructions ? `"${profile.prompt_instructions}"` : 'none'}`;
+}
+
+// /chatconfig <n> [reset | <setting> <value>], with n from /chats or /allchats
+async function handleChatConfigCommand(args) {
+    const usage = `Usage: /chatconfig <number> [<setting> <value>|reset]\n` +
+                  `Settings: types (${taskActions.TASK_TYPES.join(', ')}), keywords, instructions, confidence, allow, deny\n` +
+                  `Use "none" as the value to go back to the global behaviour.`;
+    const chatNumber = parseInt(args[0]);
+    if (isNaN(chatNumber)) {
+        return `❌ ${usage}`;
+    }
+    const chatList = await getNumberedChatList(chatNumber);
+    if (chatNumber < 1 || chatNumber > chatList.length) {
+        return `❌ Invalid chat number. Use /chats for recent chats or /allchats for all chats (1-${chatList.length}).`;
+    }
+    const chatId = chatList[chatNumber - 1].chat_id;
+
+    const setting = (args[1] || '').toLowerCase();
+    if (!setting) {
+        return `${formatChatProfile(await chatProfiles.getChatProfile(pool, chatId))}\n\n💡 ${usage}`;
+    }
+    if (setting === 'reset') {
+        return `✅ Profile reset to the global settings.\n\n${formatChatProfile(await chatProfiles.resetChatProfile(pool, chatId))}`;
+    }
+    if (args.length < 3) {
+        return `❌ ${usage}`;
+    }
+
+    let profile;
+    try {
+        profile = await chatProfiles.updateChatProfile(pool, chatId, { [setting]: args.slice(2).join(' ') });
+    } catch (error) {
+        return `❌ ${error.message}`;
+    }
+    return `✅ Profile updated.\n\n${formatChatProfile(profile)}`;
+}
+
+// /prefilter [stats [days]|test <text>]
+async function handlePrefilterCommand(args) {
+    const action = (args[0] || '').toLowerCase();
+
+    if (!action) {
+        const weights = prefilter.PREFILTER_SIGNALS.map(signal => `${signal.name} ${signal.weight}`).join(', ');
+        return `🧮 Prefilter\n\n` +
+               `• Threshold: ${PREFILTER_THRESHOLD}${PREFILTER_THRESHOLD === 0 ? ' (every message is analysed)' : ''}\n` +
+               `• Signal weights: ${weights}\n\n` +
+               `💡 /prefilter stats [days] - pass rate and task yield per chat\n` +
+               `/prefilter test <text> - score a message`;
+    }
+
+    if (action === 'test') {
+        const text = args.slice(1).join(' ');
+        if (!text) {
+            return `❌ Usage: /prefilter test <text>`;
+        }
+        const result = scorePrefilter(text);
+        return `🧮 Score ${result.score} (threshold ${PREFILTER_THRESHOLD}): ${result.passed ? '✅ analysed' : '⏭️ skipped'}\n` +
+               `Signals: ${formatSignals(result.signals)}`;
+    }
+
+    if (action !== 'stats') {
+        return `❌ Usage: /prefilter [stats [days]|test <text>]`;
+    }
+
+    const days = args[1] ? parseInt(args[1]) : 30;
+    if (isNaN(days) || days < 1) {
+        return `❌ Usage: /prefilter stats [days]`;
+    }
+    const chats = await prefilter.getPrefilterStats(pool, { days });
+    if (chats.length === 0) {
+        return `🧮 No messages processed in the last ${days} days.`;
+    }
+
+    let message = `🧮 Prefilter Stats (last ${days} days, threshold ${PREFILTER_THRESHOLD})\n\n`;
+    const totals = { messages: 0, passed: 0, analyzed: 0, tasks: 0 };
+    for (const chat of chats) {
+        message += `${chat.chat_name || chat.chat_id}: ${chat.messages} messages, ` +
+                   `${formatPercent(chat.passed, chat.messages)} passed, ` +
+                   `${chat.tasks} task${chat.tasks === 1 ? '' : 's'} (${formatPercent(chat.tasks, chat.analyzed)} of analysed)\n`;
+        for (const key of Object.keys(totals)) {
+            totals[key] += chat[key];
+        }
+    }
+    message += `\nTotal: ${formatPercent(totals.passed, totals.messages)} of ${totals.messages} messages passed, ` +
+               `${totals.analyzed} analysed, ${totals.tasks} tasks (${formatPercent(totals.tasks, totals.analyzed)} yield)\n`;
+
+    const signals = await prefilter.getSignalStats(pool, { days });
+    if (signals.length > 0) {
+        message += `\nTask yield by signal:\n` +
+                   signals.map(signal => `• ${signal.signal}: ${signal.tasks}/${signal.analyzed} (${formatPercent(signal.tasks, signal.analyzed)})`).join('\n') + '\n';
+    }
+    message += `\n💡 A low yield means the threshold (PREFILTER_THRESHOLD) could go up; ` +
+               `tasks added with /add that the bot never saw (/feedback stats) suggest it could go down.`;
+    return message;
+}
+
+// onUsage of the LLM client: stores the tokens and cost of every request
+async function recordLLMUsage(usage) {
+    try {
+        const price = costs.getModelPrice(usage.model, { provider: usage.provider, prices: LLM_PRICES });
+        await costs.recordUsage(pool, { ...usage, cost: costs.computeCost(price, usage.promptTokens, usage.completionTokens) });
+    } catch (error) {
+        console.error('❌ Failed to record LLM usage:', error.message);
+    }
+}
+
+// Budget period the command chat was last told about, so each cap is announced once
+let budgetAlertKey = null;
+
+// null within budget, otherwise LLM_BUDGETS.mode (rules or prefilter) until the cap resets
+async function getBudgetMode() {
+    if (LLM_BUDGETS.daily === 0 && LLM_BUDGETS.monthly === 0) {
+        return null;
+    }
+
+    try {
+        const now = new Date();
+        const status = await costs.getBudgetStatus(pool, { ...LLM_BUDGETS, now, timeZone: BOT_TIMEZONE });
+        if (!status.exceeded) {
+            return null;
+        }
+
+        const period = status.exceeded === 'daily' ? 'day' : 'month';
+        const alertKey = `${period}:${costs.getPeriodStart(period, now, BOT_TIMEZONE).toISOString()}`;
+        if (budgetAlertKey !== alertKey) {
+            budgetAlertKey = alertKey;
+            const { spent, budget } = status[status.exceeded];
+            console.warn(`💸 ${status.exceeded} LLM budget reached (${formatCost(spent)} of ${formatCost(budget)}), switching to ${LLM_BUDGETS.mode}`);
+            await sendCommandChatNotice(`💸 ${status.exceeded === 'daily' ? 'Daily' : 'Monthly'} LLM budget reached: ` +
+                `${formatCost(spent)} of ${formatCost(budget)}\n\n` +
+                (LLM_BUDGETS.mode === 'rules'
+                    ? `Tasks are detected with rules only`
+                    : `Messages are only scored by the prefilter and not analysed`) +
+                ` until ${period === 'day' ? 'midnight' : 'the start of next month'}.\n💡 /costs shows where it went.`);
+        }
+        return LLM_BUDGETS.mode;
+    } catch (error) {
+        console.error('❌ Failed to check the LLM budget:', error.message);
+        return null;
+    }
+}
+
+function formatCost(usd) {
+    return `$${usd > 0 && usd < 1 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
+
+function formatTokens(count) {
+    return count >= 10000 ? `${Math.round(count / 1000)}k` : String(count);
+}
+
+function formatBudgetLine(label, { spent, budget }) {
+    return budget > 0
+        ? `• ${label}: ${formatCost(spent)} of ${formatCost(budget)} (${formatPercent(spent, budget)})${spent >= budget ? ' ⚠️ reached' : ''}`
+        : `• ${label}: no cap`;
+}
+
+// /costs [day|week|month]
+async function handleCostsCommand(args) {
+    const period = (args[0] || 'day').toLowerCase();
+    if (!costs.COST_PERIODS.includes(period)) {
+        return `❌ Usage: /costs [${costs.COST_PERIODS.join('|')}]`;
+    }
+
+    const summary = await costs.getCostSummary(pool, { period, timeZone: BOT_TIMEZONE });
+    const labels = { day: 'today', week: 'last 7 days', month: 'this month' };
+    let message = `💰 LLM Costs (${labels[period]})\n\n`;
+    if (summary.requests === 0) {
+        message += `No LLM requests.\n`;
+    } else {
+        message += `• Requests: ${summary.requests}\n` +
+                   `• Tokens: ${formatTokens(summary.prompt_tokens)} prompt, ${formatTokens(summary.completion_tokens)} completion\n` +
+                   `• Cost: ${formatCost(summary.cost)}` +
+                   `${summary.unpriced > 0 ? ` (+ ${summary.unpriced} request${summary.unpriced === 1 ? '' : 's'} without a price, see LLM_PRICES)` : ''}\n`;
+
+        message += `\nBy chat:\n` + summary.by_chat.slice(0, 10)
+            .map(chat => `• ${chat.chat_name || chat.chat_id || 'Other'}: ${formatCost(chat.cost)} (${chat.requests} request${chat.requests === 1 ? '' : 's'})`)
+            .join('\n') + '\n';
+        if (summary.by_model.length > 1) {
+            message += `\nBy model:\n` + summary.by_model
+                .map(model => `• ${model.model || 'unknown'}: ${formatCost(model.cost)} (${model.requests})`)
+                .join('\n') + '\n';
+        }
+    }
+
+    const budget = await costs.getBudgetStatus(pool, { ...LLM_BUDGETS, timeZone: BOT_TIMEZONE });
+    message += `\nBudget:\n${formatBudgetLine('Today', budget.daily)}\n${formatBudgetLine('This month', budget.monthly)}`;
+    if (budget.exceeded) {
+        message += `\n\n💸 Over budget: ${LLM_BUDGETS.mode === 'rules' ? 'rule-based detection only' : 'prefilter only, nothing is analysed'} until it resets.`;
+    }
+    return message;
+}
+
+function formatPrecision(detected, falsePositives) {
+    return formatPercent(detected - falsePositives, detected);
+}
+
+// /feedback [stats]
+async function handleFeedbackCommand(args) {
+    const action = (args[0] || '').toLowerCase();
+
+    if (!action) {
+        const recent = await feedback.getRecentFeedback(pool, { days: FEEDBACK_WINDOW_DAYS, limit: 10 });
+        if (recent.length === 0) {
+            return `📝 No detection feedback yet.\n\n` +
+                   `💡 /delete <n> notask, /review and /add (or forwarding a message here) teach the detector.`;
+        }
+        const lines = recent.map(entry => {
+            const text = entry.message_text.replace(/\s+/g, ' ');
+            return `${entry.verdict === 'task' ? '✅ task' : '❌ not a task'} (${entry.source}) ${entry.chat_name || entry.chat_id || ''}: ` +
+                   `"${text.length > 80 ? text.substring(0, 77) + '...' : text}"`;
+        });
+        return `📝 Recent Detection Feedback\n\n${lines.join('\n')}\n\n` +
+               `💡 ${FEEDBACK_EXAMPLES > 0 ? `Up to ${FEEDBACK_EXAMPLES} relevant examples go into each detection request.` : 'Examples are off (FEEDBACK_EXAMPLES=0).'} /feedback stats shows precision by week.`;
+    }
+
+    if (action !== 'stats') {
+        return `❌ Usage: /feedback [stats]`;
+    }
+
+    const weeks = await feedback.getFeedbackStats(pool, { weeks: 8 });
+    let message = `📈 Detection Precision (last ${weeks.length} weeks)\n\n`;
+    const totals = { detected: 0, false_positives: 0, missed: 0 };
+    for (const week of weeks) {
+        const label = new Date(week.week).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        message += `Week of ${label}: ${week.detected} detected, ${week.false_positives} wrong → ` +
+                   `${formatPrecision(week.detected, week.false_positives)}, ${week.missed} missed\n`;
+        totals.detected += week.detected;
+        totals.false_positives += week.false_positives;
+        totals.missed += week.missed;
+    }
+    message += `\nTotal: ${totals.detected} detected, ${totals.false_positives} wrong ` +
+               `(${formatPrecision(totals.detected, totals.false_positives)} precision), ${totals.missed} missed\n\n` +
+               `💡 "Wrong" counts tasks deleted with /delete <n> notask or discarded in /review; ` +
+               `"missed" counts tasks added with /add or forwarded here.`;
+    return message;
+}
+
+async function handleDigestCommand(args) {
+    const action = (args[0] || '').toLowerCase();
+    const value = (args[1] || '').toLowerCase();
+    let settings;
+    
+    switch (action) {
+        case '':
+            settings = await digest.getDigestSettings(pool, DIGEST_DEFAULTS);
+            return `📰 Digest Settings\n\n` +
+                   `• Daily digest: ${settings.is_enabled ? '✅ On' : '❌ Off'}\n` +
+                   `• Time: ${settings.send_time} (${BOT_TIMEZONE})\n` +
+                   `• Sunday weekly overview: ${settings.weekly_enabled ? '✅ On' : '❌ Off'}\n\n` +
+                   `💡 /digest on|off, /digest time HH:MM, /digest weekly on|off, /digest now`;
+            
+        case 'on':
+        case 'off':
+            await digest.updateDigestSettings(pool, DIGEST_DEFAULTS, { is_enabled: action === 'on' });
+            return action === 'on'
+                ? `✅ Digest turned on.`
+                : `🔕 Digest turned off.`;
+            
+        case 'time': {
+            const sendTime = digest.parseDigestTime(value);
+            if (!sendTime) {
+                return `❌ Invalid time. Usage: /digest time HH:MM (e.g. /digest time 07:30)`;
+            }
+            await digest.updateDigestSettings(pool, DIGEST_DEFAULTS, { send_time: sendTime });
+            return `✅ Digest will be sent daily at ${sendTime} (${BOT_TIMEZONE}).`;
+        }
+            
+        case 'weekly':
+            if (value !== 'on' && value !== 'off') {
+                return `❌ Usage: /digest weekly on|off`;
+            }
+            await digest.updateDigestSettings(pool, DIGEST_DEFAULTS, { weekly_enabled: value === 'on' });
+            return `✅ Sunday weekly overview turned ${value}.`;
+            
+        case 'now':
+            return await buildDigest(value === 'week' ? 'weekly' : 'daily', new Date());
+            
+        default:
+            return `❌ Unknown digest option: ${action}\n\nUse /digest to see settings and options.`;
+    }
+}
+
+// /llm [mode|provider|model|url|temperature|timeout <value>|reset|test]
+async function handleLLMCommand(args) {
+    const action = (args[0] || '').toLowerCase();
+    const value = args.slice(1).join(' ').trim();
+    
+    switch (action) {
+        case '': {
+            const config = llmClient.config;
+            return `🧠 LLM Settings\n\n` +
+                   `• Detection: ${config.mode === 'rules' ? 'rules only (no LLM)' : 'LLM'}` +
+                   `${config.mode === 'llm' && LLM_FALLBACK_TO_RULES ? ', rules when the LLM fails' : ''}\n` +
+                   `• Provider: ${config.provider}\n` +
+                   `• Model: ${config.model}\n` +
+                   `• URL: ${config.baseUrl}\n` +
+                   `• Temperature: ${config.temperature}\n` +
+                   `• Timeout: ${config.timeoutMs / 1000}s\n` +
+                   `• API key: ${config.apiKey ? 'set' : 'not set'}\n\n` +
+                   `💡 /llm mode ${llm.DETECTION_MODES.join('|')}, /llm provider ${llm.LLM_PROVIDERS.join('|')}, /llm model <name>, /llm url <url|default>, ` +
+                   `/llm temperature 0-2, /llm timeout <seconds>, /llm reset, /llm test`;
+        }
+            
+        case 'mode': {
+            const mode = value.toLowerCase();
+            if (!llm.DETECTION_MODES.includes(mode)) {
+                return `❌ Usage: /llm mode ${llm.DETECTION_MODES.join('|')}`;
+            }
+            await llm.updateLLMSettings(pool, { detection_mode: mode });
+            break;
+        }
+            
+        case 'provider': {
+            const provider = llm.normalizeProvider(value);
+            if (!provider) {
+                return `❌ Unknown provider. Use one of: ${llm.LLM_PROVIDERS.join(', ')}`;
+            }
+            // A model or URL chosen for another provider rarely fits the new one
+            await llm.updateLLMSettings(pool, { provider, model: null, base_url: null });
+            break;
+        }
+            
+        case 'model':
+            if (!value) {
+                return `❌ Usage: /llm model <name> (or "default")`;
+            }
+            await llm.updateLLMSettings(pool, { model: value.toLowerCase() === 'default' ? null : value });
+            break;
+            
+        case 'url':
+            if (value.toLowerCase() !== 'default' && !/^https?:\/\/\S+$/i.test(value)) {
+                return `❌ Usage: /llm url <http(s)://host:port/v1> (or "default")`;
+            }
+            await llm.updateLLMSettings(pool, { base_url: value.toLowerCase() === 'default' ? null : value });
+            break;
+            
+        case 'temperature': {
+            const temperature = parseFloat(value);
+            if (isNaN(temperature) || temperature < 0 || temperature > 2) {
+                return `❌ Usage: /llm temperature <0-2>`;
+            }
+            await llm.updateLLMSettings(pool, { temperature });
+            break;
+        }
+            
+        case 'timeout': {
+            const seconds = parseInt(value);
+            if (isNaN(seconds) || seconds < 1 || seconds > 600) {
+                return `❌ Usage: /llm timeout <seconds, 1-600>`;
+            }
+            await llm.updateLLMSettings(pool, { timeout_ms: seconds * 1000 });
+            break;
+        }
+            
+        case 'reset':
+            await llm.updateLLMSettings(pool, {
+                provider: null, base_url: null, model: null, temperature: null, timeout_ms: null, detection_mode: null
+            });
+            break;
+            
+        case 'test': {
+            if (llmClient.config.mode === 'rules') {
+                return `ℹ️ Rule-based detection is on, no LLM is used. Switch back with /llm mode llm.`;
+            }
+            const started = Date.now();
+            const result = await detectTask({ body: 'Dentist appointment tomorrow at 10:00', timestamp: Math.floor(started / 1000) });
+            if (result.budget_exceeded) {
+                return `💸 The LLM budget is used up, so no request was sent. See /costs.`;
+            }
+            if (result.error || result.fallback) {
+                return `❌ The LLM request failed (${llmClient.config.provider}, ${llmClient.config.model}). Check the bot logs.`;
+            }
+            return `✅ ${llmClient.config.provider} (${llmClient.config.model}) answered in ${((Date.now() - started) / 1000).toFixed(1)}s\n` +
+                   `is_task: ${result.is_task}${result.summary ? `, summary: ${result.summary}` : ''}`;
+        }
+            
+        default:
+            return `❌ Unknown LLM option: ${action}\n\nUse /llm to see settings and options.`;
+    }
+    
+    await loadLLMSettings();
+    const { mode, provider, model, baseUrl } = llmClient.config;
+    if (mode === 'rules') {
+        return `✅ LLM settings updated: rule-based detection only, messages are not sent to an LLM`;
+    }
+    return `✅ LLM settings updated: ${provider} (${model}) at ${baseUrl}\n💡 Send /llm test to check the connection.`;
+}
+
+// Weighted prefilter (prefilter.js): { score, signals, passed } for a message text,
+// with the extra keywords of the chat's profile
+function scorePrefilter(text, profile = null) {
+    return prefilter.scoreMessage(text, {
+        threshold: PREFILTER_THRESHOLD,
+        keywords: profile && profile.extra_keywords
+    });
+}
+
+// Detection profile of a chat (chat-profiles.js); the global settings apply when it
+// cannot be loaded
+async function loadChatProfile(chatId) {
+    if (!chatId) {
+        return null;
+    }
+    try {
+        return await chatProfiles.getChatProfile(pool, chatId);
+    } catch (error) {
+        console.error('❌ Failed to load chat profile:', error.message);
+        return null;
+    }
+}
+
+// { name, id } of a WhatsApp message's sender, for the profile's allow/deny lists
+function getMessageSender(message) {
+    return { name: conversationContext.getSenderName(message), id: message.author || message.from };
+}
+
+// Task types and criteria shared by the single-message and batch prompts
+const TASK_DETECTION_GUIDE = `
 You are an expert assistant that analyzes WhatsApp messages to identify actionable tasks and events. You excel at understanding context, dates, and Hebrew/English mixed content.
 
 TASK TYPES TO DETECT:
@@ -347,7 +1306,23 @@ DETECTION CRITERIA:
 - Action words (need to, must, should, remember, don't forget)
 - Questions that imply action needed
 - Links that require action (registration, payment, etc.)
-- Appointments or scheduled activities
+- Appointments or scheduled activities`;
+
+const TASK_DETECTION_EXAMPLES = `EXAMPLES:
+✅ TASKS:
+- "Meeting tomorrow at 3pm" → event
+- "Pay 50₪ for dinner" → payment  
+- "Don't forget to call mom" → reminder
+- "Can you check this link?" → request
+- "Registration closes Friday" → event with deadline
+
+❌ NOT TASKS:
+- "How are you?" → general conversation
+- "Thanks!" → acknowledgment
+- "I went to the store" → past event report
+- "The weather is nice" → observation`;
+
+const TASK_DETECTION_PROMPT = `${TASK_DETECTION_GUIDE}
 
 IMPORTANT DATE PROCESSING:
 Message was sent on: \${MESSAGE_DATE}
@@ -374,22 +1349,57 @@ For non-tasks:
   "is_task": false
 }
 
-EXAMPLES:
-✅ TASKS:
-- "Meeting tomorrow at 3pm" → event
-- "Pay 50₪ for dinner" → payment  
-- "Don't forget to call mom" → reminder
-- "Can you check this link?" → request
-- "Registration closes Friday" → event with deadline
+${TASK_DETECTION_EXAMPLES}
+\${FEEDBACK}\${CHAT_PROFILE}\${OPEN_TASKS}\${CONVERSATION}
+Message text: "\${MESSAGE_TEXT}"
+Response:`;
+
+const BATCH_DETECTION_PROMPT = `${TASK_DETECTION_GUIDE}
+
+IMPORTANT DATE PROCESSING:
+Each message shows when it was sent. Resolve relative dates against that message's own date:
+- "tomorrow"/"מחר" = day after the message date
+- "today"/"היום" = same day as the message date
+- "next week"/"שבוע הבא" = following week
+- "Monday"/"שני" = next occurrence of that day
+- Hebrew dates: Convert Jewish calendar references if mentioned
+
+MESSAGES from the chat "\${CHAT_NAME}" (oldest first, each with its id):
+\${MESSAGES}
+
+RESPONSE FORMAT:
+Return one JSON object with a "results" array holding exactly one entry for every message id above:
+{
+  "results": [
+    {
+      "id": "m1",
+      "is_task": true,
+      "types": ["event"|"payment"|"reminder"|"request"],
+      "summary": "Brief, clear description of what needs to be done",
+      "event_time": "2025-07-03T15:30:00" (if time/date mentioned),
+      "amount": "150₪" (if payment mentioned),
+      "link": "https://..." (if URL present),
+      "confidence": 0.85 (0.0-1.0, how certain you are this is a task)
+    },
+    { "id": "m2", "is_task": false }
+  ]
+}
+Messages can explain each other ("yes, 8 works" answers an earlier question). Report each task once,
+on the message that settles it, and mark the other messages about it as not tasks.
 
-❌ NOT TASKS:
-- "How are you?" → general conversation
-- "Thanks!" → acknowledgment
-- "I went to the store" → past event report
-- "The weather is nice" → observation
+${TASK_DETECTION_EXAMPLES}
+\${CHAT_PROFILE}Response:`;
 
-Message text: "\${MESSAGE_TEXT}"
-Response:`;
+// Sent once when an answer fails validation (detection-schema.js)
+const REPAIR_PROMPT = `\${PROMPT}
+
+YOUR PREVIOUS ANSWER COULD NOT BE USED:
+\${ISSUES}
+
+Previous answer:
+\${RESPONSE}
+
+Reply again with only the corrected JSON object, in the response format above.`;
 
 const rateLimiter = {
     lastCall: 0,
@@ -679,7 +1689,102 @@ client.on('change_battery', (batteryInfo) => {
     console.log('🔋 Phone battery:', `${batteryInfo.battery}% (${batteryInfo.plugged ? 'charging' : 'not charging'})`);
 });
 
-async function detectTask(message) {
+// Fingerprint of a message's text and local send date (detection-cache.js), or null when
+// the text is too short to tell a copy from a common reply
+function getMessageFingerprint(message) {
+    if (!message.body || !message.timestamp) {
+        return null;
+    }
+    const dateKey = dates.getLocalDayRange(new Date(message.timestamp * 1000), BOT_TIMEZONE).dateKey;
+    return detectionCache.getFingerprint(message.body, dateKey, { minLength: DETECTION_CACHE_MIN_LENGTH });
+}
+
+// Cache key for a detection, or null when the cache is off or the chat has its own prompt
+// instructions (its answers may differ from other chats')
+function getCacheFingerprint(message, profile) {
+    if (DETECTION_CACHE_DAYS === 0 || (profile && profile.prompt_instructions)) {
+        return null;
+    }
+    return getMessageFingerprint(message);
+}
+
+// The cache is best effort: without it the message is simply analysed again
+async function getCachedDetection(fingerprint) {
+    try {
+        const cached = await detectionCache.getCachedDetection(pool, fingerprint, { days: DETECTION_CACHE_DAYS });
+        return cached ? { ...cached, cached: true } : null;
+    } catch (error) {
+        console.error('❌ Failed to read the detection cache:', error.message);
+        return null;
+    }
+}
+
+async function cacheDetection(fingerprint, messageId, chatId, result) {
+    if (!fingerprint || !detectionCache.isCacheable(result)) {
+        return;
+    }
+    try {
+        await detectionCache.storeDetection(pool, fingerprint, { messageId, chatId, result });
+    } catch (error) {
+        console.error('❌ Failed to cache the detection result:', error.message);
+    }
+}
+
+// Few-shot examples for one message from the labelled feedback; detection goes on
+// without them if they cannot be loaded
+async function getFeedbackExamples(message) {
+    if (FEEDBACK_EXAMPLES === 0) {
+        return [];
+    }
+    try {
+        const recent = await feedback.getRecentFeedback(pool, { days: FEEDBACK_WINDOW_DAYS });
+        return feedback.selectFeedbackExamples(recent, {
+            text: message.body,
+            chatId: message.from || null,
+            limit: FEEDBACK_EXAMPLES
+        });
+    } catch (error) {
+        console.error('❌ Failed to load feedback examples:', error.message);
+        return [];
+    }
+}
+
+// options.openTasks: pending tasks from the same chat the message may be a follow-up to;
+// the result then also carries action/task_id/changes (see follow-ups.js).
+// options.context: earlier messages from getConversationContext.
+// options.profile: the chat's detection profile (loaded from message.from when not given);
+// its instructions go into the prompt and task types it does not track are dropped.
+// In rules mode, and when the LLM fails with LLM_FALLBACK_TO_RULES, rule-detector.js
+// answers instead; its results carry detector: 'rules' (and fallback: true on failure).
+async function detectTask(message, options = {}) {
+    const profile = options.profile !== undefined ? options.profile : await loadChatProfile(message.from);
+    return chatProfiles.applyProfileToResult(profile, await runDetection(message, { ...options, profile }));
+}
+
+async function runDetection(message, { openTasks = [], context = null, profile = null } = {}) {
+    const detectWithRules = () => ruleDetector.detectTaskRules(message.body, {
+        sentAt: new Date(message.timestamp * 1000),
+        timeZone: BOT_TIMEZONE
+    });
+    if (llmClient.config.mode === 'rules') {
+        return detectWithRules();
+    }
+
+    const fingerprint = getCacheFingerprint(message, profile);
+    const cached = fingerprint && await getCachedDetection(fingerprint);
+    if (cached) {
+        console.log(`♻️ Reusing the detection result of an identical message`);
+        return cached;
+    }
+
+    const budgetMode = await getBudgetMode();
+    if (budgetMode === 'rules') {
+        return { ...detectWithRules(), budget_exceeded: true };
+    }
+    if (budgetMode === 'prefilter') {
+        return { is_task: false, budget_exceeded: true };
+    }
+
     try {
         await rateLimiter.check();
 
@@ -691,21 +1796,165 @@ async function detectTask(message) {
             day: 'numeric'
         });
 
+        const examples = await getFeedbackExamples(message);
         const prompt = TASK_DETECTION_PROMPT
+            .replace('${FEEDBACK}', () => feedback.formatFeedbackForPrompt(examples))
+            .replace('${CHAT_PROFILE}', () => chatProfiles.formatProfileForPrompt(profile))
+            .replace('${OPEN_TASKS}', () => followUps.formatOpenTasksForPrompt(openTasks, { timeZone: BOT_TIMEZONE }))
+            .replace('${CONVERSATION}', () => conversationContext.formatContextForPrompt(context, { timeZone: BOT_TIMEZONE }))
             .replace('${MESSAGE_TEXT}', message.body)
             .replace(/\${MESSAGE_DATE}/g, messageDate);
 
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o",
-            messages: [{ role: "system", content: prompt }],
-            response_format: { type: "json_object" },
-            temperature: 0.3
-        });
+        const usage = {
+            chatId: message.from || null,
+            messageIds: message.id ? [message.id._serialized] : [],
+            purpose: 'detect'
+        };
+        const content = await llmClient.complete(prompt, usage);
+        let { result, issues } = detectionSchema.parseDetection(content);
+        let validation = issues.length > 0 ? 'coerced' : 'valid';
+
+        // One repair request; a second unusable answer counts as a failed LLM request
+        if (!result) {
+            console.warn(`⚠️ Invalid LLM response (${issues.join('; ')}), asking for a repair`);
+            await rateLimiter.check();
+            const repairPrompt = REPAIR_PROMPT
+                .replace('${PROMPT}', () => prompt)
+                .replace('${ISSUES}', () => issues.map(issue => `- ${issue}`).join('\n'))
+                .replace('${RESPONSE}', () => String(content || '').substring(0, 2000));
+            const repaired = detectionSchema.parseDetection(await llmClient.complete(repairPrompt, { ...usage, purpose: 'repair' }));
+            issues = [...issues, ...repaired.issues];
+            if (!repaired.result) {
+                await recordResponseValidation(message, 'invalid', issues);
+                throw new Error(`Invalid LLM response: ${repaired.issues.join('; ')}`);
+            }
+            result = repaired.result;
+            validation = 'repaired';
+        }
 
-        return JSON.parse(completion.choices[0].message.content);
+        await recordResponseValidation(message, validation, issues);
+        await cacheDetection(fingerprint, usage.messageIds[0], usage.chatId, result);
+        return result;
     } catch (error) {
         console.error('❌ LLM Error:', error.message);
-        return { is_task: false, error: true };
+        if (LLM_FALLBACK_TO_RULES) {
+            return { ...detectWithRules(), fallback: true, error_message: error.message };
+        }
+        return { is_task: false, error: true, error_message: error.message };
+    }
+}
+
+// One request for a batch of messages from the same chat. Returns Map(message id -> result),
+// possibly missing some messages, or null when the call failed or the response was malformed.
+// Over budget it returns null too, and detectTask applies the budget mode per message.
+async function detectTaskBatch(batch, chatName, profile = null) {
+    if (await getBudgetMode()) {
+        return null;
+    }
+
+    try {
+        await rateLimiter.check();
+
+        const prompt = BATCH_DETECTION_PROMPT
+            .replace('${CHAT_NAME}', () => chatName)
+            .replace('${CHAT_PROFILE}', () => chatProfiles.formatProfileForPrompt(profile))
+            .replace('${MESSAGES}', () => batchDetection.formatBatchMessages(batch, { timeZone: BOT_TIMEZONE }));
+
+        const content = await llmClient.complete(prompt, {
+            chatId: batch[0].chatId,
+            messageIds: batch.map(message => message.id),
+            purpose: 'batch'
+        });
+        const results = batchDetection.parseBatchResponse(llm.extractJson(content), batch);
+        if (!results) {
+            console.error(`❌ Malformed batch response for ${batch.length} messages, analysing them one by one`);
+        }
+        return results;
+    } catch (error) {
+        console.error('❌ Batch LLM Error:', error.message);
+        return null;
+    }
+}
+
+// messages: [{ id, chatId, body, timestamp (seconds), senderName }] from one chat, oldest first.
+// Returns Map(message id -> result); messages a batch did not answer go through detectTask.
+async function analyzeMessages(messages, chatName) {
+    const results = new Map();
+    const profile = messages.length > 0 ? await loadChatProfile(messages[0].chatId) : null;
+
+    // Copies of messages analysed before (forwarded from another chat) skip the batches
+    const fingerprints = new Map();
+    const uncached = [];
+    for (const message of messages) {
+        const fingerprint = llmClient.config.mode !== 'rules' ? getCacheFingerprint(message, profile) : null;
+        const cached = fingerprint && await getCachedDetection(fingerprint);
+        if (cached) {
+            results.set(message.id, chatProfiles.applyProfileToResult(profile, cached));
+        } else {
+            fingerprints.set(message.id, fingerprint);
+            uncached.push(message);
+        }
+    }
+
+    const batches = batchDetection.chunkMessages(uncached, {
+        batchSize: DETECTION_BATCH_SIZE,
+        maxTokens: DETECTION_BATCH_MAX_TOKENS
+    });
+
+    for (const batch of batches) {
+        const useBatch = batch.length > 1 && llmClient.config.mode !== 'rules';
+        const batchResults = useBatch ? await detectTaskBatch(batch, chatName, profile) : null;
+        for (const message of batch) {
+            const result = batchResults && batchResults.get(message.id);
+            if (result) {
+                await cacheDetection(fingerprints.get(message.id), message.id, message.chatId, result);
+            }
+            results.set(message.id, result
+                ? chatProfiles.applyProfileToResult(profile, result)
+                : await detectTask({
+                    id: { _serialized: message.id },
+                    from: message.chatId,
+                    body: message.body,
+                    timestamp: message.timestamp
+                }, { profile }));
+        }
+    }
+    return results;
+}
+
+// Up to CONTEXT_WINDOW_MESSAGES earlier messages from the chat plus the quoted message,
+// capped at CONTEXT_MAX_TOKENS. Detection still runs without context if fetching fails.
+async function getConversationContext(msg, chat) {
+    if (CONTEXT_WINDOW_MESSAGES === 0) {
+        return null;
+    }
+
+    try {
+        const toEntry = message => ({
+            sender: conversationContext.getSenderName(message),
+            body: message.body,
+            timestamp: message.timestamp
+        });
+        const fetched = await chat.fetchMessages({ limit: CONTEXT_WINDOW_MESSAGES + 1 });
+        const preceding = fetched
+            .filter(message => message.id._serialized !== msg.id._serialized && message.timestamp <= msg.timestamp)
+            .map(toEntry);
+
+        let quoted = null;
+        if (msg.hasQuotedMsg) {
+            const quotedMsg = await msg.getQuotedMessage();
+            quoted = quotedMsg ? toEntry(quotedMsg) : null;
+        }
+
+        return conversationContext.selectContextMessages(preceding, {
+            quoted,
+            sender: conversationContext.getSenderName(msg),
+            maxMessages: CONTEXT_WINDOW_MESSAGES,
+            maxTokens: CONTEXT_MAX_TOKENS
+        });
+    } catch (error) {
+        console.error('❌ Failed to load conversation context:', error.message);
+        return null;
     }
 }
 
@@ -718,22 +1967,159 @@ async function isMessageProcessed(messageId) {
     return result.rows.length > 0;
 }
 
-async function markMessageProcessed(messageId, chatId, hadTaskIndicators, wasAnalyzed) {
+// prefilterResult: scorePrefilter output, stored with the message when given.
+// Marking an already processed message again only adds to what is known about it.
+async function markMessageProcessed(messageId, chatId, hadTaskIndicators, wasAnalyzed, prefilterResult = null) {
     await pool.query(
-        `INSERT INTO processed_messages (message_id, chat_id, had_task_indicators, was_analyzed) 
-         VALUES ($1, $2, $3, $4) 
-         ON CONFLICT (message_id) DO NOTHING`,
-        [messageId, chatId, hadTaskIndicators, wasAnalyzed]
+        `INSERT INTO processed_messages (message_id, chat_id, had_task_indicators, was_analyzed, prefilter_score, prefilter_signals) 
+         VALUES ($1, $2, $3, $4, $5, $6) 
+         ON CONFLICT (message_id) DO UPDATE SET
+            had_task_indicators = processed_messages.had_task_indicators OR EXCLUDED.had_task_indicators,
+            was_analyzed = processed_messages.was_analyzed OR EXCLUDED.was_analyzed,
+            prefilter_score = COALESCE(EXCLUDED.prefilter_score, processed_messages.prefilter_score),
+            prefilter_signals = COALESCE(EXCLUDED.prefilter_signals, processed_messages.prefilter_signals)`,
+        [
+            messageId,
+            chatId,
+            hadTaskIndicators,
+            wasAnalyzed,
+            prefilterResult ? prefilterResult.score : null,
+            prefilterResult ? JSON.stringify(prefilterResult.signals) : null
+        ]
     );
 }
 
-async function saveTask(task, message, chatName, senderName) {
-    await pool.query(
+// Stores how the LLM answer for a processed message passed validation: valid, coerced
+// (fields fixed or dropped), repaired (needed a second request) or invalid
+async function recordResponseValidation(message, status, issues) {
+    const messageId = message.id && message.id._serialized;
+    if (!messageId) {
+        return;
+    }
+    if (issues.length > 0) {
+        console.warn(`⚠️ LLM response ${status} for ${messageId}: ${issues.join('; ')}`);
+    }
+    try {
+        await pool.query(
+            `UPDATE processed_messages SET validation_status = $2, validation_errors = $3 WHERE message_id = $1`,
+            [messageId, status, issues.length > 0 ? issues.join('; ') : null]
+        );
+    } catch (error) {
+        console.error('❌ Failed to record response validation:', error.message);
+    }
+}
+
+// Why a detection result should be tried again, or null when it can be used as it is.
+// A rules fallback that found a task is saved; one that found nothing gets the LLM again,
+// as does a message that was not analysed because the LLM budget is used up (the retry
+// worker waits for the budget to reset).
+function getDetectionFailure(result) {
+    if (result.error) {
+        return result.error_message || 'LLM request failed';
+    }
+    if (result.fallback && !result.is_task) {
+        return `${result.error_message || 'LLM request failed'} (rules found no task)`;
+    }
+    if (result.budget_exceeded && !result.is_task) {
+        return 'LLM budget reached';
+    }
+    return null;
+}
+
+// message: { id, from, body, timestamp } of a monitored chat message that is already
+// marked processed; the retry worker analyses it again later
+// 'budget' for a message that was not analysed because the LLM budget is used up
+function getRetryReason(result) {
+    return result.budget_exceeded && !result.is_task ? 'budget' : null;
+}
+
+// reason 'budget': the message was skipped over the LLM budget (capped at BUDGET_RETRY_LIMIT)
+async function queueDetectionRetry(message, chatName, error, { mediaType = null, reason = null } = {}) {
+    if (reason === 'budget' && BUDGET_RETRY_LIMIT === 0) {
+        return;
+    }
+    try {
+        const retry = await retryQueue.enqueueRetry(pool, {
+            messageId: message.id._serialized,
+            chatId: message.from,
+            chatName,
+            senderName: message.senderName || conversationContext.getSenderName(message),
+            text: message.body || '',
+            timestamp: message.timestamp,
+            mediaType,
+            reason
+        }, error, reason === 'budget' ? { ...RETRY_OPTIONS, maxQueued: BUDGET_RETRY_LIMIT } : RETRY_OPTIONS);
+        if (retry) {
+            console.log(`🔁 Queued message from ${chatName} for another detection attempt (${error})`);
+        } else if (reason === 'budget') {
+            console.log(`⏭️ Not queuing message from ${chatName}: ${BUDGET_RETRY_LIMIT} messages already wait for the LLM budget`);
+        }
+    } catch (queueError) {
+        console.error('❌ Failed to queue detection retry:', queueError.message);
+    }
+}
+
+// Saves a new task or applies a follow-up for a detection result. `message` needs id,
+// from and body; getSenderName() is only called when something is saved.
+async function applyDetectionResult(result, openTasks, message, chatName, getSenderName) {
+    const followUp = followUps.resolveFollowUp(result, openTasks);
+
+    if (followUp.action === 'create') {
+        console.log(`🎯 TASK DETECTED: ${result.summary} from ${chatName}`);
+        return await saveTask(result, message, chatName, await getSenderName());
+    }
+    if (followUp.action === 'update' || followUp.action === 'cancel') {
+        console.log(`✏️ FOLLOW-UP (${followUp.action}) for task ${followUp.task.id} from ${chatName}`);
+        const task = await followUps.applyFollowUp(pool, followUp, {
+            messageId: message.id._serialized,
+            changedBy: await getSenderName()
+        });
+        if (task) {
+            await notifyFollowUp(followUp, task, chatName);
+        }
+        return task;
+    }
+    return null;
+}
+
+// source: 'detected' (monitored chat), 'manual' (/add) or 'forwarded' (into the command chat).
+// Detected tasks below the review threshold (the chat profile's, or REVIEW_CONFIDENCE_THRESHOLD)
+// are saved as 'needs_review', and copies of a message that already has a task as 'duplicate'
+// (linked with canonical_task_id). A task from a transcribed voice note gets media_type 'voice',
+// one from an image or PDF gets media_type 'image'/'document' and its attachment_id.
+// Returns the saved row, or null when the message already has a task.
+async function saveTask(task, message, chatName, senderName, source = 'detected') {
+    let reviewThreshold = REVIEW_CONFIDENCE_THRESHOLD;
+    if (source === 'detected' && task.confidence !== null && task.confidence !== undefined) {
+        const profile = await loadChatProfile(message.from);
+        if (profile && profile.confidence_threshold !== null) {
+            reviewThreshold = profile.confidence_threshold;
+        }
+    }
+    let status = source === 'detected' && reviewQueue.needsReview(task.confidence, reviewThreshold)
+        ? 'needs_review'
+        : 'pending';
+    // A copy of a message that already has a task is linked to that task instead of listed again
+    const fingerprint = source === 'detected' ? getMessageFingerprint(message) : null;
+    const canonical = fingerprint ? await detectionCache.findCanonicalTask(pool, fingerprint) : null;
+    if (canonical) {
+        status = 'duplicate';
+    } else if (status === 'needs_review') {
+        console.log(`🔍 Low confidence (${task.confidence}), task waits for /review: ${task.summary}`);
+    }
+    const result = await pool.query(
         `INSERT INTO tasks (
             message_id, chat_id, chat_name, sender_name, original_text,
-            is_task, task_types, summary, event_time, amount, link, confidence
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        ON CONFLICT (message_id) DO NOTHING`,
+            is_task, task_types, summary, event_time, amount, link, confidence, source, status,
+            fingerprint, canonical_task_id, media_type, attachment_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+            COALESCE(
+                (SELECT media_type FROM message_transcripts WHERE message_id = $1::varchar AND transcript IS NOT NULL),
+                (SELECT media_type FROM message_attachments WHERE message_id = $1::varchar)
+            ),
+            (SELECT id FROM message_attachments WHERE message_id = $1::varchar))
+        ON CONFLICT (message_id) DO NOTHING
+        RETURNING *`,
         [
             message.id._serialized,
             message.from,
@@ -746,9 +2132,374 @@ async function saveTask(task, message, chatName, senderName) {
             task.event_time ? new Date(task.event_time) : null,
             task.amount,
             task.link,
-            task.confidence || null
+            task.confidence ?? null,
+            source,
+            status,
+            fingerprint,
+            canonical ? canonical.id : null
         ]
     );
+    const saved = result.rows[0] || null;
+    if (saved && canonical) {
+        const linked = await detectionCache.addSourceChat(pool, canonical.id, chatName);
+        console.log(`🔗 Same message as task ${canonical.id}, linked instead of listed again (${linked.source_chats.join(', ')})`);
+    }
+    return saved;
+}
+
+// Transcript of a voice note, or null when transcription is off, the note is too long,
+// nothing was said or transcription failed. A transcript is stored in message_transcripts
+// and reused when the message comes back; a failure is stored with its error and tried
+// again on the next call. With queueRetry, a failed note goes to the retry queue, since the
+// message is already marked processed and would otherwise never come back.
+async function transcribeVoiceNote(msg, chatName, { queueRetry = false } = {}) {
+    if (!transcriber) {
+        return null;
+    }
+    const messageId = msg.id._serialized;
+
+    try {
+        const stored = await transcription.getTranscript(pool, messageId);
+        if (stored && !stored.error) {
+            return stored.transcript || null;
+        }
+
+        const duration = parseInt(msg.duration) || null;
+        if (TRANSCRIPTION_CONFIG.maxSeconds > 0 && duration > TRANSCRIPTION_CONFIG.maxSeconds) {
+            console.log(`🎙️ Skipping ${duration}s voice note from ${chatName} (limit ${TRANSCRIPTION_CONFIG.maxSeconds}s)`);
+            return null;
+        }
+
+        const entry = {
+            messageId,
+            chatId: msg.from,
+            durationSeconds: duration,
+            provider: TRANSCRIPTION_CONFIG.provider,
+            model: transcription.getTranscriptionModel(TRANSCRIPTION_CONFIG)
+        };
+        try {
+            const media = await msg.downloadMedia();
+            if (!media || !media.data) {
+                throw new Error('Voice note could not be downloaded');
+            }
+            entry.mimetype = media.mimetype;
+            entry.transcript = await transcriber.transcribe(media);
+        } catch (error) {
+            console.error(`❌ Voice note transcription failed for ${chatName}:`, error.message);
+            await transcription.saveTranscript(pool, { ...entry, error: error.message });
+            if (queueRetry) {
+                await queueDetectionRetry(msg, chatName, `Transcription failed: ${error.message}`, { mediaType: 'voice' });
+            }
+            return null;
+        }
+
+        await transcription.saveTranscript(pool, entry);
+        console.log(`🎙️ Transcribed voice note from ${chatName}: "${entry.transcript.substring(0, 50)}..."`);
+        return entry.transcript || null;
+    } catch (error) {
+        console.error('❌ Failed to store voice note transcript:', error.message);
+        return null;
+    }
+}
+
+// Caption plus the text of an image or PDF, or null when attachments are off, the file is
+// too large or of another type, or no text was found. Each attachment is processed once:
+// the stored file and text (or the error) in message_attachments are reused when the
+// message comes back.
+async function readAttachmentText(msg, chatName) {
+    if (!textExtractor) {
+        return null;
+    }
+    const messageId = msg.id._serialized;
+
+    try {
+        let stored = await attachments.getAttachment(pool, messageId);
+        if (!stored) {
+            // Type and size are checked before downloading where WhatsApp already reports them
+            const info = attachments.getMessageMediaInfo(msg);
+            if (info.mimetype && !attachments.getAttachmentKind(info.mimetype)) {
+                return null;
+            }
+            if (info.size > ATTACHMENT_CONFIG.maxBytes) {
+                console.log(`📎 Skipping ${Math.round(info.size / 1024)} KB attachment from ${chatName} (limit ${Math.round(ATTACHMENT_CONFIG.maxBytes / 1024)} KB)`);
+                return null;
+            }
+
+            const media = await msg.downloadMedia();
+            const kind = media && media.data ? attachments.getAttachmentKind(media.mimetype) : null;
+            if (!kind) {
+                return null;
+            }
+            const size = attachments.getMediaSize(media);
+            if (size > ATTACHMENT_CONFIG.maxBytes) {
+                console.log(`📎 Skipping ${Math.round(size / 1024)} KB ${kind} from ${chatName} (limit ${Math.round(ATTACHMENT_CONFIG.maxBytes / 1024)} KB)`);
+                return null;
+            }
+
+            const entry = {
+                messageId,
+                chatId: msg.from,
+                kind,
+                mimetype: media.mimetype,
+                filename: media.filename || null,
+                sizeBytes: size,
+                fileName: await attachments.storeAttachmentFile(ATTACHMENT_CONFIG.dir, messageId, media)
+            };
+            try {
+                const extracted = await textExtractor.extract(media);
+                entry.text = extracted.text;
+                entry.method = extracted.method;
+                console.log(`📎 Read ${entry.text.length} characters (${entry.method}) from ${kind} in ${chatName}`);
+            } catch (error) {
+                console.error(`❌ Text extraction failed for ${kind} from ${chatName}:`, error.message);
+                entry.error = error.message;
+            }
+            stored = await attachments.saveAttachment(pool, entry);
+        }
+
+        if (!stored.extracted_text) {
+            return null;
+        }
+        return attachments.buildDetectionText(msg.body, stored.extracted_text, {
+            kind: stored.media_type,
+            filename: stored.filename,
+            maxChars: ATTACHMENT_CONFIG.maxChars
+        });
+    } catch (error) {
+        console.error('❌ Failed to process attachment:', error.message);
+        return null;
+    }
+}
+
+// Text a voice note, image or PDF stands for: the transcript, or the caption plus the
+// attachment's text (just the caption when no text was found). null when there is none.
+// options: { queueRetry } for transcribeVoiceNote
+async function getMediaText(msg, chatName, options = {}) {
+    if (transcription.isVoiceNote(msg)) {
+        return await transcribeVoiceNote(msg, chatName, options);
+    }
+    return (await readAttachmentText(msg, chatName)) || (msg.body || '').trim() || null;
+}
+
+// Messages whose text is read from their media: voice notes with a transcriber, images and
+// PDFs with a text extractor
+function hasMediaText(msg) {
+    return (!!transcriber && transcription.isVoiceNote(msg)) ||
+        (!!textExtractor && attachments.isAttachmentMessage(msg));
+}
+
+// /add and messages forwarded into the command chat (manual-tasks.js)
+const manualTaskAdder = manualTasks.createManualTaskAdder(pool, { detectTask, saveTask });
+
+function formatChangedValue(column, value) {
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+        return 'none';
+    }
+    if (column === 'event_time') {
+        const date = new Date(value);
+        return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}`;
+    }
+    return String(value);
+}
+
+// "paid" / "שילמתי" / "done ✅" in a monitored chat. Returns true when the message was
+// taken as completing an open task (completed, or suggested for confirmation).
+async function handleCompletionMessage(msg, chatName, messageId) {
+    if (AUTO_COMPLETE_MODE === 'off') {
+        return false;
+    }
+    const phrase = completions.parseCompletionPhrase(msg.body);
+    if (!phrase) {
+        return false;
+    }
+
+    let quotedTask = null;
+    let openTasks = [];
+    if (msg.hasQuotedMsg) {
+        // A reply only completes the task it quotes
+        const quoted = await msg.getQuotedMessage();
+        quotedTask = quoted ? await completions.getOpenTaskForMessage(pool, quoted.id._serialized) : null;
+        if (!quotedTask) {
+            return false;
+        }
+    } else {
+        openTasks = await followUps.getRecentOpenTasks(pool, msg.from, {
+            days: FOLLOW_UP_WINDOW_DAYS,
+            limit: FOLLOW_UP_MAX_TASKS
+        });
+    }
+
+    const target = completions.findCompletionTarget(phrase, { quotedTask, openTasks });
+    if (!target) {
+        return false;
+    }
+
+    const contact = await msg.getContact();
+    const completedBy = contact.pushname || 'Unknown';
+    let notice;
+
+    if (completions.getCompletionAction(AUTO_COMPLETE_MODE, { quoted: !!quotedTask }) === 'suggest') {
+        const suggestion = await completions.createCompletionSuggestion(pool, {
+            taskId: target.id,
+            messageId,
+            completedBy,
+            text: msg.body
+        });
+        if (!suggestion) {
+            return true;
+        }
+        const task = await taskActions.getTaskById(pool, target.id);
+        console.log(`🤔 Completion suggested for task ${target.id} by ${completedBy} in ${chatName}`);
+        notice = `🤔 ${completedBy} wrote "${msg.body.trim()}" in ${chatName}. Is this task done?\n\n` +
+                 `${formatSingleTask(task, null, false).trimEnd()}\n\n` +
+                 `Reply /confirm ${suggestion.id} to mark it done or /dismiss ${suggestion.id} to keep it open.`;
+    } else {
+        const task = await completions.applyCompletion(pool, target, { messageId, completedBy });
+        if (!task) {
+            return true;
+        }
+        console.log(`✅ Task ${target.id} completed by ${completedBy} in ${chatName}`);
+        notice = `✅ Marked done after ${completedBy} wrote "${msg.body.trim()}" in ${chatName}:\n\n` +
+                 formatSingleTask(task, null, true).trimEnd();
+    }
+
+    await sendCommandChatNotice(notice);
+    return true;
+}
+
+// /confirm <id> and /dismiss <id> answer a completion suggestion
+async function handleCompletionSuggestionCommand(baseCommand, args) {
+    const suggestionId = parseInt(args[0]);
+    if (isNaN(suggestionId)) {
+        return `❌ Usage: ${baseCommand} <number from the suggestion>`;
+    }
+
+    const status = baseCommand === '/confirm' ? 'confirmed' : 'dismissed';
+    const suggestion = await completions.resolveCompletionSuggestion(pool, suggestionId, status);
+    if (!suggestion) {
+        return `ℹ️ Suggestion ${suggestionId} was not found or has already been answered.`;
+    }
+
+    const task = await taskActions.getTaskById(pool, suggestion.task_id);
+    if (!task) {
+        return `ℹ️ The task for suggestion ${suggestionId} no longer exists.`;
+    }
+    const label = task.summary || `Task from ${task.chat_name}`;
+    if (status === 'dismissed') {
+        return `👌 Kept open: ${label}`;
+    }
+    const blocked = taskActions.getCompletionBlock(task);
+    if (blocked) {
+        return `ℹ️ This task ${blocked}: ${label}`;
+    }
+
+    const completed = await completions.applyCompletion(pool, task, {
+        messageId: suggestion.message_id,
+        completedBy: suggestion.completed_by
+    });
+    if (!completed) {
+        return `ℹ️ This task is no longer pending: ${label}`;
+    }
+    return `✅ Marked as done (by ${suggestion.completed_by}): ${label}`;
+}
+
+// Shows the next task waiting for review and remembers it for the keep/discard reply
+async function showNextReviewTask(msg, prefix = '') {
+    const key = getListingKey(msg);
+    const session = reviewSessions.get(key) || { taskId: null, skipIds: [] };
+    const task = await reviewQueue.getNextReviewTask(pool, { skipIds: session.skipIds });
+    if (!task) {
+        reviewSessions.delete(key);
+        const skipped = session.skipIds.length;
+        return `${prefix}✅ Nothing left to review.` +
+               (skipped > 0 ? ` ${skipped} skipped task${skipped === 1 ? '' : 's'} still wait${skipped === 1 ? 's' : ''}; send /review to see them again.` : '');
+    }
+
+    reviewSessions.set(key, { taskId: task.id, skipIds: session.skipIds });
+    const remaining = await reviewQueue.countReviewTasks(pool);
+    const text = task.original_text || '';
+    return `${prefix}🔍 Review (${remaining} waiting)\n\n` +
+           `${formatSingleTask(task, null, false).trimEnd()}\n` +
+           `   Confidence: ${Math.round(Number(task.confidence) * 100)}%\n` +
+           `   "${text.length > 200 ? text.substring(0, 197) + '...' : text}"\n\n` +
+           `Reply *keep* or *discard* (or /review skip, /review stop)`;
+}
+
+// /review starts a session; keep/discard/skip/stop (as /review <word> or a plain reply) answer it
+async function handleReviewCommand(msg, decision) {
+    const key = getListingKey(msg);
+    if (!decision) {
+        reviewSessions.set(key, { taskId: null, skipIds: [] });
+        return await showNextReviewTask(msg);
+    }
+
+    const session = reviewSessions.get(key);
+    if (!session || !session.taskId) {
+        return `❌ No review in progress. Send /review to start.`;
+    }
+
+    switch (decision) {
+        case 'stop': {
+            reviewSessions.delete(key);
+            const remaining = await reviewQueue.countReviewTasks(pool);
+            return `⏹️ Review stopped. ${remaining} task${remaining === 1 ? '' : 's'} still waiting; send /review to continue.`;
+        }
+
+        case 'skip':
+            session.skipIds.push(session.taskId);
+            return await showNextReviewTask(msg, `⏭️ Skipped.\n\n`);
+
+        case 'keep': {
+            const task = await reviewQueue.keepReviewTask(pool, session.taskId);
+            return await showNextReviewTask(msg, task
+                ? `✅ Kept as a pending task: ${task.summary || `Task from ${task.chat_name}`}\n\n`
+                : `ℹ️ That task was already reviewed.\n\n`);
+        }
+
+        case 'discard': {
+            const task = await reviewQueue.discardReviewTask(pool, session.taskId);
+            return await showNextReviewTask(msg, task
+                ? `🗑️ Discarded: ${task.summary || `Task from ${task.chat_name}`}\n\n`
+                : `ℹ️ That task was already reviewed.\n\n`);
+        }
+    }
+}
+
+// Tell the command chat when a message in a monitored chat changed or cancelled a task
+async function notifyFollowUp(followUp, task, chatName) {
+    if (followUp.action === 'cancel') {
+        return await notifyTaskChange(`🚫 Task cancelled by a message in ${chatName}`, task);
+    }
+    const previous = {};
+    for (const column of Object.keys(followUp.changes)) {
+        previous[column] = followUp.task[column];
+    }
+    await notifyTaskChange(`✏️ Task updated by a message in ${chatName}`, task, previous);
+}
+
+// heading + the task as it is now; previous: { column: old value } for the changed fields
+async function notifyTaskChange(heading, task, previous = {}) {
+    const labels = { summary: 'Summary', task_types: 'Type', event_time: 'Time', amount: 'Amount', link: 'Link' };
+    let message = `${heading}:\n\n${formatSingleTask(task, null, task.status === 'completed').trimEnd()}`;
+
+    const changed = Object.keys(previous)
+        .filter(column => labels[column])
+        .map(column => `${labels[column]}: ${formatChangedValue(column, previous[column])}`);
+    if (changed.length > 0) {
+        message += `\n\n_Was: ${changed.join(' • ')}_`;
+    }
+    await sendCommandChatNotice(message);
+}
+
+async function sendCommandChatNotice(message) {
+    try {
+        const chatId = await getCommandChatId();
+        if (chatId) {
+            await client.sendMessage(chatId, message);
+        }
+    } catch (error) {
+        console.error('❌ Failed to send notice to the command chat:', error.message);
+    }
 }
 
 // Query methods for retrieving data
@@ -760,19 +2511,10 @@ async function getAllTasks(limit = 50) {
     return result.rows;
 }
 
-async function getTasksByChat(chatId, limit = 50) {
-    const result = await pool.query(
-        'SELECT * FROM tasks WHERE chat_id = $1 AND is_task = true ORDER BY created_at DESC LIMIT $2',
-        [chatId, limit]
-    );
-    return result.rows;
-}
-
-async function getTasksByType(taskType, limit = 50) {
-    const result = await pool.query(
-        'SELECT * FROM tasks WHERE $1 = ANY(task_types) ORDER BY created_at DESC LIMIT $2',
-        [taskType, limit]
-    );
+// filters: see task-filters.js (chat/chatId, type, from, since, until, status)
+async function getFilteredTasks(filters, limit = 20) {
+    const query = taskFilters.buildTaskQuery(filters, { limit });
+    const result = await pool.query(query.text, query.values);
     return result.rows;
 }
 
@@ -782,6 +2524,9 @@ async function getProcessingStats() {
             COUNT(*) as total_messages,
             COUNT(*) FILTER (WHERE had_task_indicators = true) as messages_with_indicators,
             COUNT(*) FILTER (WHERE was_analyzed = true) as messages_analyzed,
+            COUNT(*) FILTER (WHERE validation_status = 'coerced') as responses_coerced,
+            COUNT(*) FILTER (WHERE validation_status = 'repaired') as responses_repaired,
+            COUNT(*) FILTER (WHERE validation_status = 'invalid') as responses_invalid,
             COUNT(t.id) as tasks_found
         FROM processed_messages pm
         LEFT JOIN tasks t ON pm.message_id = t.message_id AND t.is_task = true
@@ -881,51 +2626,111 @@ function isCommand(text) {
 
 async function getTasksForUser(userId, status = null, limit = 10) {
     // Get tasks from all monitored chats, not just specific chat
-    let query = `
-        SELECT id, summary, task_types, event_time, amount, link, 
-               created_at, status, chat_name, chat_id
-        FROM tasks 
-        WHERE is_task = true
-    `;
-    const params = [];
+    const query = taskFilters.buildTaskQuery(status ? { status } : {}, {
+        columns: 'id, summary, task_types, event_time, amount, link, created_at, status, chat_name, chat_id',
+        limit
+    });
+    const result = await pool.query(query.text, query.values);
+    return result.rows;
+}
+
+// Chats in the order /chats (or /allchats when the number is beyond /chats) numbers them
+async function getNumberedChatList(chatNumber) {
+    // Try recent chats first, then all chats
+    let chatList = await getRecentActiveChats();
     
-    if (status) {
-        query += ` AND status = $${params.length + 1}`;
-        params.push(status);
+    if (chatList.length === 0 || chatNumber > chatList.length) {
+        chatList = await getAllChats();
     }
     
-    query += ` ORDER BY created_at DESC LIMIT $${params.length + 1}`;
-    params.push(limit);
+    // Create combined list (groups first, then individuals) to match display order
+    const groups = chatList.filter(chat => chat.is_group);
+    const individuals = chatList.filter(chat => !chat.is_group);
+    return [...groups, ...individuals];
+}
+
+function formatSearchResults(msg, query, results) {
+    if (results.length === 0) {
+        return `🔎 No tasks found for "${query}".\n\nTry fewer or different words.`;
+    }
     
-    const result = await pool.query(query, params);
-    return result.rows;
+    rememberTaskListing(msg, results);
+    let message = `🔎 Search: "${query}" (${results.length} result${results.length > 1 ? 's' : ''})\n\n`;
+    results.forEach((task, index) => {
+        message += formatSingleTask(task, index + 1, task.status === 'completed').trimEnd() + '\n';
+        if (task.snippet) {
+            message += `   🔍 ${task.snippet.replace(/\s+/g, ' ').trim()}\n`;
+        }
+        message += '\n';
+    });
+    message += `💡 Commands: /done <n> /edit <n> /search <words>`;
+    return message;
 }
 
-function formatTasksForWhatsApp(tasks, title = "🎯 Your Tasks") {
-    if (tasks.length === 0) {
+// "/tasks chat:Family type:payment since:7d" and friends
+async function handleFilteredTaskList(baseCommand, filterText, msg) {
+    const { raw, errors: parseErrors } = taskFilters.parseFilterText(filterText);
+    if (baseCommand === '/pending' || baseCommand === '/completed') {
+        raw.status = baseCommand.slice(1);
+    }
+    const { filters, errors } = taskFilters.normalizeTaskFilters(raw, { timeZone: BOT_TIMEZONE });
+    const allErrors = [...parseErrors, ...errors];
+    if (allErrors.length > 0) {
+        return `❌ ${allErrors.join('\n❌ ')}\n\n` +
+               `Usage: /tasks chat:<name|number> type:<type> from:<sender> since:7d until:YYYY-MM-DD status:pending|completed|cancelled|all`;
+    }
+    
+    // chat:<number> refers to the numbering shown by /chats
+    if (filters.chat && /^\d+$/.test(filters.chat)) {
+        const chatNumber = parseInt(filters.chat);
+        const chatList = await getNumberedChatList(chatNumber);
+        if (chatNumber < 1 || chatNumber > chatList.length) {
+            return `❌ Invalid chat number. Use /chats for recent chats or /allchats for all chats (1-${chatList.length}).`;
+        }
+        filters.chatId = chatList[chatNumber - 1].chat_id;
+        raw.chat = chatList[chatNumber - 1].chat_name;
+    }
+    
+    const tasks = await getFilteredTasks(filters);
+    const titles = {
+        pending: '⏳ Pending Tasks',
+        completed: '✅ Completed Tasks',
+        cancelled: '🚫 Cancelled Tasks',
+        needs_review: '🔍 Tasks Waiting for Review',
+        discarded: '🗑️ Discarded Tasks'
+    };
+    const title = titles[filters.status] || '🎯 All Your Tasks';
+    const { status, ...shownFilters } = raw;
+    const description = taskFilters.describeTaskFilters(shownFilters);
+    return formatTaskListing(msg, tasks, description ? `${title} (${description})` : title);
+}
+
+// sections: from taskListing.getListingSections(), numbered as they are shown
+function formatTasksForWhatsApp(sections, title = "🎯 Your Tasks") {
+    const total = sections.reduce((count, section) => count + section.entries.length, 0);
+    if (total === 0) {
         return `${title}\n\nNo tasks found! 🎉`;
     }
     
     // If this is "All Tasks", separate by status for better clarity
-    if (title.includes("All Your Tasks")) {
-        const pendingTasks = tasks.filter(t => t.status !== 'completed');
-        const completedTasks = tasks.filter(t => t.status === 'completed');
+    if (sections.length > 1) {
+        const [pending, completed] = sections;
         
         let message = `${title}\n`;
-        message += `Total: ${tasks.length} (${pendingTasks.length} pending, ${completedTasks.length} completed)\n\n`;
+        message += `Total: ${total} (${pending.entries.length} pending, ${completed.entries.length} completed)\n\n`;
         
-        if (pendingTasks.length > 0) {
-            message += `⏳ **PENDING TASKS** (${pendingTasks.length}):\n`;
-            pendingTasks.forEach((task, index) => {
-                message += formatSingleTask(task, index + 1, false);
+        if (pending.entries.length > 0) {
+            message += `⏳ **PENDING TASKS** (${pending.entries.length}):\n`;
+            pending.entries.forEach(({ number, task }) => {
+                message += formatSingleTask(task, number, false);
             });
             message += '\n';
         }
         
-        if (completedTasks.length > 0) {
-            message += `✅ **COMPLETED TASKS** (${completedTasks.length}):\n`;
-            completedTasks.forEach((task, index) => {
-                message += formatSingleTask(task, index + 1, true);
+        if (completed.entries.length > 0) {
+            message += `✅ **COMPLETED TASKS** (${completed.entries.length}):\n`;
+            completed.entries.forEach(({ number, task }) => {
+                message += formatSingleTask(task, number, true);
             });
         }
         
@@ -935,35 +2740,218 @@ function formatTasksForWhatsApp(tasks, title = "🎯 Your Tasks") {
     
     // For specific status lists (pending/completed only), use simple format
     let message = `${title}\n`;
-    message += `Total: ${tasks.length}\n\n`;
+    message += `Total: ${total}\n\n`;
     
-    tasks.forEach((task, index) => {
-        message += formatSingleTask(task, index + 1, task.status === 'completed');
+    sections[0].entries.forEach(({ number, task }) => {
+        message += formatSingleTask(task, number, task.status === 'completed');
     });
     
     message += `💡 Commands: /tasks /pending /completed /help`;
     return message;
 }
 
-function formatSingleTask(task, num, isCompleted) {
-    const status = isCompleted ? '✅' : '⏳';
+// The last listing shown to each user, by the numbers it showed (task-listing.js)
+const taskListings = taskListing.createTaskListings();
+
+function getListingKey(msg) {
+    return msg.author || msg.from;
+}
+
+function rememberTaskListing(msg, tasks) {
+    taskListings.remember(getListingKey(msg), taskListing.numberTasks(tasks));
+}
+
+function formatTaskListing(msg, tasks, title) {
+    const sections = taskListing.getListingSections(tasks, title);
+    taskListings.remember(getListingKey(msg), sections.flatMap(section => section.entries));
+    return formatTasksForWhatsApp(sections, title);
+}
+
+function formatAgenda(msg, agendaTasks, range) {
+    const now = new Date();
+    const todayKey = dates.getLocalDayRange(now, BOT_TIMEZONE).dateKey;
+    const tomorrowKey = dates.getLocalDayRange(new Date(now.getTime() + 24 * 60 * 60 * 1000), BOT_TIMEZONE).dateKey;
+    const listed = [];
+    const formatListed = task => {
+        listed.push(task);
+        const isOverdue = task.event_time && new Date(task.event_time) < now;
+        return formatSingleTask(task, listed.length, false, isOverdue);
+    };
+    
+    const title = range.label === range.dateKey ? formatLocalDate(range.dateKey) : range.label;
+    let message = `🗓️ Agenda - ${title}\n\n`;
+    
+    if (agendaTasks.overdue.length > 0) {
+        message += `⚠️ **OVERDUE** (${agendaTasks.overdue.length}):\n`;
+        agendaTasks.overdue.forEach(task => {
+            message += formatListed(task);
+        });
+    }
+    
+    const days = agenda.groupTasksByDay(agendaTasks.dated, BOT_TIMEZONE);
+    if (days.length === 0) {
+        message += `📭 Nothing scheduled.\n\n`;
+    }
+    days.forEach(day => {
+        const relative = day.dateKey === todayKey ? ' (Today)' : (day.dateKey === tomorrowKey ? ' (Tomorrow)' : '');
+        message += `📆 **${formatLocalDate(day.dateKey)}**${relative}:\n`;
+        day.tasks.forEach(task => {
+            message += formatListed(task);
+        });
+    });
+    
+    if (agendaTasks.undated.length > 0) {
+        message += `📝 **NO DATE** (${agendaTasks.undated.length}):\n`;
+        agendaTasks.undated.slice(0, AGENDA_UNDATED_LIMIT).forEach(task => {
+            message += formatListed(task);
+        });
+        if (agendaTasks.undated.length > AGENDA_UNDATED_LIMIT) {
+            message += `   ...and ${agendaTasks.undated.length - AGENDA_UNDATED_LIMIT} more (see /pending)\n\n`;
+        }
+    }
+    
+    rememberTaskListing(msg, listed);
+    message += `💡 Commands: /agenda tomorrow /agenda week /done <n>`;
+    return message;
+}
+
+async function handleTaskCommand(baseCommand, command, msg) {
+    const parts = command.trim().split(/\s+/);
+    const taskNumber = parseInt(parts[1]);
+    const { taskId, error } = taskListings.resolve(getListingKey(msg), taskNumber);
+    if (error) {
+        return error;
+    }
+
+    const task = await taskActions.getTaskById(pool, taskId);
+    if (!task) {
+        return `❌ Task #${taskNumber} no longer exists. Send /tasks to refresh the list.`;
+    }
+    const label = task.summary || `Task from ${task.chat_name}`;
+
+    switch (baseCommand) {
+        case '/done': {
+            const blocked = taskActions.getCompletionBlock(task);
+            if (blocked) {
+                return `ℹ️ Task #${taskNumber} ${blocked}.`;
+            }
+            if (!await taskActions.completeTask(pool, taskId)) {
+                return `ℹ️ Task #${taskNumber} is no longer pending. Send /tasks to refresh the list.`;
+            }
+            return `✅ Marked #${taskNumber} as done: ${label}`;
+        }
+
+        case '/undo':
+            if (task.status !== 'completed') {
+                return `ℹ️ Task #${taskNumber} is not completed.`;
+            }
+            await taskActions.reopenTask(pool, taskId);
+            return `↩️ Reopened #${taskNumber}: ${label}`;
+
+        case '/delete': {
+            const reason = parts.slice(2).join(' ');
+            if (reason && !feedback.isNotTaskReason(reason)) {
+                return `❌ Usage: /delete ${taskNumber} [notask]`;
+            }
+            const deleted = await taskActions.deleteTask(pool, taskId);
+            if (reason && deleted) {
+                await feedback.tryRecordTaskFeedback(pool, deleted, 'not_task', 'deleted');
+                return `🗑️ Deleted #${taskNumber} as not a task: ${label}\n` +
+                       `The detector will see it as an example of what to ignore.`;
+            }
+            return `🗑️ Deleted #${taskNumber}: ${label}`;
+        }
+
+        case '/remind': {
+            const offsetText = parts.slice(2).join('').toLowerCase();
+            
+            if (!offsetText) {
+                const scheduled = (await reminders.getTaskReminders(pool, taskId))
+                    .filter(reminder => reminder.status === 'pending');
+                if (scheduled.length === 0) {
+                    return `⏰ No reminders scheduled for #${taskNumber}: ${label}\n\n` +
+                           `Usage: /remind ${taskNumber} <offset> (e.g. 30m, 2h, 1d or 1d,1h)`;
+                }
+                let reminderList = `⏰ Reminders for #${taskNumber}: ${label}\n\n`;
+                scheduled.forEach(reminder => {
+                    reminderList += `• ${reminders.formatOffset(reminder.offset_minutes)} before - ${new Date(reminder.remind_at).toLocaleString()}\n`;
+                });
+                return reminderList.trimEnd();
+            }
+            
+            if (!task.event_time) {
+                return `❌ Task #${taskNumber} has no event time.\nSet one first with /edit ${taskNumber} time <date>`;
+            }
+            
+            let offsets;
+            if (offsetText === 'off' || offsetText === 'none') {
+                offsets = [];
+            } else if (offsetText === 'default') {
+                offsets = null;
+            } else {
+                try {
+                    offsets = reminders.parseOffsetList(offsetText);
+                } catch (parseError) {
+                    return `❌ ${parseError.message}`;
+                }
+            }
+            
+            await reminders.setTaskReminderOffsets(pool, taskId, offsets);
+            await reminders.syncReminders(pool, REMINDER_LEAD_TIMES);
+            
+            if (offsets && offsets.length === 0) {
+                return `🔕 Reminders turned off for #${taskNumber}: ${label}`;
+            }
+            const leadTimes = (offsets || REMINDER_LEAD_TIMES).map(reminders.formatOffset).join(', ');
+            return `⏰ Reminders for #${taskNumber} set to ${leadTimes} before${offsets ? '' : ' (default)'}\n${label}`;
+        }
+
+        case '/edit': {
+            const match = command.trim().match(/^\/edit\s+\d+\s+(\S+)\s+(.+)$/i);
+            if (!match) {
+                return `❌ Usage: /edit <number> <field> <value>\n` +
+                       `Fields: summary, time, amount, link, type\n` +
+                       `Example: /edit ${taskNumber} time 2025-07-03 15:30`;
+            }
+            try {
+                const updated = await taskActions.editTask(pool, taskId, { [match[1]]: match[2] });
+                if (!updated) {
+                    return `❌ Task #${taskNumber} no longer exists. Send /tasks to refresh the list.`;
+                }
+                return `✏️ Updated #${taskNumber}:\n\n` +
+                       formatSingleTask(updated, taskNumber, updated.status === 'completed').trimEnd();
+            } catch (editError) {
+                return `❌ ${editError.message}`;
+            }
+        }
+    }
+}
+
+function formatSingleTask(task, num, isCompleted, isOverdue = false) {
+    const isCancelled = task.status === 'cancelled' || task.status === 'discarded';
+    const status = isCancelled ? '🚫' : (isCompleted ? '✅' : (task.status === 'needs_review' ? '🔍' : (isOverdue ? '⚠️' : '⏳')));
+    const isStruck = isCompleted || isCancelled;
     const types = task.task_types && task.task_types.length > 0 
         ? task.task_types.map(t => t === 'event' ? '📅' : '💰').join('')
         : '📝';
     
-    let taskText = `${num}. ${status} ${types} `;
+    let taskText = num ? `${num}. ${status} ${types} ` : `${status} ${types} `;
     
     if (task.summary) {
-        taskText += isCompleted ? `~${task.summary}~` : task.summary;
+        taskText += isStruck ? `~${task.summary}~` : task.summary;
     } else {
         const taskName = `Task from ${task.chat_name}`;
-        taskText += isCompleted ? `~${taskName}~` : taskName;
+        taskText += isStruck ? `~${taskName}~` : taskName;
     }
     taskText += '\n';
     
     // Add chat source and details
     const details = [];
-    details.push(`💬 ${task.chat_name}`);
+    const sourceLabel = task.source === 'manual' ? ' (added manually)'
+        : (task.source === 'forwarded' ? ' (forwarded)' : '');
+    const chats = task.source_chats && task.source_chats.length > 1 ? task.source_chats.join(', ') : task.chat_name;
+    const mediaLabel = { voice: ' (🎙️ voice note)', image: ' (🖼️ image)', document: ' (📄 PDF)' }[task.media_type] || '';
+    details.push(`💬 ${chats}${sourceLabel}${mediaLabel}`);
     
     if (task.event_time) {
         const eventDate = new Date(task.event_time);
@@ -975,6 +2963,9 @@ function formatSingleTask(task, num, isCompleted) {
     if (task.link) {
         details.push(`🔗 Link available`);
     }
+    if (isCompleted && task.completed_by) {
+        details.push(`✅ by ${task.completed_by}`);
+    }
     
     taskText += `   ${details.join(' • ')}\n`;
     taskText += `   _${formatRelativeTime(task.created_at)}_\n\n`;
@@ -1009,15 +3000,15 @@ async function handleCommand(command, msg) {
             case '/tasks':
             case '/mytasks':
                 const allTasks = await getTasksForUser(userId);
-                return formatTasksForWhatsApp(allTasks, "🎯 All Your Tasks");
+                return formatTaskListing(msg, allTasks, "🎯 All Your Tasks");
                 
             case '/pending':
                 const pendingTasks = await getTasksForUser(userId, 'pending');
-                return formatTasksForWhatsApp(pendingTasks, "⏳ Pending Tasks");
+                return formatTaskListing(msg, pendingTasks, "⏳ Pending Tasks");
                 
             case '/completed':
                 const completedTasks = await getTasksForUser(userId, 'completed');
-                return formatTasksForWhatsApp(completedTasks, "✅ Completed Tasks");
+                return formatTaskListing(msg, completedTasks, "✅ Completed Tasks");
                 
             case '/dashboard':
                 try {
@@ -1157,14 +3148,18 @@ async function handleCommand(command, msg) {
                         COUNT(*) FILTER (WHERE status = 'completed') as completed_tasks,
                         COUNT(DISTINCT chat_name) as total_chats
                     FROM tasks 
-                    WHERE is_task = true
+                    WHERE is_task = true AND COALESCE(status, 'pending') <> 'duplicate'
                 `);
                 const stats = globalStats.rows[0];
+                const processing = await getProcessingStats();
                 return `📊 Global Task Stats\n\n` +
                        `📝 Total Tasks: ${stats.total_tasks}\n` +
                        `⏳ Pending: ${stats.pending_tasks}\n` +
                        `✅ Completed: ${stats.completed_tasks}\n` +
                        `💬 From Chats: ${stats.total_chats}\n\n` +
+                       `🔍 Messages Analysed: ${processing.messages_analyzed} of ${processing.total_messages}\n` +
+                       `🧪 LLM Responses: ${processing.responses_coerced} fixed, ` +
+                       `${processing.responses_repaired} repaired, ${processing.responses_invalid} invalid\n\n` +
                        `🤖 Monitored Chats: ${MONITORED_CHATS.join(', ')}\n` +
                        `📱 Command Chat: ${BOT_COMMAND_CHAT}`;
                 
@@ -1172,6 +3167,7 @@ async function handleCommand(command, msg) {
                 try {
                     const parts = command.split(' ');
                     let maxDays = MAX_MESSAGE_HISTORY_DAYS;
+                    const analyze = parts.slice(1).some(part => part.toLowerCase() === 'analyze');
                     
                     if (parts.length > 1) {
                         const userDays = parseInt(parts[1]);
@@ -1181,6 +3177,14 @@ async function handleCommand(command, msg) {
                     }
                     
                     const unreadMessages = await getUnreadMessages(maxDays);
+                    if (analyze && unreadMessages.length > 0) {
+                        // Runs past the command timeout, so the result is sent when it is done
+                        if (isAnalyzingUnread) {
+                            return formatUnreadMessages(unreadMessages) + `\n\n⏳ A task analysis is already running.`;
+                        }
+                        analyzeUnreadMessages(unreadMessages);
+                        return formatUnreadMessages(unreadMessages) + `\n\n🔍 Analysing these messages for tasks, results will follow.`;
+                    }
                     return formatUnreadMessages(unreadMessages);
                 } catch (error) {
                     console.error('Error reading unread messages:', error);
@@ -1231,7 +3235,11 @@ async function handleCommand(command, msg) {
                            `• Initialized: ${config ? (config.is_initialized ? '✅ Yes' : '❌ No') : '❌ No'}\n` +
                            `• Total Chats: ${config ? config.total_chats_discovered : 0}\n` +
                            `• Monitored: ${config ? config.monitored_chats_count : 0}\n` +
-                           `• Last Init: ${config?.last_init_at ? new Date(config.last_init_at).toLocaleString() : 'Never'}`;
+                           `• Last Init: ${config?.last_init_at ? new Date(config.last_init_at).toLocaleString() : 'Never'}\n\n` +
+                           await formatRetryStatus() + '\n' +
+                           await formatCacheStatus() + '\n' +
+                           await formatTranscriptionStatus() + '\n' +
+                           await formatAttachmentStatus();
                 } catch (error) {
                     console.error('Error getting bot status:', error);
                     return `❌ Error getting bot status: ${error.message}`;
@@ -1253,13 +3261,31 @@ async function handleCommand(command, msg) {
                 return `🤖 WhatsApp Task Bot Commands\n\n` +
                        `📋 Task Commands:\n` +
                        `/tasks - Show all your tasks from all chats\n` +
+                       `/add <text> - Add a task manually (or forward a message here)\n` +
+                       `/tasks chat:<name|number> type:<type> from:<sender> since:7d status:pending - Filter tasks\n` +
                        `/pending - Show pending tasks\n` +
                        `/completed - Show completed tasks\n` +
-                       `/stats - Show global task statistics\n\n` +
+                       `/agenda [today|tomorrow|week|date] - Pending events by day\n` +
+                       `/search <words> - Search task summaries and messages\n` +
+                       `/done <number> - Mark a listed task as done\n` +
+                       `/undo <number> - Reopen a completed task\n` +
+                       `/delete <number> [notask] - Delete a listed task (notask: it was never a task)\n` +
+                       `/edit <number> <field> <value> - Edit summary, time, amount, link or type\n` +
+                       `/remind <number> [30m|2h|1d|off|default] - Set or show event reminders\n` +
+                       `/confirm <id> | /dismiss <id> - Answer a "paid"/"done" completion suggestion\n` +
+                       `/merge [<id>|dismiss <id>] - Show, accept or dismiss merges of tasks about the same event\n` +
+                       `/review - Go through low-confidence tasks one by one (reply keep or discard)\n` +
+                       `/feedback [stats] - Show labelled detection mistakes and precision by week\n` +
+                       `/prefilter [stats [days]|test <text>] - Prefilter threshold, pass rate and task yield per chat\n` +
+                       `/costs [day|week|month] - LLM tokens and cost per chat, and the budget caps\n` +
+                       `/stats - Show global task statistics\n` +
+                       `/digest [on|off|time HH:MM|weekly on|off|now] - Daily digest settings\n` +
+                       `/llm [mode|provider|model|url|temperature|timeout|reset|test] - LLM provider settings\n\n` +
                        `📨 Message History:\n` +
-                       `/read_unread [days] - Show unread messages since last read\n` +
+                       `/read_unread [days] [analyze] - Show unread messages since last read (analyze: detect tasks in them)\n` +
                        `/mark_read - Mark all messages as read\n` +
                        `/status - Show bot status and uptime\n` +
+                       `/retry [all|<id>] - Show or retry messages whose detection failed\n` +
                        `/clear_session - Manually clear WhatsApp session (forces QR scan)\n\n` +
                        `📱 Dashboard & Chat Management:\n` +
                        `/dashboard - Get mobile dashboard link\n` +
@@ -1268,6 +3294,7 @@ async function handleCommand(command, msg) {
                        `/monitored - Show monitored chats\n` +
                        `/monitor <number> - Start monitoring chat\n` +
                        `/unmonitor <number> - Stop monitoring chat\n` +
+                       `/chatconfig <number> [<setting> <value>|reset] - Per-chat task types, keywords, instructions, review threshold, senders\n` +
                        `/refresh - Refresh chat list\n\n` +
                        `🏗️ Setup:\n` +
                        `• Task Detection: ${MONITORED_CHATS.join(', ')}\n` +
@@ -1284,22 +3311,95 @@ async function handleCommand(command, msg) {
                 const baseCommand = parts[0].toLowerCase();
                 const chatNumber = parseInt(parts[1]);
                 
-                if ((baseCommand === '/monitor' || baseCommand === '/unmonitor') && !isNaN(chatNumber)) {
-                    // Try recent chats first, then all chats
-                    let chatList = await getRecentActiveChats();
-                    
-                    if (chatList.length === 0 || chatNumber > chatList.length) {
-                        chatList = await getAllChats();
+                if (['/tasks', '/mytasks', '/pending', '/completed'].includes(baseCommand) && parts.length > 1) {
+                    return await handleFilteredTaskList(baseCommand, command.trim().slice(parts[0].length), msg);
+                }
+                
+                if (['/done', '/undo', '/delete', '/edit', '/remind'].includes(baseCommand)) {
+                    return await handleTaskCommand(baseCommand, command, msg);
+                }
+                
+                if (baseCommand === '/confirm' || baseCommand === '/dismiss') {
+                    return await handleCompletionSuggestionCommand(baseCommand, parts.slice(1));
+                }
+                
+                if (baseCommand === '/add') {
+                    const text = command.trim().slice(parts[0].length).trim();
+                    if (!text) {
+                        return `❌ Usage: /add <task text>\nExample: /add Pay 150₪ for the class trip by Friday`;
                     }
-                    
-                    if (chatNumber < 1 || chatNumber > chatList.length) {
-                        return `❌ Invalid chat number. Use /chats for recent chats or /allchats for all chats (1-${chatList.length}).`;
+                    const chat = await msg.getChat();
+                    const contact = await msg.getContact();
+                    const task = await manualTaskAdder.add(msg, text, chat.name || msg.from, contact.pushname || 'Unknown', 'manual');
+                    if (!task) {
+                        return `ℹ️ This message was already added as a task.`;
+                    }
+                    rememberTaskListing(msg, [task]);
+                    return `➕ Task added:\n\n${formatSingleTask(task, 1, false).trimEnd()}\n\n` +
+                           `💡 Use /edit 1 <field> <value> to fix anything that was misread.`;
+                }
+                
+                if (baseCommand === '/search') {
+                    const query = command.trim().slice(parts[0].length).trim();
+                    if (search.tokenizeSearch(query).length === 0) {
+                        return `❌ Usage: /search <words>\nExample: /search dentist`;
+                    }
+                    return formatSearchResults(msg, query, await search.searchTasks(pool, query));
+                }
+                
+                if (baseCommand === '/agenda') {
+                    const range = agenda.parseAgendaRange(parts.slice(1).join(' '), new Date(), BOT_TIMEZONE);
+                    if (!range) {
+                        return `❌ Unknown date "${parts.slice(1).join(' ')}".\n` +
+                               `Usage: /agenda [today|tomorrow|week|YYYY-MM-DD|DD/MM]`;
+                    }
+                    return formatAgenda(msg, await agenda.getAgendaTasks(pool, range), range);
+                }
+                
+                if (baseCommand === '/llm') {
+                    return await handleLLMCommand(command.trim().split(/\s+/).slice(1));
+                }
+                
+                if (baseCommand === '/review') {
+                    const decision = parts[1] ? reviewQueue.parseReviewReply(parts[1]) : null;
+                    if (parts[1] && !decision) {
+                        return `❌ Usage: /review [keep|discard|skip|stop]`;
                     }
+                    return await handleReviewCommand(msg, decision);
+                }
+                
+                if (baseCommand === '/retry') {
+                    return await handleRetryCommand(parts.slice(1));
+                }
+                
+                if (baseCommand === '/feedback') {
+                    return await handleFeedbackCommand(parts.slice(1));
+                }
+                
+                if (baseCommand === '/merge') {
+                    return await handleMergeCommand(command.trim().split(/\s+/).slice(1), msg);
+                }
+                if (baseCommand === '/costs') {
+                    return await handleCostsCommand(command.trim().split(/\s+/).slice(1));
+                }
+                if (baseCommand === '/chatconfig') {
+                    return await handleChatConfigCommand(command.trim().split(/\s+/).slice(1));
+                }
+                
+                if (baseCommand === '/prefilter') {
+                    return await handlePrefilterCommand(command.trim().split(/\s+/).slice(1));
+                }
+                
+                if (baseCommand === '/digest') {
+                    return await handleDigestCommand(command.trim().split(/\s+/).slice(1));
+                }
+                
+                if ((baseCommand === '/monitor' || baseCommand === '/unmonitor') && !isNaN(chatNumber)) {
+                    const combinedList = await getNumberedChatList(chatNumber);
                     
-                    // Create combined list (groups first, then individuals) to match display order
-                    const groups = chatList.filter(chat => chat.is_group);
-                    const individuals = chatList.filter(chat => !chat.is_group);
-                    const combinedList = [...groups, ...individuals];
+                    if (chatNumber < 1 || chatNumber > combinedList.length) {
+                        return `❌ Invalid chat number. Use /chats for recent chats or /allchats for all chats (1-${combinedList.length}).`;
+                    }
                     
                     const selectedChat = combinedList[chatNumber - 1];
                     const newStatus = baseCommand === '/monitor';
@@ -1329,7 +3429,10 @@ client.on('message', async msg => {
         // Update last message time for health monitoring
         lastMessageTime = Date.now();
         
-        if (!msg.body || msg.body.trim().length < 1) return;
+        // Voice notes, images and PDFs may have no body; with a transcriber or text extractor
+        // their text is read below once the chat is known
+        const isMedia = hasMediaText(msg);
+        if ((!msg.body || msg.body.trim().length < 1) && !isMedia) return;
 
         const chat = await msg.getChat();
         const chatName = chat.name || msg.from;
@@ -1339,6 +3442,10 @@ client.on('message', async msg => {
         const isCommandChat = chatName.includes(BOT_COMMAND_CHAT);
         const isMonitoredChat = MONITORED_CHATS.some(name => chatName.includes(name));
 
+        if (isCommandChat) {
+            commandChatId = chat.id._serialized;
+        }
+
         // Handle commands only in the dedicated command chat
         if (isCommandChat && isCommand(msg.body.trim())) {
             console.log(`🤖 Command received: "${msg.body}" from ${chatName}`);
@@ -1360,6 +3467,46 @@ client.on('message', async msg => {
             return;
         }
 
+        // keep/discard answers while a /review is in progress
+        if (isCommandChat && reviewSessions.get(getListingKey(msg))) {
+            const decision = reviewQueue.parseReviewReply(msg.body, { plain: true });
+            if (decision) {
+                try {
+                    await msg.reply(await handleReviewCommand(msg, decision));
+                } catch (error) {
+                    console.error('❌ Review reply failed:', error.message);
+                }
+                return;
+            }
+        }
+
+        // Anything forwarded into the command chat becomes a task
+        if (isCommandChat && msg.isForwarded) {
+            console.log(`↪️ Forwarded message received in ${chatName}, saving as task`);
+            try {
+                const text = isMedia ? await getMediaText(msg, chatName) : msg.body.trim();
+                if (!text) {
+                    await msg.reply('❌ Sorry, could not read any text from this message.');
+                    return;
+                }
+                const contact = await msg.getContact();
+                // Relative dates ("tomorrow") resolve against the forwarded message's own timestamp
+                const task = await manualTaskAdder.add(msg, text, chatName, contact.pushname || 'Unknown', 'forwarded');
+                if (task) {
+                    rememberTaskListing(msg, [task]);
+                    await msg.reply(`↪️ Forwarded message saved as a task:\n\n${formatSingleTask(task, 1, false).trimEnd()}`);
+                }
+            } catch (error) {
+                console.error('❌ Failed to save forwarded message as task:', error.message);
+                try {
+                    await msg.reply('❌ Sorry, could not save the forwarded message as a task.');
+                } catch (replyError) {
+                    console.error('❌ Failed to send error message:', replyError.message);
+                }
+            }
+            return;
+        }
+
         // If someone tries to use commands in non-command chats, ignore silently
         if (!isCommandChat && isCommand(msg.body.trim())) {
             return;
@@ -1368,17 +3515,42 @@ client.on('message', async msg => {
         // Only process task detection in monitored chats (not in command chat)
         if (!isMonitoredChat || isCommandChat) return;
 
-        // Skip very short messages for task detection
-        if (msg.body.trim().length < 3) return;
+        // Skip very short messages for task detection (a bare "✅" may still complete a task)
+        if (!isMedia && msg.body.trim().length < 3 && !completions.parseCompletionPhrase(msg.body)) return;
 
         // Check if message already processed in database
         const messageId = msg.id._serialized;
         if (await isMessageProcessed(messageId)) return;
 
-        const hasIndicators = hasTaskIndicators(msg.body);
+        // Senders the chat profile leaves out are never analysed
+        const profile = await loadChatProfile(msg.from);
+        if (!chatProfiles.isSenderAllowed(profile, getMessageSender(msg))) {
+            await markMessageProcessed(messageId, msg.from, false, false);
+            return;
+        }
+
+        // From here on a voice note is its transcript and an image or PDF its caption plus text:
+        // prefilter, detection and the saved task use it
+        if (isMedia) {
+            const text = await getMediaText(msg, chatName, { queueRetry: true });
+            if (!text) {
+                await markMessageProcessed(messageId, msg.from, false, false);
+                return;
+            }
+            msg.body = text;
+        }
+
+        // Weighted prefilter; follow-up wording ("cancelled", "נדחה") is one of its signals
+        const prefilterResult = scorePrefilter(msg.body, profile);
+        const hasIndicators = prefilterResult.passed;
         
         // Mark message as processed regardless of outcome
-        await markMessageProcessed(messageId, msg.from, hasIndicators, false);
+        await markMessageProcessed(messageId, msg.from, hasIndicators, false, prefilterResult);
+
+        // "paid" / "done ✅" closes an open task instead of being analysed
+        if (await handleCompletionMessage(msg, chatName, messageId)) {
+            return;
+        }
 
         // Preprocessing filter to reduce LLM calls
         if (!hasIndicators) {
@@ -1391,19 +3563,33 @@ client.on('message', async msg => {
         await markMessageProcessed(messageId, msg.from, true, true);
         
         // Add timeout to task detection to prevent hanging
+        let result = null;
         try {
-            const result = await Promise.race([
-                detectTask(msg),
+            const openTasks = await followUps.getRecentOpenTasks(pool, msg.from, {
+                days: FOLLOW_UP_WINDOW_DAYS,
+                limit: FOLLOW_UP_MAX_TASKS
+            });
+            const context = await getConversationContext(msg, chat);
+            result = await Promise.race([
+                detectTask(msg, { openTasks, context, profile }),
                 new Promise((_, reject) => setTimeout(() => reject(new Error('Task detection timeout')), 15000))
             ]);
 
-            if (result.is_task) {
-                const contact = await msg.getContact();
-                console.log(`🎯 TASK DETECTED: ${result.summary} from ${chatName}`);
-                await saveTask(result, msg, chatName, contact.pushname || 'Unknown');
+            const failure = getDetectionFailure(result);
+            if (failure) {
+                await queueDetectionRetry(msg, chatName, failure, { reason: getRetryReason(result) });
+                if (!result.is_task) return;
             }
+            await applyDetectionResult(result, openTasks, msg, chatName, async () => {
+                const contact = await msg.getContact();
+                return contact.pushname || 'Unknown';
+            });
         } catch (error) {
             console.error(`❌ Task detection failed for message from ${chatName}:`, error.message);
+            // Only a failed detection is retried; errors while saving its result are not
+            if (!result) {
+                await queueDetectionRetry(msg, chatName, error.message);
+            }
         }
     } catch (error) {
         console.error('❌ Message processing error:', error);
@@ -1414,6 +3600,88 @@ client.on('message', async msg => {
     }
 });
 
+// Edited messages: re-run detection so the task saved from the message follows the new text
+client.on('message_edit', async (msg, newBody, prevBody) => {
+    try {
+        const body = (newBody || msg.body || '').trim();
+        if (!body || body === (prevBody || '').trim()) return;
+
+        const chat = await msg.getChat();
+        const chatName = chat.name || msg.from;
+        const isCommandChat = chatName.includes(BOT_COMMAND_CHAT);
+        const isMonitoredChat = MONITORED_CHATS.some(name => chatName.includes(name));
+        if (!isMonitoredChat || isCommandChat) return;
+
+        const messageId = msg.id._serialized;
+        const profile = await loadChatProfile(msg.from);
+        if (!chatProfiles.isSenderAllowed(profile, getMessageSender(msg))) return;
+        const task = await messageEdits.getTaskByMessageId(pool, messageId);
+        if (!task && !scorePrefilter(body, profile).passed) return;
+
+        console.log(`✏️ Message edited in ${chatName}, re-running detection: "${body.substring(0, 50)}..."`);
+        const edited = { ...msg, body };
+        const context = await getConversationContext(msg, chat);
+        const result = await Promise.race([
+            detectTask(edited, { context, profile }),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('Task detection timeout')), 15000))
+        ]);
+        // Keep the task as it is when the LLM failed or is over budget; rules alone should not rewrite it
+        if (result.error || result.fallback || result.budget_exceeded) return;
+
+        const contact = await msg.getContact();
+        const senderName = contact.pushname || 'Unknown';
+        const meta = { messageId, changedBy: senderName };
+
+        if (!task) {
+            if (result.is_task) {
+                await markMessageProcessed(messageId, msg.from, true, true);
+                console.log(`🎯 TASK DETECTED (edited message): ${result.summary} from ${chatName}`);
+                await saveTask(result, edited, chatName, senderName);
+            }
+            return;
+        }
+
+        if (!result.is_task) {
+            const cancelled = await messageEdits.cancelTaskForMessage(pool, task, 'edit', meta);
+            if (cancelled) {
+                await notifyTaskChange(`🚫 Task cancelled after its message was edited in ${chatName}`, cancelled);
+            }
+            return;
+        }
+
+        const { task: updated, changes } = await messageEdits.applyMessageEdit(pool, task, body, result, meta);
+        const previous = {};
+        for (const column of Object.keys(changes)) {
+            previous[column] = task[column];
+        }
+        if (updated && Object.keys(changes).some(column => column !== 'original_text')) {
+            await notifyTaskChange(`✏️ Task updated after its message was edited in ${chatName}`, updated, previous);
+        }
+    } catch (error) {
+        console.error('❌ Edited message processing error:', error.message);
+    }
+});
+
+// Deleted for everyone: the task saved from the message is cancelled, not silently kept
+client.on('message_revoke_everyone', async (msg, revokedMsg) => {
+    try {
+        const messageId = (revokedMsg || msg).id._serialized;
+        const task = await messageEdits.getTaskByMessageId(pool, messageId);
+        if (!task) return;
+
+        const cancelled = await messageEdits.cancelTaskForMessage(pool, task, 'revoke', {
+            messageId,
+            changedBy: task.sender_name
+        });
+        if (cancelled) {
+            console.log(`🗑️ Task ${task.id} cancelled, its message was deleted in ${task.chat_name}`);
+            await notifyTaskChange(`🗑️ Task cancelled, its message was deleted in ${task.chat_name}`, cancelled);
+        }
+    } catch (error) {
+        console.error('❌ Deleted message processing error:', error.message);
+    }
+});
+
 // Add error handling for unhandled protocol errors
 process.on('unhandledRejection', (reason, promise) => {
     console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
@@ -1435,33 +3703,14 @@ process.on('uncaughtException', (error) => {
     }
 });
 
-// Add graceful shutdown handling
-process.on('SIGINT', async () => {
-    console.log('\n🛑 Received SIGINT, shutting down gracefully...');
-    if (healthCheckInterval) {
-        clearInterval(healthCheckInterval);
-    }
-    if (client) {
-        try {
-            await client.destroy();
-        } catch (destroyError) {
-            console.log('📝 Client destruction completed with expected errors');
+// Graceful shutdown: stop the background workers, the WhatsApp client and the database pool
+async function shutdown(signal) {
+    console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
+    for (const interval of [healthCheckInterval, reminderInterval, digestInterval, retryInterval, dedupeInterval]) {
+        if (interval) {
+            clearInterval(interval);
         }
     }
-    try {
-        await pool.end();
-        console.log('✅ Database pool closed');
-    } catch (err) {
-        console.error('❌ Error closing database pool:', err.message);
-    }
-    process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-    console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
-    if (healthCheckInterval) {
-        clearInterval(healthCheckInterval);
-    }
     if (client) {
         try {
             await client.destroy();
@@ -1476,7 +3725,10 @@ process.on('SIGTERM', async () => {
         console.error('❌ Error closing database pool:', err.message);
     }
     process.exit(0);
-});
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Database functions for bot sessions and configuration
 async function initBotSession() {
@@ -1957,46 +4209,86 @@ async function promptStartupMessageProcessing() {
     });
 }
 
+// Catch-up analysis of messages from getMessagesFromChat: prefilter, batch analysis,
+// save. Returns the number of new tasks.
 async function processMessagesForTasks(messages, chatConfig) {
-    let detectedTasks = 0;
+    const candidates = [];
+    const profile = messages.length > 0 ? await loadChatProfile(messages[0].chatId) : null;
     
     for (const message of messages) {
         try {
-            // Use existing task detection logic
-            const hasIndicators = hasTaskIndicators(message.body);
+            if (await isMessageProcessed(message.id)) continue;
             
-            if (hasIndicators) {
-                // Analyze with AI for task detection
-                const analysis = await detectTask(message);
-                
-                if (analysis && analysis.is_task) {
-                    // Save the detected task
-                    await saveTask({
-                        messageId: message.id,
-                        chatId: message.chatId,
-                        chatName: chatConfig.chat_name,
-                        senderName: message.author || message.from,
-                        originalText: message.body,
-                        analysis: analysis
-                    });
-                    
-                    detectedTasks++;
+            if (!chatProfiles.isSenderAllowed(profile, { name: message.senderName, id: message.author })) {
+                await markMessageProcessed(message.id, message.chatId, false, false);
+                continue;
+            }
+            
+            // Voice notes and attachments without a caption are listed as "[Media/Other]";
+            // their transcript or caption plus text is analysed instead
+            if (hasMediaText(message)) {
+                const original = await client.getMessageById(message.id);
+                const text = original ? await getMediaText(original, chatConfig.chat_name, { queueRetry: true }) : null;
+                if (!text) {
+                    await markMessageProcessed(message.id, message.chatId, false, false);
+                    continue;
                 }
+                message.body = text;
             }
             
-            // Mark message as processed
-            await markMessageProcessed(
-                message.id,
-                message.chatId,
-                hasIndicators,
-                hasIndicators
-            );
+            // Use existing task detection logic
+            const prefilterResult = scorePrefilter(message.body, profile);
+            const hasIndicators = prefilterResult.passed;
+            await markMessageProcessed(message.id, message.chatId, hasIndicators, hasIndicators, prefilterResult);
             
+            if (hasIndicators) {
+                candidates.push({
+                    ...message,
+                    timestamp: Math.floor(message.timestamp.getTime() / 1000)
+                });
+            }
         } catch (error) {
             console.log(`   ⚠️  Error processing message: ${error.message}`);
         }
     }
     
+    if (candidates.length === 0) {
+        return 0;
+    }
+    
+    const results = await analyzeMessages(candidates, chatConfig.chat_name);
+    let detectedTasks = 0;
+    
+    for (const message of candidates) {
+        const analysis = results.get(message.id);
+        const waMessage = {
+            id: { _serialized: message.id },
+            from: message.chatId,
+            body: message.body,
+            timestamp: message.timestamp,
+            senderName: message.senderName
+        };
+        const failure = analysis && getDetectionFailure(analysis);
+        if (failure) {
+            await queueDetectionRetry(waMessage, chatConfig.chat_name, failure, { reason: getRetryReason(analysis) });
+        }
+        if (!analysis || !analysis.is_task) continue;
+        
+        try {
+            const saved = await saveTask(
+                analysis,
+                waMessage,
+                chatConfig.chat_name,
+                message.senderName
+            );
+            if (saved) {
+                detectedTasks++;
+            }
+        } catch (error) {
+            console.log(`   ⚠️  Error saving task: ${error.message}`);
+        }
+    }
+    
     return detectedTasks;
 }
 
@@ -2200,6 +4492,7 @@ async function getMessagesFromChat(chatId, fromTimestamp, maxDays = null, fetchL
             timestamp: new Date(msg.timestamp * 1000),
             from: msg.from,
             author: msg.author || msg.from,
+            senderName: conversationContext.getSenderName(msg),
             body: msg.body || '[Media/Other]',
             type: msg.type,
             isGroup: !!msg.author,
@@ -2213,6 +4506,26 @@ async function getMessagesFromChat(chatId, fromTimestamp, maxDays = null, fetchL
     }
 }
 
+// /read_unread analyze: batch analysis of the listed messages, reported to the command chat
+async function analyzeUnreadMessages(chatMessages) {
+    isAnalyzingUnread = true;
+    let totalTasks = 0;
+    
+    try {
+        for (const chat of chatMessages) {
+            const sorted = [...chat.messages].sort((a, b) => a.timestamp - b.timestamp);
+            totalTasks += await processMessagesForTasks(sorted, { chat_name: chat.chatName });
+        }
+        await sendCommandChatNotice(`🎯 Task analysis finished: ${totalTasks} new task${totalTasks === 1 ? '' : 's'} detected.` +
+                                    (totalTasks > 0 ? `\nSend /pending to see them.` : ''));
+    } catch (error) {
+        console.error('❌ Error analysing unread messages:', error.message);
+        await sendCommandChatNotice(`❌ Task analysis failed: ${error.message}`);
+    } finally {
+        isAnalyzingUnread = false;
+    }
+}
+
 async function getUnreadMessages(maxDays = null) {
     try {
         const lastReadTimestamp = await getLastReadTimestamp();
@@ -2297,8 +4610,13 @@ function formatUnreadMessages(chatMessages) {
 async function startBot() {
     console.log('🚀 Starting WhatsApp Task Listener...');
     await initDatabase();
+    await loadLLMSettings();
     await initBotSession();
     startHealthMonitoring();
+    startReminderScheduler();
+    startDigestScheduler();
+    startRetryWorker();
+    startDedupeWorker();
     
     // Check if session exists
     const fs = require('fs');
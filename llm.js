@@ -0,0 +1,207 @@
+// LLM provider used by task detection: the OpenAI API, any OpenAI-compatible server
+// (llama.cpp, Ollama, a local stand-in for tests) or Anthropic's Messages API.
+// Settings come from LLM_* env vars, overridden by the llm_settings row (/llm).
+// API keys only ever come from the environment, and a provider's own key (OPENAI_API_KEY,
+// ANTHROPIC_API_KEY) is only sent to that provider's API: any other URL needs LLM_API_KEY.
+// DETECTION_MODE=rules turns the LLM off and detects tasks with rule-detector.js only.
+const OpenAI = require('openai');
+const { estimateTokens } = require('./conversation-context');
+
+const LLM_PROVIDERS = ['openai', 'openai-compatible', 'anthropic'];
+const DETECTION_MODES = ['llm', 'rules'];
+
+const PROVIDER_DEFAULTS = {
+    'openai': { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o' },
+    'openai-compatible': { baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' },
+    'anthropic': { baseUrl: 'https://api.anthropic.com', model: 'claude-3-5-haiku-latest' }
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 2048;
+
+// Settings a /llm command or the llm_settings row may change
+const SETTING_COLUMNS = ['provider', 'base_url', 'model', 'temperature', 'timeout_ms', 'detection_mode'];
+
+function normalizeProvider(value) {
+    const provider = String(value || '').trim().toLowerCase();
+    if (provider === 'local' || provider === 'ollama' || provider === 'llamacpp' || provider === 'llama.cpp') {
+        return 'openai-compatible';
+    }
+    return LLM_PROVIDERS.includes(provider) ? provider : null;
+}
+
+// env + llm_settings row -> { mode, provider, baseUrl, model, temperature, timeoutMs, apiKey }.
+// A setting stored in the database wins over the environment; null means "not set".
+function resolveLLMConfig(env, settings = {}) {
+    const pick = (column, envValue) =>
+        settings[column] !== null && settings[column] !== undefined ? settings[column] : envValue;
+
+    const mode = String(pick('detection_mode', env.DETECTION_MODE) || '').trim().toLowerCase();
+    const provider = normalizeProvider(pick('provider', env.LLM_PROVIDER)) || 'openai';
+    const defaults = PROVIDER_DEFAULTS[provider];
+    const temperature = parseFloat(pick('temperature', env.LLM_TEMPERATURE));
+    const timeoutMs = parseInt(pick('timeout_ms', env.LLM_TIMEOUT));
+
+    const baseUrl = String(pick('base_url', env.LLM_BASE_URL) || defaults.baseUrl).replace(/\/+$/, '');
+    let apiKey = env.LLM_API_KEY;
+    if (!apiKey && baseUrl === defaults.baseUrl) {
+        apiKey = { openai: env.OPENAI_API_KEY, anthropic: env.ANTHROPIC_API_KEY }[provider];
+    }
+
+    return {
+        mode: DETECTION_MODES.includes(mode) ? mode : 'llm',
+        provider,
+        baseUrl,
+        model: pick('model', env.LLM_MODEL) || defaults.model,
+        temperature: isNaN(temperature) ? 0.3 : temperature,
+        timeoutMs: isNaN(timeoutMs) || timeoutMs <= 0 ? 30000 : timeoutMs,
+        apiKey: apiKey || null
+    };
+}
+
+// Local models often wrap JSON in ```json fences or add a sentence around it
+function extractJson(text) {
+    const value = String(text || '').trim();
+    const fenced = value.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const body = fenced ? fenced[1].trim() : value;
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    return start !== -1 && end > start ? body.substring(start, end + 1) : body;
+}
+
+async function callAnthropic(config, prompt, fetchImpl) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+    try {
+        const response = await fetchImpl(`${config.baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'x-api-key': config.apiKey || '',
+                'anthropic-version': ANTHROPIC_VERSION
+            },
+            body: JSON.stringify({
+                model: config.model,
+                max_tokens: ANTHROPIC_MAX_TOKENS,
+                temperature: config.temperature,
+                system: prompt,
+                messages: [{ role: 'user', content: 'Respond with the JSON object only.' }]
+            }),
+            signal: controller.signal
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`Anthropic API ${response.status}: ${data.error ? data.error.message : 'request failed'}`);
+        }
+        return {
+            text: (data.content || [])
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            usage: data.usage ? { prompt: data.usage.input_tokens, completion: data.usage.output_tokens } : null
+        };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`LLM request timed out after ${config.timeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Token counts as reported by the provider; servers that report none (some local ones)
+// get an estimate from the text lengths, flagged with estimated: true
+function toUsage(config, reported, prompt, text) {
+    const known = reported && Number.isFinite(reported.prompt) && Number.isFinite(reported.completion);
+    return {
+        provider: config.provider,
+        model: config.model,
+        promptTokens: known ? reported.prompt : estimateTokens(prompt),
+        completionTokens: known ? reported.completion : estimateTokens(text),
+        estimated: !known
+    };
+}
+
+// -> { config, complete(prompt, meta) -> response text }. The prompt is sent as the system
+// message and JSON output is requested where the provider supports it.
+// onUsage({ provider, model, promptTokens, completionTokens, estimated, ...meta }) is awaited
+// after every successful request; meta says what the request was for (chat, messages).
+function createLLMClient(config, { fetch: fetchImpl = globalThis.fetch, onUsage = null } = {}) {
+    const report = async (meta, reported, prompt, text) => {
+        if (onUsage) {
+            await onUsage({ ...toUsage(config, reported, prompt, text), ...meta });
+        }
+        return text;
+    };
+
+    if (config.provider === 'anthropic') {
+        return {
+            config,
+            async complete(prompt, meta = {}) {
+                const { text, usage } = await callAnthropic(config, prompt, fetchImpl);
+                return await report(meta, usage, prompt, text);
+            }
+        };
+    }
+
+    const openai = new OpenAI({
+        // Local OpenAI-compatible servers usually accept any key
+        apiKey: config.apiKey || 'not-needed',
+        baseURL: config.baseUrl,
+        timeout: config.timeoutMs,
+        maxRetries: 1
+    });
+
+    return {
+        config,
+        async complete(prompt, meta = {}) {
+            const completion = await openai.chat.completions.create({
+                model: config.model,
+                messages: [{ role: 'system', content: prompt }],
+                response_format: { type: 'json_object' },
+                temperature: config.temperature
+            });
+            const usage = completion.usage
+                ? { prompt: completion.usage.prompt_tokens, completion: completion.usage.completion_tokens }
+                : null;
+            return await report(meta, usage, prompt, completion.choices[0].message.content);
+        }
+    };
+}
+
+async function getLLMSettings(pool) {
+    const result = await pool.query('SELECT * FROM llm_settings LIMIT 1');
+    if (result.rows.length > 0) {
+        return result.rows[0];
+    }
+    const inserted = await pool.query('INSERT INTO llm_settings DEFAULT VALUES RETURNING *');
+    return inserted.rows[0];
+}
+
+// changes: any of SETTING_COLUMNS; null clears a setting back to the env value
+async function updateLLMSettings(pool, changes) {
+    const settings = await getLLMSettings(pool);
+    const updated = { ...settings, ...changes };
+    const result = await pool.query(`
+        UPDATE llm_settings
+        SET provider = $1, base_url = $2, model = $3, temperature = $4, timeout_ms = $5,
+            detection_mode = $6, updated_at = NOW()
+        WHERE id = $7
+        RETURNING *
+    `, [...SETTING_COLUMNS.map(column => updated[column]), settings.id]);
+    return result.rows[0];
+}
+
+module.exports = {
+    LLM_PROVIDERS,
+    DETECTION_MODES,
+    normalizeProvider,
+    resolveLLMConfig,
+    extractJson,
+    createLLMClient,
+    getLLMSettings,
+    updateLLMSettings
+};
@@ -0,0 +1,60 @@
+// Tasks the user explicitly wants tracked: /add <text> and messages forwarded into the
+// command chat. Detection pulls out the time, amount and link; when it fails or says the
+// text is not a task, the text is saved as a plain task anyway. Every saved task is
+// recorded as feedback: a task the detector did not catch.
+const feedback = require('./feedback');
+
+const MANUAL_DETECTION_TIMEOUT_MS = 15000;
+const MAX_PLAIN_SUMMARY_LENGTH = 200;
+
+// Task for text detection could not read: the text itself, and its first link
+function buildPlainTask(text) {
+    return {
+        is_task: true,
+        types: [],
+        summary: text.length > MAX_PLAIN_SUMMARY_LENGTH ? text.substring(0, MAX_PLAIN_SUMMARY_LENGTH - 3) + '...' : text,
+        link: (text.match(/https?:\/\/\S+/) || [null])[0]
+    };
+}
+
+// deps: { detectTask(message), saveTask(task, message, chatName, senderName, source) }
+// -> { add(message, text, chatName, senderName, source) }. `message` supplies id, chat
+// and the timestamp relative dates are resolved against; source is 'manual' or 'forwarded'.
+function createManualTaskAdder(pool, { detectTask, saveTask, timeoutMs = MANUAL_DETECTION_TIMEOUT_MS }) {
+    async function detect(text, timestamp) {
+        let timer;
+        try {
+            return await Promise.race([
+                detectTask({ body: text, timestamp }),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Task detection timeout')), timeoutMs);
+                })
+            ]);
+        } catch (error) {
+            console.error('❌ Detection failed for manual task, saving as plain task:', error.message);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return {
+        async add(message, text, chatName, senderName, source) {
+            const detected = await detect(text, message.timestamp);
+            const task = detected && detected.is_task && !detected.error
+                ? { ...detected, is_task: true }
+                : buildPlainTask(text);
+
+            const saved = await saveTask(task, { ...message, body: text }, chatName, senderName, source);
+            if (saved) {
+                await feedback.tryRecordTaskFeedback(pool, saved, 'task', source);
+            }
+            return saved;
+        }
+    };
+}
+
+module.exports = {
+    buildPlainTask,
+    createManualTaskAdder
+};
@@ -0,0 +1,104 @@
+// Edited and deleted-for-everyone WhatsApp messages: the task saved from a message
+// (tasks.message_id) follows the message. Edits re-run detection and update the
+// row; revoked messages cancel their pending task. Both keep history in task_history.
+const taskActions = require('./task-actions');
+
+// Detection result fields mapped to the tasks columns an edit may change
+const EDIT_RESULT_FIELDS = {
+    summary: 'summary',
+    types: 'task_types',
+    event_time: 'event_time',
+    amount: 'amount',
+    link: 'link'
+};
+
+async function getTaskByMessageId(pool, messageId) {
+    const result = await pool.query(
+        'SELECT * FROM tasks WHERE message_id = $1 AND is_task = true',
+        [messageId]
+    );
+    return result.rows[0] || null;
+}
+
+function toComparable(column, value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (column === 'event_time') {
+        const time = new Date(value).getTime();
+        return isNaN(time) ? null : time;
+    }
+    if (column === 'task_types') {
+        return [...value].sort().join(',');
+    }
+    return String(value);
+}
+
+// Detection result for the edited text -> { column: newValue } for the fields that differ
+function getEditChanges(task, result) {
+    const changes = {};
+    for (const [field, column] of Object.entries(EDIT_RESULT_FIELDS)) {
+        let value = result[field] === undefined ? null : result[field];
+        if (column === 'event_time' && value !== null) {
+            value = new Date(value);
+            if (isNaN(value.getTime())) {
+                value = null;
+            }
+        }
+        if (column === 'task_types') {
+            value = Array.isArray(value) ? value : [];
+        }
+        if (toComparable(column, task[column]) !== toComparable(column, value)) {
+            changes[column] = value;
+        }
+    }
+    return changes;
+}
+
+// Saves the edited text and the re-detected fields; meta: { messageId, changedBy }
+async function applyMessageEdit(pool, task, newBody, result, meta = {}) {
+    const changes = { ...getEditChanges(task, result), original_text: newBody };
+    const columns = Object.keys(changes);
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+    const updated = await pool.query(
+        `UPDATE tasks SET ${assignments.join(', ')}, confidence = $${columns.length + 2}
+         WHERE id = $1 RETURNING *`,
+        [task.id, ...Object.values(changes), result.confidence || task.confidence || null]
+    );
+
+    const oldValues = {};
+    for (const column of columns) {
+        oldValues[column] = task[column] === undefined ? null : task[column];
+    }
+    await taskActions.recordTaskHistory(pool, task.id, {
+        changeType: 'edit',
+        oldValues,
+        newValues: changes,
+        ...meta
+    });
+    return { task: updated.rows[0] || null, changes };
+}
+
+// Cancels the pending task saved from a message; changeType 'edit' when an edit
+// turned it into a non-task, 'revoke' when it was deleted for everyone
+async function cancelTaskForMessage(pool, task, changeType, meta = {}) {
+    if (!task || task.status !== 'pending') {
+        return null;
+    }
+    const cancelled = await taskActions.cancelTask(pool, task.id);
+    await taskActions.recordTaskHistory(pool, task.id, {
+        changeType,
+        oldValues: { status: task.status },
+        newValues: { status: 'cancelled' },
+        ...meta
+    });
+    return cancelled;
+}
+
+module.exports = {
+    getTaskByMessageId,
+    getEditChanges,
+    applyMessageEdit,
+    cancelTaskForMessage
+};
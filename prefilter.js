@@ -0,0 +1,216 @@
+// Weighted prefilter deciding which monitored-chat messages are worth an LLM request.
+// Every signal that matches adds its weight once; a message is analysed when the
+// total reaches the threshold (PREFILTER_THRESHOLD). Scores and the contribution of
+// each signal are stored in processed_messages, so /prefilter stats can show how
+// many messages pass and how many of those turn out to be tasks.
+const { looksLikeFollowUp } = require('./follow-ups');
+
+// Letter/digit boundaries that also work for Hebrew (\b only knows [A-Za-z0-9_])
+const B = '(?<![\\p{L}\\p{N}])';
+const E = '(?![\\p{L}\\p{N}])';
+// Hebrew words often carry a one-letter prefix: ו (and), ב (on), ל (to), מ (from), ש (that), ה (the)
+const HP = '[ובלמשה]?';
+
+function englishWords(words) {
+    return new RegExp(`${B}(?:${words.join('|')})${E}`, 'iu');
+}
+
+function hebrewWords(words) {
+    return new RegExp(`${B}${HP}(?:${words.join('|')})${E}`, 'u');
+}
+
+const DEFAULT_THRESHOLD = 2;
+
+// Weights: 2 = strong on its own (a clock time, an amount), 1-1.5 = needs company,
+// 0.5 = only tips a message that already has another signal
+const PREFILTER_SIGNALS = [
+    {
+        name: 'time',
+        weight: 2,
+        patterns: [
+            /(?<!\d)\d{1,2}:\d{2}(?!\d)/,
+            /(?<!\d)\d{1,2}(?::\d{2})?\s?(?:am|pm)\b/i,
+            /\bat \d{1,2}(?!\d)/i,
+            /\d{1,2} ?o'?clock/i,
+            /(?:בשעה|ב-?)\s?\d{1,2}(?::\d{2})?(?!\d)/
+        ]
+    },
+    {
+        name: 'date',
+        weight: 2,
+        patterns: [
+            /(?<![\d.\/])\d{1,2}[\/.]\d{1,2}(?:[\/.]\d{2,4})?(?![\d.\/])/,
+            englishWords(['jan(?:uary)?', 'feb(?:ruary)?', 'march', 'apr(?:il)?', 'june?', 'july?', 'aug(?:ust)?', 'sep(?:t(?:ember)?)?', 'oct(?:ober)?', 'nov(?:ember)?', 'dec(?:ember)?']),
+            hebrewWords(['ינואר', 'פברואר', 'מרץ', 'אפריל', 'מאי', 'יוני', 'יולי', 'אוגוסט', 'ספטמבר', 'אוקטובר', 'נובמבר', 'דצמבר'])
+        ]
+    },
+    {
+        name: 'day',
+        weight: 1.5,
+        patterns: [
+            englishWords(['today', 'tonight', 'tomorrow', 'tmrw', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+                'this week', 'next week', 'next month', 'weekend']),
+            hebrewWords(['היום', 'הערב', 'מחר', 'מחרתיים', 'השבוע', 'שבוע הבא', 'בשבוע הבא', 'החודש', 'חודש הבא', 'סופ"ש', 'סוף השבוע']),
+            // A bare "שני" also means "second", so weekdays need ב/יום
+            /(?:יום|ב)\s?(?:ראשון|שני|שלישי|רביעי|חמישי|שישי|שבת)(?![\p{L}\p{N}])/u
+        ]
+    },
+    {
+        name: 'amount',
+        weight: 2,
+        patterns: [
+            /\d\s*(?:₪|ש["״']?ח|שקל)/,
+            /(?:₪|\$)\s*\d/,
+            /\d\s*\$/,
+            /\d\s*(?:dollars?|shekels?|nis|ils)\b/i
+        ]
+    },
+    {
+        name: 'number',
+        weight: 0.5,
+        patterns: [/(?<![\d.:\/])\d{2,}(?![\d.:\/])/]
+    },
+    {
+        name: 'event',
+        weight: 1.5,
+        patterns: [
+            englishWords(['meeting', 'appointment', 'event', 'party', 'birthday', 'wedding', 'conference', 'workshop', 'lecture',
+                'class', 'course', 'checkup', 'doctor', 'dentist', 'deadline', 'due', 'schedule[ds]?', 'rsvp', 'visit']),
+            hebrewWords(['פגישה', 'מפגש', 'ישיבה', 'אירוע', 'חגיגה', 'יום הולדת', 'חתונה', 'בר מצווה', 'בת מצווה', 'כנס', 'סדנה',
+                'הרצאה', 'קורס', 'שיעור', 'חוג', 'בדיקה', 'טיפול', 'רופא', 'רופאה', 'תור', 'אסיפה', 'טיול'])
+        ]
+    },
+    {
+        name: 'payment',
+        weight: 1.5,
+        patterns: [
+            englishWords(['pay', 'paid', 'payment', 'transfer', 'money', 'bill', 'invoice', 'registration', 'fee', 'fees', 'cost', 'price',
+                'charge', 'owe', 'debt', 'paybox']),
+            hebrewWords(['תשלום', 'לשלם', 'להעביר', 'העברה', 'כסף', 'חשבון', 'חשבונית', 'הרשמה', 'דמי', 'עלות', 'מחיר', 'צ\'ק', 'מזומן', 'ביט', 'פייבוקס'])
+        ]
+    },
+    {
+        name: 'reminder',
+        weight: 2,
+        patterns: [
+            englishWords(['remember', 'remind(?:er)?', 'don[\'’]?t forget', 'do not forget']),
+            hebrewWords(['לזכור', 'תזכורת', 'להזכיר', 'לא לשכוח', 'אל תשכחו', 'אל תשכח', 'אל תשכחי'])
+        ]
+    },
+    {
+        name: 'action',
+        weight: 1,
+        patterns: [
+            englishWords(['need to', 'needs to', 'must', 'have to', 'has to', 'should', 'urgent', 'asap', 'bring', 'sign', 'submit', 'register']),
+            hebrewWords(['צריך', 'צריכה', 'צריכים', 'חייב', 'חייבת', 'חייבים', 'דחוף', 'בדחיפות', 'להביא', 'לחתום', 'להגיש', 'להירשם'])
+        ]
+    },
+    {
+        name: 'request',
+        weight: 1.5,
+        patterns: [
+            englishWords(['can you', 'could you', 'would you', 'will you', 'please', 'pls']),
+            hebrewWords(['אפשר', 'תוכל', 'תוכלי', 'תוכלו', 'בבקשה', 'מי יכול', 'מי יכולה'])
+        ]
+    },
+    {
+        name: 'question',
+        weight: 0.5,
+        patterns: [/\?/]
+    },
+    {
+        name: 'link',
+        weight: 1.5,
+        patterns: [/https?:\/\//i, /\bwww\./i]
+    },
+    {
+        // Follow-ups are often too short for anything else ("בוטל", "moved to Thursday")
+        name: 'follow_up',
+        weight: 2,
+        test: looksLikeFollowUp
+    }
+];
+
+// Weight of a chat's extra keywords (chat-profiles.js): enough to pass the default threshold alone
+const KEYWORD_WEIGHT = 2;
+
+// -> { score, signals: { name: weight } for every signal that matched, passed }.
+// keywords: the chat's extra keywords, matched case-insensitively anywhere in the text.
+function scoreMessage(text, { threshold = DEFAULT_THRESHOLD, keywords = null } = {}) {
+    const body = String(text || '');
+    const signals = {};
+    let score = 0;
+    for (const signal of PREFILTER_SIGNALS) {
+        const matched = signal.test
+            ? signal.test(body)
+            : signal.patterns.some(pattern => pattern.test(body));
+        if (matched) {
+            signals[signal.name] = signal.weight;
+            score += signal.weight;
+        }
+    }
+    const lowerBody = body.toLowerCase();
+    if (keywords && keywords.some(keyword => keyword && lowerBody.includes(keyword.toLowerCase()))) {
+        signals.keyword = KEYWORD_WEIGHT;
+        score += KEYWORD_WEIGHT;
+    }
+    return { score, signals, passed: score >= threshold };
+}
+
+// Per chat over the last `days`: messages seen, how many passed the prefilter, how many
+// were analysed, and how many became tasks. Sorted by message count.
+async function getPrefilterStats(pool, { days = 30 } = {}) {
+    const result = await pool.query(`
+        SELECT s.*, (SELECT chat_name FROM chat_configs c WHERE c.chat_id = s.chat_id) AS chat_name
+        FROM (
+            SELECT pm.chat_id,
+                COUNT(*) AS messages,
+                COUNT(*) FILTER (WHERE pm.had_task_indicators) AS passed,
+                COUNT(*) FILTER (WHERE pm.was_analyzed) AS analyzed,
+                COUNT(t.id) AS tasks,
+                AVG(pm.prefilter_score) AS average_score
+            FROM processed_messages pm
+            LEFT JOIN tasks t ON t.message_id = pm.message_id AND t.is_task = true
+            WHERE pm.processed_at >= NOW() - $1 * INTERVAL '1 day'
+            GROUP BY pm.chat_id
+        ) s
+        ORDER BY s.messages DESC, s.chat_id
+    `, [days]);
+    return result.rows.map(row => ({
+        chat_id: row.chat_id,
+        chat_name: row.chat_name || null,
+        messages: parseInt(row.messages) || 0,
+        passed: parseInt(row.passed) || 0,
+        analyzed: parseInt(row.analyzed) || 0,
+        tasks: parseInt(row.tasks) || 0,
+        average_score: row.average_score === null ? null : Number(row.average_score)
+    }));
+}
+
+// Per signal over the last `days`: analysed messages it matched and how many became tasks
+async function getSignalStats(pool, { days = 30 } = {}) {
+    const result = await pool.query(`
+        SELECT signal.key AS signal,
+            COUNT(*) AS analyzed,
+            COUNT(t.id) AS tasks
+        FROM processed_messages pm
+        CROSS JOIN LATERAL jsonb_each(pm.prefilter_signals) AS signal
+        LEFT JOIN tasks t ON t.message_id = pm.message_id AND t.is_task = true
+        WHERE pm.was_analyzed AND pm.processed_at >= NOW() - $1 * INTERVAL '1 day'
+        GROUP BY signal.key
+        ORDER BY analyzed DESC, signal.key
+    `, [days]);
+    return result.rows.map(row => ({
+        signal: row.signal,
+        analyzed: parseInt(row.analyzed) || 0,
+        tasks: parseInt(row.tasks) || 0
+    }));
+}
+
+module.exports = {
+    DEFAULT_THRESHOLD,
+    PREFILTER_SIGNALS,
+    scoreMessage,
+    getPrefilterStats,
+    getSignalStats
+};
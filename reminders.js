@@ -0,0 +1,144 @@
+// Event reminders: lead-time parsing and the task_reminders queue in PostgreSQL.
+// Rows are unique per (task, offset, event_time), so a reminder that was already
+// sent is never re-created, and due rows are claimed atomically before sending.
+
+const OFFSET_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+// "30m", "2h", "1d" or a bare number of minutes -> minutes
+function parseOffset(text) {
+    const match = String(text).trim().toLowerCase().match(/^(\d+)\s*([mhd]?)$/);
+    if (!match) {
+        return null;
+    }
+    const minutes = parseInt(match[1]) * OFFSET_UNITS[match[2] || 'm'];
+    return minutes > 0 ? minutes : null;
+}
+
+// "1d,1h" -> [1440, 60]; throws on any invalid entry
+function parseOffsetList(text) {
+    const entries = String(text).split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length === 0) {
+        throw new Error('No reminder offsets given');
+    }
+    const offsets = entries.map(entry => {
+        const minutes = parseOffset(entry);
+        if (minutes === null) {
+            throw new Error(`Invalid reminder offset "${entry}". Use values like 30m, 2h or 1d`);
+        }
+        return minutes;
+    });
+    return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+function formatOffset(minutes) {
+    if (minutes % OFFSET_UNITS.d === 0) {
+        const days = minutes / OFFSET_UNITS.d;
+        return `${days} day${days > 1 ? 's' : ''}`;
+    }
+    if (minutes % OFFSET_UNITS.h === 0) {
+        const hours = minutes / OFFSET_UNITS.h;
+        return `${hours} hour${hours > 1 ? 's' : ''}`;
+    }
+    return `${minutes} minute${minutes > 1 ? 's' : ''}`;
+}
+
+// offsets: array of minutes, or null to go back to the default lead times
+async function setTaskReminderOffsets(pool, taskId, offsets) {
+    const result = await pool.query(
+        'UPDATE tasks SET reminder_offsets = $1 WHERE id = $2 RETURNING *',
+        [offsets, taskId]
+    );
+    return result.rows[0] || null;
+}
+
+// Bring task_reminders in line with the current pending tasks: drop unsent
+// reminders whose task changed, and schedule any that are missing
+async function syncReminders(pool, defaultOffsets) {
+    await pool.query(`
+        DELETE FROM task_reminders r
+        USING tasks t
+        WHERE r.task_id = t.id
+          AND r.status = 'pending'
+          AND (
+              t.status <> 'pending'
+              OR t.event_time IS DISTINCT FROM r.event_time
+              OR NOT (r.offset_minutes = ANY(COALESCE(t.reminder_offsets, $1::int[])))
+          )
+    `, [defaultOffsets]);
+
+    const result = await pool.query(`
+        INSERT INTO task_reminders (task_id, offset_minutes, event_time, remind_at)
+        SELECT t.id, o.offset_minutes, t.event_time,
+               t.event_time - o.offset_minutes * INTERVAL '1 minute'
+        FROM tasks t
+        CROSS JOIN LATERAL unnest(COALESCE(t.reminder_offsets, $1::int[])) AS o(offset_minutes)
+        WHERE t.is_task = true
+          AND t.status = 'pending'
+          AND t.event_time IS NOT NULL
+          AND t.event_time - o.offset_minutes * INTERVAL '1 minute' > NOW()
+        ON CONFLICT (task_id, offset_minutes, event_time) DO NOTHING
+    `, [defaultOffsets]);
+    return result.rowCount;
+}
+
+// Marks due reminders as sent and returns them with their task. Reminders for
+// events that already started are skipped instead of sent late.
+async function claimDueReminders(pool) {
+    await pool.query(`
+        UPDATE task_reminders SET status = 'skipped'
+        WHERE status = 'pending' AND remind_at <= NOW() AND event_time <= NOW()
+    `);
+
+    const result = await pool.query(`
+        WITH due AS (
+            SELECT id FROM task_reminders
+            WHERE status = 'pending' AND remind_at <= NOW()
+            ORDER BY remind_at
+            FOR UPDATE SKIP LOCKED
+        )
+        UPDATE task_reminders r
+        SET status = 'sent', sent_at = CURRENT_TIMESTAMP
+        FROM due
+        WHERE r.id = due.id
+        RETURNING r.id AS reminder_id, r.offset_minutes, r.task_id
+    `);
+    if (result.rows.length === 0) {
+        return [];
+    }
+
+    const tasks = await pool.query(
+        'SELECT * FROM tasks WHERE id = ANY($1::int[])',
+        [result.rows.map(row => row.task_id)]
+    );
+    const tasksById = new Map(tasks.rows.map(task => [task.id, task]));
+    return result.rows
+        .filter(row => tasksById.has(row.task_id))
+        .map(row => ({ ...row, task: tasksById.get(row.task_id) }));
+}
+
+// Put a claimed reminder back in the queue when sending it failed
+async function releaseReminder(pool, reminderId) {
+    await pool.query(
+        `UPDATE task_reminders SET status = 'pending', sent_at = NULL WHERE id = $1`,
+        [reminderId]
+    );
+}
+
+async function getTaskReminders(pool, taskId) {
+    const result = await pool.query(
+        'SELECT * FROM task_reminders WHERE task_id = $1 ORDER BY remind_at',
+        [taskId]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    parseOffset,
+    parseOffsetList,
+    formatOffset,
+    setTaskReminderOffsets,
+    syncReminders,
+    claimDueReminders,
+    releaseReminder,
+    getTaskReminders
+};
@@ -0,0 +1,175 @@
+// Retry queue for messages whose analysis failed (LLM error or timeout). The message
+// is already marked processed, so the detection_retries row is the only thing that
+// keeps it from being lost. Due rows are claimed atomically, and each failure pushes
+// the next attempt out with exponential backoff until the attempts run out.
+// Messages skipped because the LLM budget was used up are queued with reason 'budget':
+// their number is capped, and the ones still waiting after maxAgeHours expire, so the
+// next budget is not spent on a day-old backlog.
+
+const RETRY_DEFAULTS = {
+    maxAttempts: 5,
+    baseDelayMs: 60 * 1000,
+    maxDelayMs: 60 * 60 * 1000
+};
+
+const BUDGET_RETRY_DEFAULTS = {
+    limit: 50,
+    maxAgeHours: 24
+};
+
+// Delay before the next attempt after `attempts` failures: base, 2x base, 4x base, ... capped
+function getRetryDelay(attempts, { baseDelayMs = RETRY_DEFAULTS.baseDelayMs, maxDelayMs = RETRY_DEFAULTS.maxDelayMs } = {}) {
+    const exponent = Math.max(attempts - 1, 0);
+    return Math.min(baseDelayMs * Math.pow(2, exponent), maxDelayMs);
+}
+
+// message: { messageId, chatId, chatName, senderName, text, timestamp (seconds), mediaType,
+// reason }. mediaType 'voice' queues a voice note whose transcription failed. Records the
+// first failure; a message already in the queue is left as it is. With options.maxQueued,
+// nothing is queued while that many rows with the same reason are still waiting.
+async function enqueueRetry(pool, message, error, options = {}) {
+    const result = await pool.query(`
+        INSERT INTO detection_retries (
+            message_id, chat_id, chat_name, sender_name, message_text, message_timestamp,
+            attempts, last_error, next_attempt_at, media_type, reason
+        )
+        SELECT $1, $2, $3, $4, $5, $6, 1, $7, NOW() + $8 * INTERVAL '1 millisecond', $9, $10::varchar
+        WHERE $11::int IS NULL OR (
+            SELECT COUNT(*) FROM detection_retries
+            WHERE reason = $10::varchar AND status IN ('pending', 'processing')
+        ) < $11::int
+        ON CONFLICT (message_id) DO NOTHING
+        RETURNING *
+    `, [
+        message.messageId,
+        message.chatId,
+        message.chatName,
+        message.senderName || null,
+        message.text,
+        message.timestamp,
+        error,
+        getRetryDelay(1, options),
+        message.mediaType || null,
+        message.reason || null,
+        options.maxQueued ?? null
+    ]);
+    return result.rows[0] || null;
+}
+
+// Rows with `reason` still waiting after maxAgeHours are given up as 'expired'.
+// Returns the number of rows expired.
+async function expireRetries(pool, reason, { maxAgeHours = BUDGET_RETRY_DEFAULTS.maxAgeHours } = {}) {
+    const result = await pool.query(`
+        UPDATE detection_retries
+        SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+        WHERE reason = $1 AND status = 'pending'
+          AND created_at < NOW() - $2 * INTERVAL '1 hour'
+    `, [reason, maxAgeHours]);
+    return result.rowCount;
+}
+
+// Marks up to `limit` due rows as processing and returns them, oldest message first.
+// Rows left in processing by a crash become due again after `staleMinutes`.
+async function claimDueRetries(pool, { limit = 5, staleMinutes = 10 } = {}) {
+    const result = await pool.query(`
+        WITH due AS (
+            SELECT id FROM detection_retries
+            WHERE (status = 'pending' AND next_attempt_at <= NOW())
+               OR (status = 'processing' AND updated_at <= NOW() - $2 * INTERVAL '1 minute')
+            ORDER BY message_timestamp
+            LIMIT $1
+            FOR UPDATE SKIP LOCKED
+        )
+        UPDATE detection_retries r
+        SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+        FROM due
+        WHERE r.id = due.id
+        RETURNING r.*
+    `, [limit, staleMinutes]);
+    return result.rows.sort((a, b) => Number(a.message_timestamp) - Number(b.message_timestamp));
+}
+
+async function completeRetry(pool, id) {
+    await pool.query(`
+        UPDATE detection_retries
+        SET status = 'done', last_error = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [id]);
+}
+
+// Another failed attempt: back to pending with a longer delay, or 'failed' once
+// maxAttempts is reached. Returns the updated row.
+async function recordRetryFailure(pool, retry, error, options = {}) {
+    const maxAttempts = options.maxAttempts || RETRY_DEFAULTS.maxAttempts;
+    const attempts = retry.attempts + 1;
+    const failed = attempts >= maxAttempts;
+    const result = await pool.query(`
+        UPDATE detection_retries
+        SET attempts = $2,
+            last_error = $3,
+            status = $4,
+            next_attempt_at = NOW() + $5 * INTERVAL '1 millisecond',
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+    `, [retry.id, attempts, error, failed ? 'failed' : 'pending', failed ? null : getRetryDelay(attempts, options)]);
+    return result.rows[0] || null;
+}
+
+// /retry: make one row (or every waiting and failed row) due now. A failed row gets
+// one more attempt. Returns the number of rows rescheduled.
+async function retryNow(pool, id = null) {
+    const result = await pool.query(`
+        UPDATE detection_retries
+        SET status = 'pending', next_attempt_at = NOW(), updated_at = CURRENT_TIMESTAMP
+        WHERE status IN ('pending', 'failed')
+          AND ($1::int IS NULL OR id = $1)
+    `, [id]);
+    return result.rowCount;
+}
+
+// -> { pending, processing, failed, done, next_attempt_at }
+async function getRetryStats(pool) {
+    const result = await pool.query(`
+        SELECT
+            COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+            COUNT(*) FILTER (WHERE status = 'processing') AS processing,
+            COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+            COUNT(*) FILTER (WHERE status = 'done') AS done,
+            MIN(next_attempt_at) FILTER (WHERE status = 'pending') AS next_attempt_at
+        FROM detection_retries
+    `);
+    const row = result.rows[0] || {};
+    return {
+        pending: parseInt(row.pending) || 0,
+        processing: parseInt(row.processing) || 0,
+        failed: parseInt(row.failed) || 0,
+        done: parseInt(row.done) || 0,
+        next_attempt_at: row.next_attempt_at || null
+    };
+}
+
+// Rows still waiting or given up on, failed first
+async function getRetryQueue(pool, { limit = 10 } = {}) {
+    const result = await pool.query(`
+        SELECT * FROM detection_retries
+        WHERE status IN ('pending', 'processing', 'failed')
+        ORDER BY status = 'failed' DESC, next_attempt_at NULLS LAST, id
+        LIMIT $1
+    `, [limit]);
+    return result.rows;
+}
+
+module.exports = {
+    RETRY_DEFAULTS,
+    BUDGET_RETRY_DEFAULTS,
+    getRetryDelay,
+    enqueueRetry,
+    expireRetries,
+    claimDueRetries,
+    completeRetry,
+    recordRetryFailure,
+    retryNow,
+    getRetryStats,
+    getRetryQueue
+};
@@ -0,0 +1,125 @@
+// Review queue for low-confidence detections. Tasks the model is unsure about are
+// saved as 'needs_review' instead of 'pending'; /review (or the dashboard) keeps them,
+// which makes them ordinary pending tasks, or discards them. Discarded tasks stay in
+// the table, out of every list, as a record of what the detector got wrong. Both
+// decisions are also recorded as detection feedback (feedback.js).
+const feedback = require('./feedback');
+
+const REVIEW_REPLIES = {
+    keep: ['keep', 'k', 'yes', 'y', '✅', '👍', 'שמור', 'כן'],
+    discard: ['discard', 'd', 'no', 'n', '❌', '👎', 'מחק', 'לא'],
+    skip: ['skip', 'next', 's', 'דלג', 'הבא'],
+    stop: ['stop', 'exit', 'quit', 'עצור', 'סיום']
+};
+// A plain message (not /review <word>) only answers a review when it is one of these,
+// so "yes" or "no" meant for someone else in the chat does not decide a task
+const PLAIN_REVIEW_REPLIES = {
+    keep: ['keep', 'שמור'],
+    discard: ['discard', 'מחק']
+};
+
+// A /review session nobody answered for this long is forgotten
+const REVIEW_SESSION_TTL_MS = 5 * 60 * 1000;
+
+// A detected task goes to review when the model gave a confidence below the threshold.
+// No confidence means no signal either way; a threshold of 0 turns review off.
+function needsReview(confidence, threshold) {
+    if (confidence === null || confidence === undefined || !(threshold > 0)) {
+        return false;
+    }
+    return Number(confidence) < threshold;
+}
+
+// "keep" / "מחק" / "👍" ... -> 'keep' | 'discard' | 'skip' | 'stop' | null.
+// plain: the text is a message on its own rather than a /review argument
+function parseReviewReply(text, { plain = false } = {}) {
+    const value = String(text || '').trim().toLowerCase().replace(/[.!]+$/, '');
+    for (const [decision, words] of Object.entries(plain ? PLAIN_REVIEW_REPLIES : REVIEW_REPLIES)) {
+        if (words.includes(value)) {
+            return decision;
+        }
+    }
+    return null;
+}
+
+// /review sessions per user ({ taskId, skipIds }), dropped after ttlMs without an answer.
+// -> { get(key), set(key, session), delete(key) }
+function createReviewSessions({ ttlMs = REVIEW_SESSION_TTL_MS, now = Date.now } = {}) {
+    const sessions = new Map();
+
+    return {
+        get(key) {
+            const entry = sessions.get(key);
+            if (!entry) {
+                return null;
+            }
+            if (now() - entry.updatedAt > ttlMs) {
+                sessions.delete(key);
+                return null;
+            }
+            return entry.session;
+        },
+
+        set(key, session) {
+            sessions.set(key, { session, updatedAt: now() });
+        },
+
+        delete(key) {
+            sessions.delete(key);
+        }
+    };
+}
+
+// Oldest task waiting for review, leaving out the ids skipped in this session
+async function getNextReviewTask(pool, { skipIds = [] } = {}) {
+    const result = await pool.query(`
+        SELECT * FROM tasks
+        WHERE status = 'needs_review' AND is_task = true
+          AND NOT (id = ANY($1::int[]))
+        ORDER BY created_at, id
+        LIMIT 1
+    `, [skipIds]);
+    return result.rows[0] || null;
+}
+
+async function countReviewTasks(pool) {
+    const result = await pool.query(
+        `SELECT COUNT(*) AS count FROM tasks WHERE status = 'needs_review' AND is_task = true`
+    );
+    return parseInt(result.rows[0].count) || 0;
+}
+
+// Both return null when the task is gone or was already reviewed
+async function keepReviewTask(pool, taskId) {
+    const result = await pool.query(
+        `UPDATE tasks SET status = 'pending' WHERE id = $1 AND status = 'needs_review' RETURNING *`,
+        [taskId]
+    );
+    const task = result.rows[0] || null;
+    if (task) {
+        await feedback.tryRecordTaskFeedback(pool, task, 'task', 'kept');
+    }
+    return task;
+}
+
+async function discardReviewTask(pool, taskId) {
+    const result = await pool.query(
+        `UPDATE tasks SET status = 'discarded' WHERE id = $1 AND status = 'needs_review' RETURNING *`,
+        [taskId]
+    );
+    const task = result.rows[0] || null;
+    if (task) {
+        await feedback.tryRecordTaskFeedback(pool, task, 'not_task', 'discarded');
+    }
+    return task;
+}
+
+module.exports = {
+    needsReview,
+    parseReviewReply,
+    createReviewSessions,
+    getNextReviewTask,
+    countReviewTasks,
+    keepReviewTask,
+    discardReviewTask
+};
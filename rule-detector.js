@@ -0,0 +1,279 @@
+// Deterministic task detector: Hebrew/English relative dates and times, currency
+// amounts and links, returned in the same shape as the LLM result (event_time is local
+// wall-clock time, "2025-07-03T15:30:00", like the model's). Used when the
+// LLM is unavailable and in the no-LLM mode (DETECTION_MODE=rules), where message
+// text never leaves the machine. Rules are never as sure as the model, so confidence
+// stays at or below 0.8.
+const { getZonedParts, zonedTimeToDate, toLocalDateTime } = require('./dates');
+
+// Letter/digit boundaries that also work for Hebrew (\b only knows [A-Za-z0-9_])
+const B = '(?<![\\p{L}\\p{N}])';
+const E = '(?![\\p{L}\\p{N}])';
+// Hebrew words often carry a one-letter prefix: ו (and), ב (on), ל (for), מ (from), ש (that)
+const HP = '[ובלמשה]?';
+
+const NUMBER = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)';
+const SHEKEL = '(?:₪|ש["״\']?ח|שקלים|שקל|nis|ils|shekels?)';
+const DOLLAR = '(?:\\$|dollars?|usd|דולר(?:ים)?)';
+
+const AMOUNT_PATTERNS = [
+    { pattern: new RegExp(`${NUMBER}\\s*${SHEKEL}${E}`, 'iu'), format: n => `${n}₪` },
+    { pattern: new RegExp(`${B}(?:₪|nis)\\s*${NUMBER}`, 'iu'), format: n => `${n}₪` },
+    { pattern: new RegExp(`\\$\\s*${NUMBER}`, 'iu'), format: n => `$${n}` },
+    { pattern: new RegExp(`${NUMBER}\\s*${DOLLAR}${E}`, 'iu'), format: n => `$${n}` }
+];
+
+const LINK_PATTERN = /https?:\/\/[^\s<>"']+/i;
+
+const RELATIVE_DAYS = [
+    { pattern: new RegExp(`${B}(?:day after tomorrow|${HP}מחרתיים)${E}`, 'iu'), days: 2 },
+    { pattern: new RegExp(`${B}(?:tomorrow|tmrw|${HP}מחר)${E}`, 'iu'), days: 1 },
+    { pattern: new RegExp(`${B}(?:today|tonight|${HP}היום|הערב)${E}`, 'iu'), days: 0 }
+];
+
+const ENGLISH_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const HEBREW_WEEKDAYS = ['ראשון', 'שני', 'שלישי', 'רביעי', 'חמישי', 'שישי', 'שבת'];
+const ENGLISH_WEEKDAY_PATTERN = new RegExp(`${B}(${ENGLISH_WEEKDAYS.join('|')})${E}`, 'iu');
+// "יום שני", "ביום שני", "בשני", "בשבת"; a bare "שני" also means "second", so it needs ב/יום
+const HEBREW_WEEKDAY_PATTERN = new RegExp(`${B}(?:ו?ב?יום\\s+|ו?ב)(${HEBREW_WEEKDAYS.join('|')})${E}`, 'u');
+
+const ENGLISH_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const HEBREW_MONTHS = ['ינואר', 'פברואר', 'מרץ', 'אפריל', 'מאי', 'יוני', 'יולי', 'אוגוסט', 'ספטמבר', 'אוקטובר', 'נובמבר', 'דצמבר'];
+const ENGLISH_MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+// A number followed by one of these is an amount, not a date or an hour
+const NOT_AMOUNT = '(?!\\s*(?:₪|\\$|%|ש["״\']?ח|שקל|nis|dollars?|דולר|אחוז))';
+// ...and one followed by one of these is a quantity ("2.5 hours", "1.5 ק\"מ")
+const NOT_QUANTITY = `(?!\\s*(?:hours?|hrs?|h|minutes?|mins?|km|kg|g|m|cm|l|liters?|litres?|kilos?|שעות|שעה|דקות|דקה|ק["״']?מ|קילו|ק["״']?ג|גרם|מטר|ליטר|ס["״']?מ)${E})`;
+
+// 3/7, 03/07/2025, 3.7.25
+const NUMERIC_DATE_PATTERN = new RegExp(`${B}(\\d{1,2})(?:/(\\d{1,2})(?:/(\\d{2}|\\d{4}))?|\\.(\\d{1,2})\\.(\\d{2}|\\d{4}))${E}`, 'u');
+// 3.7 without a year - not after "at"/"בשעה" (a time) and not before a currency (2.5 ₪)
+// or a unit (2.5 שעות)
+const DOTTED_DAY_MONTH_PATTERN = new RegExp(`(?<!(?:at|בשעה)\\s+|@\\s*)${B}(\\d{1,2})\\.(\\d{1,2})(?![\\p{L}\\p{N}]|\\.\\d)${NOT_AMOUNT}${NOT_QUANTITY}`, 'iu');
+const DAY_MONTH_PATTERN = new RegExp(`${B}(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${ENGLISH_MONTH_NAME}${E}`, 'iu');
+const MONTH_DAY_PATTERN = new RegExp(`${B}${ENGLISH_MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?${E}`, 'iu');
+const HEBREW_DATE_PATTERN = new RegExp(`${B}(\\d{1,2})\\s*(?:ב|ל)?(${HEBREW_MONTHS.join('|')}|מרס)${E}`, 'u');
+
+const CLOCK_PATTERN = new RegExp(`${B}(\\d{1,2}):(\\d{2})(?:\\s*(am|pm|a\\.m\\.|p\\.m\\.))?`, 'iu');
+const HOUR_AMPM_PATTERN = new RegExp(`${B}(\\d{1,2})\\s*(am|pm|a\\.m\\.|p\\.m\\.)`, 'iu');
+// "at 8", "@8", "בשעה 8", "ב-8", "ב8" - not when the number is an amount
+const HOUR_PATTERN = new RegExp(`(?:${B}at\\s+|@\\s*|${B}בשעה\\s+|${B}ב[-־]?)(\\d{1,2})(?![\\d:/.,])${NOT_AMOUNT}`, 'iu');
+const EVENING_PATTERN = new RegExp(`${B}(?:pm|evening|tonight|afternoon|${HP}ערב|הערב|אחה["״]צ|אחר הצהריים|${HP}צהריים|${HP}לילה)${E}`, 'iu');
+const MORNING_PATTERN = new RegExp(`${B}(?:am|morning|${HP}בוקר)${E}`, 'iu');
+
+// Events without a time of day get this local time
+const DEFAULT_EVENT_HOUR = 9;
+
+const KEYWORDS = {
+    payment: new RegExp(`${B}(?:pay|paying|payment|transfer|owe|fee|bit|paybox|${HP}לשלם|${HP}תשלום|${HP}להעביר|${HP}העברה|חוב|${HP}ביט|פייבוקס|דמי)${E}`, 'iu'),
+    reminder: new RegExp(`${B}(?:don'?t forget|remember|reminder|לא לשכוח|אל תשכחו|אל תשכח|תזכורת|להזכיר|תזכירו)${E}`, 'iu'),
+    request: new RegExp(`${B}(?:please|can you|could you|need to|must|${HP}צריך|${HP}צריכים|בבקשה|מישהו יכול|תוכלו|חייבים|נא)${E}`, 'iu'),
+    event: new RegExp(`${B}(?:meeting|appointment|party|class|lesson|exam|deadline|ceremony|show|${HP}פגישה|${HP}אסיפה|${HP}מסיבה|${HP}חוג|${HP}שיעור|${HP}מבחן|${HP}תור|${HP}אירוע|יום הולדת|${HP}טקס|${HP}הופעה|${HP}ישיבה|${HP}הרשמה)${E}`, 'iu')
+};
+
+function parseAmount(text) {
+    for (const { pattern, format } of AMOUNT_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) {
+            return format(match[1].replace(/,/g, ''));
+        }
+    }
+    return null;
+}
+
+function parseLink(text) {
+    const match = text.match(LINK_PATTERN);
+    return match ? match[0].replace(/[).,!?]+$/, '') : null;
+}
+
+function isValidDay(year, month, day) {
+    const check = new Date(Date.UTC(year, month - 1, day));
+    return check.getUTCFullYear() === year && check.getUTCMonth() === month - 1 && check.getUTCDate() === day;
+}
+
+// { year, month, day } of the date the text refers to, relative to the local day it was sent
+function parseDay(text, today) {
+    const fromToday = days => {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + days));
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    };
+    // A date without a year that already passed means next year
+    const withYear = (month, day, year) => {
+        if (year) {
+            year = year < 100 ? year + 2000 : year;
+        } else {
+            year = today.year;
+            if (month < today.month || (month === today.month && day < today.day)) {
+                year += 1;
+            }
+        }
+        return isValidDay(year, month, day) ? { year, month, day } : null;
+    };
+
+    const numeric = text.match(NUMERIC_DATE_PATTERN);
+    if (numeric) {
+        const month = parseInt(numeric[2] || numeric[4]);
+        const year = numeric[3] || numeric[5];
+        const date = withYear(month, parseInt(numeric[1]), year ? parseInt(year) : null);
+        if (date) {
+            return date;
+        }
+    }
+    const dotted = text.match(DOTTED_DAY_MONTH_PATTERN);
+    if (dotted) {
+        const date = withYear(parseInt(dotted[2]), parseInt(dotted[1]));
+        if (date) {
+            return date;
+        }
+    }
+
+    const dayMonth = text.match(DAY_MONTH_PATTERN);
+    if (dayMonth) {
+        return withYear(ENGLISH_MONTHS.indexOf(dayMonth[2].toLowerCase().slice(0, 3)) + 1, parseInt(dayMonth[1]));
+    }
+    const monthDay = text.match(MONTH_DAY_PATTERN);
+    if (monthDay) {
+        return withYear(ENGLISH_MONTHS.indexOf(monthDay[1].toLowerCase().slice(0, 3)) + 1, parseInt(monthDay[2]));
+    }
+    const hebrewDate = text.match(HEBREW_DATE_PATTERN);
+    if (hebrewDate) {
+        const monthName = hebrewDate[2] === 'מרס' ? 'מרץ' : hebrewDate[2];
+        return withYear(HEBREW_MONTHS.indexOf(monthName) + 1, parseInt(hebrewDate[1]));
+    }
+
+    for (const { pattern, days } of RELATIVE_DAYS) {
+        if (pattern.test(text)) {
+            return fromToday(days);
+        }
+    }
+
+    // "Monday" / "ביום שני" = the next occurrence of that day, never the day it was sent
+    const english = text.match(ENGLISH_WEEKDAY_PATTERN);
+    const hebrew = text.match(HEBREW_WEEKDAY_PATTERN);
+    const weekday = english
+        ? ENGLISH_WEEKDAYS.indexOf(english[1].toLowerCase())
+        : (hebrew ? HEBREW_WEEKDAYS.indexOf(hebrew[1]) : -1);
+    if (weekday !== -1) {
+        return fromToday((weekday - today.weekday + 7) % 7 || 7);
+    }
+    return null;
+}
+
+// { hour, minute, isBare } or null. isBare: only "at 8" / "ב-8", with no am/pm, morning or
+// evening to say it is a time of day
+function parseTime(text) {
+    let hour;
+    let minute = 0;
+    let meridiem = null;
+    let isBare = false;
+
+    const clock = text.match(CLOCK_PATTERN);
+    const hourAmPm = text.match(HOUR_AMPM_PATTERN);
+    const bareHour = text.match(HOUR_PATTERN);
+    if (clock) {
+        hour = parseInt(clock[1]);
+        minute = parseInt(clock[2]);
+        meridiem = clock[3];
+    } else if (hourAmPm) {
+        hour = parseInt(hourAmPm[1]);
+        meridiem = hourAmPm[2];
+    } else if (bareHour) {
+        hour = parseInt(bareHour[1]);
+        isBare = true;
+    } else {
+        return null;
+    }
+
+    if (hour > 23 || minute > 59) {
+        return null;
+    }
+    const isEvening = meridiem ? meridiem.toLowerCase().startsWith('p') : EVENING_PATTERN.test(text);
+    const isMorning = meridiem ? meridiem.toLowerCase().startsWith('a') : MORNING_PATTERN.test(text);
+    if (isEvening && hour < 12) {
+        hour += 12;
+    } else if (isMorning && hour === 12) {
+        hour = 0;
+    }
+    return { hour, minute, isBare: isBare && !isEvening && !isMorning };
+}
+
+// { date, hasTime, isBareHour } for the exact moment of the event, or null without a date
+// or time in the text
+function parseEventTime(text, sentAt, timeZone) {
+    const today = getZonedParts(sentAt, timeZone);
+    const day = parseDay(text, today);
+    const time = parseTime(text);
+    if (!day && !time) {
+        return null;
+    }
+
+    if (day) {
+        const { hour, minute } = time || { hour: DEFAULT_EVENT_HOUR, minute: 0 };
+        return {
+            date: zonedTimeToDate(day.year, day.month, day.day, hour, minute, timeZone),
+            hasTime: !!time,
+            isBareHour: !!time && time.isBare
+        };
+    }
+    // A time alone is today, or tomorrow once that time has passed
+    let date = zonedTimeToDate(today.year, today.month, today.day, time.hour, time.minute, timeZone);
+    if (date <= sentAt) {
+        date = zonedTimeToDate(today.year, today.month, today.day + 1, time.hour, time.minute, timeZone);
+    }
+    return { date, hasTime: true, isBareHour: time.isBare };
+}
+
+function buildSummary(text) {
+    const firstLine = text.replace(LINK_PATTERN, '').split('\n').map(line => line.trim()).find(Boolean) || text.trim();
+    const summary = firstLine.replace(/\s+/g, ' ');
+    return summary.length > 100 ? summary.substring(0, 97) + '...' : summary;
+}
+
+// text + when it was sent -> { is_task, types, summary, event_time, amount, link, confidence, detector }
+function detectTaskRules(text, { sentAt = new Date(), timeZone } = {}) {
+    const value = String(text || '');
+    const amount = parseAmount(value);
+    const link = parseLink(value);
+    const eventTime = parseEventTime(value, sentAt, timeZone);
+    const keywords = Object.fromEntries(Object.entries(KEYWORDS).map(([type, pattern]) => [type, pattern.test(value)]));
+
+    // A bare "at 8" is as likely a count or a page as a time, so it needs an event word
+    const types = [];
+    const hasClockTime = eventTime && eventTime.hasTime && !eventTime.isBareHour;
+    if (eventTime && (hasClockTime || keywords.event || keywords.request || keywords.reminder)) {
+        types.push('event');
+    }
+    if (amount || (keywords.payment && link)) {
+        types.push('payment');
+    }
+    if (keywords.reminder) {
+        types.push('reminder');
+    }
+    if (keywords.request && (link || eventTime || amount)) {
+        types.push('request');
+    }
+
+    if (types.length === 0) {
+        return { is_task: false, detector: 'rules' };
+    }
+
+    const signals = [eventTime, amount, link, ...Object.values(keywords)].filter(Boolean).length;
+    return {
+        is_task: true,
+        types,
+        summary: buildSummary(value),
+        event_time: eventTime && types.includes('event') ? toLocalDateTime(getZonedParts(eventTime.date, timeZone)) : null,
+        amount,
+        link,
+        confidence: Math.round(Math.min(0.4 + 0.1 * signals, 0.8) * 100) / 100,
+        detector: 'rules'
+    };
+}
+
+module.exports = {
+    parseAmount,
+    parseLink,
+    parseEventTime,
+    detectTaskRules
+};
@@ -15,7 +15,7 @@ CREATE TABLE IF NOT EXISTS tasks (
     amount VARCHAR(50),
     link TEXT,
     confidence DECIMAL(3,2),
-    status VARCHAR(20) DEFAULT 'pending', -- pending, completed
+    status VARCHAR(20) DEFAULT 'pending', -- pending, completed, cancelled, needs_review (low confidence), discarded, duplicate
     completed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -31,6 +31,14 @@ CREATE TABLE IF NOT EXISTS processed_messages (
     was_analyzed BOOLEAN DEFAULT false
 );
 
+-- How the LLM answer passed validation: valid, coerced, repaired or invalid (NULL = not checked)
+ALTER TABLE processed_messages ADD COLUMN IF NOT EXISTS validation_status VARCHAR(20);
+ALTER TABLE processed_messages ADD COLUMN IF NOT EXISTS validation_errors TEXT;
+
+-- Prefilter score and the weight each matched signal contributed, e.g. {"time": 2, "day": 1.5}
+ALTER TABLE processed_messages ADD COLUMN IF NOT EXISTS prefilter_score REAL;
+ALTER TABLE processed_messages ADD COLUMN IF NOT EXISTS prefilter_signals JSONB;
+
 -- Table for managing chat configurations
 CREATE TABLE IF NOT EXISTS chat_configs (
     id SERIAL PRIMARY KEY,
@@ -43,6 +51,14 @@ CREATE TABLE IF NOT EXISTS chat_configs (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Per-chat detection profile (chat-profiles.js); NULL = use the global behaviour
+ALTER TABLE chat_configs ADD COLUMN IF NOT EXISTS task_types TEXT[]; -- task types that count in this chat
+ALTER TABLE chat_configs ADD COLUMN IF NOT EXISTS extra_keywords TEXT[]; -- words that pass the prefilter on their own
+ALTER TABLE chat_configs ADD COLUMN IF NOT EXISTS prompt_instructions TEXT;
+ALTER TABLE chat_configs ADD COLUMN IF NOT EXISTS confidence_threshold REAL; -- review threshold for this chat
+ALTER TABLE chat_configs ADD COLUMN IF NOT EXISTS allowed_senders TEXT[]; -- names or numbers; only these are analysed
+ALTER TABLE chat_configs ADD COLUMN IF NOT EXISTS blocked_senders TEXT[]; -- names or numbers never analysed
+
 -- Table for storing bot session information (single user)
 CREATE TABLE IF NOT EXISTS bot_sessions (
     id SERIAL PRIMARY KEY,
@@ -63,6 +79,228 @@ CREATE TABLE IF NOT EXISTS chat_selection_config (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- How the task was created: detected, manual (/add), forwarded (into the command chat)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'detected';
+
+-- Per-task reminder lead times in minutes (NULL = use REMINDER_LEAD_TIMES)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminder_offsets INTEGER[];
+
+-- Sender whose "paid"/"done" message in the chat completed the task
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_by VARCHAR(255);
+
+-- Full-text search over summary (weight A) and original message (weight B):
+-- English stemming, plus the simple config with and without Hebrew prefix letters
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(summary, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(summary, '')), 'A') ||
+    setweight(to_tsvector('simple', regexp_replace(COALESCE(summary, ''), '(^|[^א-ת])[ובכלמשה]{1,2}([א-ת]{3,})', '\1\2', 'g')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(original_text, '')), 'B') ||
+    setweight(to_tsvector('simple', COALESCE(original_text, '')), 'B') ||
+    setweight(to_tsvector('simple', regexp_replace(COALESCE(original_text, ''), '(^|[^א-ת])[ובכלמשה]{1,2}([א-ת]{3,})', '\1\2', 'g')), 'B')
+) STORED;
+
+-- Table for scheduled event reminders (one row per task, lead time and event time)
+CREATE TABLE IF NOT EXISTS task_reminders (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL,
+    event_time TIMESTAMP NOT NULL,
+    remind_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, sent, skipped
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (task_id, offset_minutes, event_time)
+);
+
+-- Table for digest settings (single row, created from .env defaults)
+CREATE TABLE IF NOT EXISTS digest_settings (
+    id SERIAL PRIMARY KEY,
+    is_enabled BOOLEAN DEFAULT true,
+    send_time VARCHAR(5) DEFAULT '08:00', -- HH:MM in BOT_TIMEZONE
+    weekly_enabled BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Table recording sent digests so each one goes out at most once per day
+CREATE TABLE IF NOT EXISTS digest_log (
+    id SERIAL PRIMARY KEY,
+    digest_type VARCHAR(20) NOT NULL, -- daily, weekly
+    digest_date DATE NOT NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (digest_type, digest_date)
+);
+
+-- Table keeping the previous values of tasks changed by follow-up, completion, edited and deleted messages
+CREATE TABLE IF NOT EXISTS task_history (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    change_type VARCHAR(20) NOT NULL, -- update, cancel, complete, edit, revoke, merge
+    old_values JSONB,
+    new_values JSONB,
+    message_id VARCHAR(255), -- follow-up message that caused the change
+    changed_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Table for completions waiting for confirmation in the command chat (AUTO_COMPLETE_MODE=confirm)
+CREATE TABLE IF NOT EXISTS completion_suggestions (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    message_id VARCHAR(255) UNIQUE NOT NULL, -- message that said the task was done
+    completed_by VARCHAR(255),
+    message_text TEXT,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, confirmed, dismissed
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+-- Table for LLM provider overrides set with /llm (single row; NULL = use the LLM_* env value)
+CREATE TABLE IF NOT EXISTS llm_settings (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(30), -- openai, openai-compatible, anthropic
+    base_url TEXT,
+    model VARCHAR(100),
+    temperature DECIMAL(3,2),
+    timeout_ms INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- llm (default) or rules: detect tasks without sending messages to an LLM
+ALTER TABLE llm_settings ADD COLUMN IF NOT EXISTS detection_mode VARCHAR(10);
+
+-- Messages whose analysis failed (LLM error or timeout), retried with backoff
+CREATE TABLE IF NOT EXISTS detection_retries (
+    id SERIAL PRIMARY KEY,
+    message_id VARCHAR(255) UNIQUE NOT NULL,
+    chat_id VARCHAR(255) NOT NULL,
+    chat_name VARCHAR(255),
+    sender_name VARCHAR(255),
+    message_text TEXT NOT NULL,
+    message_timestamp BIGINT NOT NULL, -- seconds, like WhatsApp message timestamps
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, processing, done, failed, expired
+    next_attempt_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Labelled detection mistakes and confirmations, used as few-shot examples in the detection prompt
+CREATE TABLE IF NOT EXISTS detection_feedback (
+    id SERIAL PRIMARY KEY,
+    message_id VARCHAR(255) UNIQUE NOT NULL,
+    chat_id VARCHAR(255),
+    chat_name VARCHAR(255),
+    message_text TEXT NOT NULL,
+    verdict VARCHAR(20) NOT NULL, -- task, not_task
+    source VARCHAR(20) NOT NULL, -- deleted, discarded, kept, manual, forwarded
+    detected BOOLEAN NOT NULL DEFAULT false, -- whether the bot had detected it as a task
+    task_id INTEGER, -- no foreign key: deleted tasks keep their feedback
+    task_types TEXT[],
+    summary TEXT,
+    task_created_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Token usage and cost of every LLM request, for /costs and the budget caps
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id SERIAL PRIMARY KEY,
+    chat_id VARCHAR(255),
+    message_ids TEXT[] NOT NULL DEFAULT '{}', -- several for a batch request
+    purpose VARCHAR(20) NOT NULL, -- detect, repair, batch
+    provider VARCHAR(30),
+    model VARCHAR(100),
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    estimated BOOLEAN DEFAULT false, -- the server reported no usage, counts are estimated
+    cost_usd NUMERIC(12,6), -- NULL when the model has no price
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Detection results reused for copies of the same message (forwards, reposts), keyed by
+-- a hash of the normalised text plus the message date
+CREATE TABLE IF NOT EXISTS detection_cache (
+    id SERIAL PRIMARY KEY,
+    fingerprint VARCHAR(64) UNIQUE NOT NULL,
+    message_id VARCHAR(255), -- the message the result was detected for
+    chat_id VARCHAR(255),
+    result JSONB NOT NULL,
+    hits INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_hit_at TIMESTAMP
+);
+
+-- Copies of the same message: a task saved from a copy is linked to the first task (status
+-- 'duplicate'), whose source_chats lists every chat the message came from. Deleting the
+-- first task unlinks the copies instead of deleting them.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(64);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS canonical_task_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS source_chats TEXT[];
+
+-- Table for groups of pending tasks that look like the same event, waiting for /merge or the dashboard
+CREATE TABLE IF NOT EXISTS merge_suggestions (
+    id SERIAL PRIMARY KEY,
+    chat_id VARCHAR(255),
+    task_ids INTEGER[] NOT NULL,
+    canonical_task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE, -- task the others are merged into
+    score REAL,
+    status VARCHAR(20) DEFAULT 'pending', -- pending, merged, dismissed, expired (tasks no longer open)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+-- Messages a merged task was saved from (NULL = only its own message_id)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS source_message_ids TEXT[];
+
+-- Table for transcripts of voice notes (one per message; error is set when transcription failed)
+CREATE TABLE IF NOT EXISTS message_transcripts (
+    id SERIAL PRIMARY KEY,
+    message_id VARCHAR(255) UNIQUE NOT NULL,
+    chat_id VARCHAR(255),
+    media_type VARCHAR(20) DEFAULT 'voice',
+    mimetype VARCHAR(100),
+    duration_seconds INTEGER,
+    provider VARCHAR(50),
+    model VARCHAR(255),
+    transcript TEXT,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- voice: the queued message is a voice note whose transcription failed; it is transcribed
+-- again before detection
+ALTER TABLE detection_retries ADD COLUMN IF NOT EXISTS media_type VARCHAR(20);
+-- Why a message was queued without a failed attempt: 'budget' = skipped while the LLM budget
+-- was used up (capped and expired, see retry-queue.js); NULL = detection failed. Status
+-- 'expired' marks a budget skip that waited too long.
+ALTER TABLE detection_retries ADD COLUMN IF NOT EXISTS reason VARCHAR(20);
+
+-- Media the task's text came from: voice (transcribed voice note), image or document (text
+-- extracted from the attachment); NULL = a text message
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS media_type VARCHAR(20);
+
+-- Table for images and PDFs received in monitored chats: the stored original (file_name in
+-- ATTACHMENT_DIR) and its extracted text (error is set when extraction failed)
+CREATE TABLE IF NOT EXISTS message_attachments (
+    id SERIAL PRIMARY KEY,
+    message_id VARCHAR(255) UNIQUE NOT NULL,
+    chat_id VARCHAR(255),
+    media_type VARCHAR(20) NOT NULL, -- image, document
+    mimetype VARCHAR(100),
+    filename TEXT, -- name the sender gave the file
+    file_name VARCHAR(255), -- stored file in ATTACHMENT_DIR
+    size_bytes INTEGER,
+    extracted_text TEXT,
+    extraction_method VARCHAR(20), -- pdf (text layer), ocr
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Attachment the task was detected in, shown and downloadable in the dashboard
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS attachment_id INTEGER REFERENCES message_attachments(id) ON DELETE SET NULL;
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_tasks_message_id ON tasks(message_id);
 CREATE INDEX IF NOT EXISTS idx_tasks_chat_id ON tasks(chat_id);
@@ -73,3 +311,12 @@ CREATE INDEX IF NOT EXISTS idx_chat_configs_chat_id ON chat_configs(chat_id);
 CREATE INDEX IF NOT EXISTS idx_chat_configs_monitored ON chat_configs(is_monitored);
 CREATE INDEX IF NOT EXISTS idx_bot_sessions_login_timestamp ON bot_sessions(login_timestamp);
 CREATE INDEX IF NOT EXISTS idx_bot_sessions_last_read_timestamp ON bot_sessions(last_read_timestamp);
+CREATE INDEX IF NOT EXISTS idx_task_reminders_due ON task_reminders(status, remind_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_search_vector ON tasks USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_task_history_task_id ON task_history(task_id);
+CREATE INDEX IF NOT EXISTS idx_detection_retries_due ON detection_retries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_detection_feedback_created_at ON detection_feedback(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_fingerprint ON tasks(fingerprint);
+CREATE INDEX IF NOT EXISTS idx_tasks_canonical_task_id ON tasks(canonical_task_id);
+CREATE INDEX IF NOT EXISTS idx_merge_suggestions_status ON merge_suggestions(status);
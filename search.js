@@ -0,0 +1,61 @@
+// Full-text search over task summaries and original messages.
+// tasks.search_vector (schema.sql) indexes the text with the English config for
+// stemming and the simple config for Hebrew, plus a copy with Hebrew prefix
+// letters (ו, ב, כ, ל, מ, ש, ה) stripped so "רופא" also finds "לרופא".
+
+const MAX_SEARCH_WORDS = 8;
+const HEBREW_PREFIX = /^[ובכלמשה]{1,2}(?=[א-ת]{3,}$)/;
+
+// Letters and digits only, so every word is safe inside a tsquery string
+function tokenizeSearch(text) {
+    const words = (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(word => word.length > 1);
+    return [...new Set(words)].slice(0, MAX_SEARCH_WORDS);
+}
+
+function stripHebrewPrefix(word) {
+    return word.replace(HEBREW_PREFIX, '');
+}
+
+// One OR-group per word (English stem, prefix match, prefix-stripped Hebrew),
+// AND-ed together
+function buildSearchQuery(words, startIndex = 1) {
+    const values = [];
+    const groups = words.map(word => {
+        const variants = [word, stripHebrewPrefix(word)].filter((v, i, all) => all.indexOf(v) === i);
+        values.push(word, variants.map(variant => `${variant}:*`).join(' | '));
+        const english = `$${startIndex + values.length - 2}`;
+        const simple = `$${startIndex + values.length - 1}`;
+        return `(plainto_tsquery('english', ${english}) || to_tsquery('simple', ${simple}))`;
+    });
+    return { text: groups.join(' && '), values };
+}
+
+// Ranked matches with a highlighted snippet of the original message
+async function searchTasks(pool, text, { limit = 10, startSel = '*', stopSel = '*' } = {}) {
+    const words = tokenizeSearch(text);
+    if (words.length === 0) {
+        return [];
+    }
+
+    const query = buildSearchQuery(words, 3);
+    const headlineOptions = `StartSel="${startSel}", StopSel="${stopSel}", MaxWords=25, MinWords=8, MaxFragments=2, FragmentDelimiter=" ... "`;
+    const result = await pool.query(`
+        WITH q AS (SELECT ${query.text} AS query)
+        SELECT t.*,
+               ts_rank(t.search_vector, q.query) AS rank,
+               ts_headline('simple', COALESCE(t.original_text, ''), q.query, $1) AS snippet
+        FROM tasks t, q
+        WHERE t.is_task = true AND COALESCE(t.status, 'pending') <> 'duplicate' AND t.search_vector @@ q.query
+        ORDER BY rank DESC, t.created_at DESC
+        LIMIT $2
+    `, [headlineOptions, limit, ...query.values]);
+    return result.rows;
+}
+
+module.exports = {
+    tokenizeSearch,
+    stripHebrewPrefix,
+    buildSearchQuery,
+    searchTasks
+};
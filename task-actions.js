@@ -0,0 +1,196 @@
+// Task mutations shared by the WhatsApp bot (index.js) and the dashboard API (dashboard.js)
+const TASK_TYPES = ['event', 'payment', 'reminder', 'request'];
+
+// User-facing field names mapped to their tasks table column
+const EDITABLE_FIELDS = {
+    summary: 'summary',
+    title: 'summary',
+    time: 'event_time',
+    when: 'event_time',
+    event_time: 'event_time',
+    amount: 'amount',
+    link: 'link',
+    type: 'task_types',
+    types: 'task_types',
+    task_types: 'task_types'
+};
+
+// Values that clear an optional field, e.g. "/edit 3 amount none"
+const CLEAR_VALUES = ['none', 'clear', '-'];
+
+function normalizeTaskEdit(field, value) {
+    const column = EDITABLE_FIELDS[String(field).toLowerCase()];
+    if (!column) {
+        throw new Error(`Unknown field "${field}". Editable fields: summary, time, amount, link, type`);
+    }
+
+    let text;
+    if (Array.isArray(value)) {
+        text = value.join(',');
+    } else if (value instanceof Date) {
+        text = value.toISOString();
+    } else {
+        text = value === null || value === undefined ? '' : String(value).trim();
+    }
+    const isClearing = text === '' || CLEAR_VALUES.includes(text.toLowerCase());
+
+    switch (column) {
+        case 'summary':
+            if (isClearing) {
+                throw new Error('Summary cannot be empty');
+            }
+            return { column, value: text };
+
+        case 'event_time': {
+            if (isClearing) {
+                return { column, value: null };
+            }
+            const date = new Date(text);
+            if (isNaN(date.getTime())) {
+                throw new Error(`Invalid date "${text}". Use a format like 2025-07-03 15:30`);
+            }
+            return { column, value: date };
+        }
+
+        case 'task_types': {
+            if (isClearing) {
+                return { column, value: [] };
+            }
+            const types = text.toLowerCase().split(/[\s,]+/).filter(Boolean);
+            const unknown = types.filter(type => !TASK_TYPES.includes(type));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown task type "${unknown[0]}". Valid types: ${TASK_TYPES.join(', ')}`);
+            }
+            return { column, value: [...new Set(types)] };
+        }
+
+        default:
+            return { column, value: isClearing ? null : text };
+    }
+}
+
+async function getTaskById(pool, taskId) {
+    const result = await pool.query(
+        'SELECT * FROM tasks WHERE id = $1 AND is_task = true',
+        [taskId]
+    );
+    return result.rows[0] || null;
+}
+
+// Why a task cannot be marked done, by status; only pending tasks can. A task waiting for
+// review or merged into another goes through /review or the task it was merged into.
+const COMPLETION_BLOCKS = {
+    completed: 'is already completed',
+    cancelled: 'was cancelled',
+    discarded: 'was discarded in review',
+    needs_review: 'is waiting for review; keep it with /review first',
+    duplicate: 'is a duplicate of another task; complete that one instead'
+};
+
+// -> the reason `task` cannot be completed, or null when it is pending
+function getCompletionBlock(task) {
+    const status = task.status || 'pending';
+    if (status === 'pending') {
+        return null;
+    }
+    return COMPLETION_BLOCKS[status] || `is ${status}`;
+}
+
+// completedBy: who said it was done in the chat (null when completed from the bot or dashboard).
+// Returns null when the task does not exist or is not pending (see getCompletionBlock).
+async function completeTask(pool, taskId, completedBy = null) {
+    const result = await pool.query(
+        `UPDATE tasks SET status = 'completed', completed_at = CURRENT_TIMESTAMP, completed_by = $2
+         WHERE id = $1 AND COALESCE(status, 'pending') = 'pending' RETURNING *`,
+        [taskId, completedBy]
+    );
+    return result.rows[0] || null;
+}
+
+async function reopenTask(pool, taskId) {
+    const result = await pool.query(
+        `UPDATE tasks SET status = 'pending', completed_at = NULL, completed_by = NULL
+         WHERE id = $1 RETURNING *`,
+        [taskId]
+    );
+    return result.rows[0] || null;
+}
+
+// Cancelled tasks stay in the table (and in task_history) but leave every pending list
+async function cancelTask(pool, taskId) {
+    const result = await pool.query(
+        `UPDATE tasks SET status = 'cancelled', completed_at = NULL, completed_by = NULL
+         WHERE id = $1 RETURNING *`,
+        [taskId]
+    );
+    return result.rows[0] || null;
+}
+
+// Copies of the same message linked to the deleted task (detection-cache.js, same
+// fingerprint) become pending tasks again. Tasks merged into it with /merge (task-merge.js)
+// stay duplicates; the foreign key only clears their link.
+async function deleteTask(pool, taskId) {
+    const result = await pool.query(`
+        WITH deleted AS (
+            DELETE FROM tasks WHERE id = $1 RETURNING *
+        ), released AS (
+            UPDATE tasks SET status = 'pending', canonical_task_id = NULL
+            WHERE canonical_task_id = (SELECT id FROM deleted) AND status = 'duplicate'
+              AND fingerprint = (SELECT fingerprint FROM deleted)
+        )
+        SELECT * FROM deleted
+    `, [taskId]);
+    return result.rows[0] || null;
+}
+
+// changes: { field: value } using any name from EDITABLE_FIELDS
+async function editTask(pool, taskId, changes) {
+    const edits = new Map();
+    for (const [field, value] of Object.entries(changes || {})) {
+        const edit = normalizeTaskEdit(field, value);
+        edits.set(edit.column, edit.value);
+    }
+
+    if (edits.size === 0) {
+        throw new Error('No changes provided');
+    }
+
+    const columns = [...edits.keys()];
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const result = await pool.query(
+        `UPDATE tasks SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+        [taskId, ...edits.values()]
+    );
+    return result.rows[0] || null;
+}
+
+// Keeps the values a change replaced, e.g. { event_time: <old> } -> { event_time: <new> }
+async function recordTaskHistory(pool, taskId, { changeType, oldValues, newValues, messageId = null, changedBy = null }) {
+    await pool.query(`
+        INSERT INTO task_history (task_id, change_type, old_values, new_values, message_id, changed_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+    `, [taskId, changeType, JSON.stringify(oldValues || {}), JSON.stringify(newValues || {}), messageId, changedBy]);
+}
+
+async function getTaskHistory(pool, taskId) {
+    const result = await pool.query(
+        'SELECT * FROM task_history WHERE task_id = $1 ORDER BY created_at, id',
+        [taskId]
+    );
+    return result.rows;
+}
+
+module.exports = {
+    TASK_TYPES,
+    getCompletionBlock,
+    EDITABLE_FIELDS,
+    normalizeTaskEdit,
+    getTaskById,
+    completeTask,
+    reopenTask,
+    cancelTask,
+    deleteTask,
+    editTask,
+    recordTaskHistory,
+    getTaskHistory
+};
@@ -0,0 +1,157 @@
+// Task filters shared by "/tasks chat:x type:payment ..." and GET /api/tasks?chat=x&type=payment
+const { TASK_TYPES } = require('./task-actions');
+const { zonedTimeToDate } = require('./dates');
+
+const FILTER_KEYS = ['chat', 'type', 'from', 'since', 'until', 'status'];
+const STATUSES = ['pending', 'completed', 'cancelled', 'needs_review', 'discarded', 'duplicate', 'all'];
+// Left out of task lists unless asked for by status; duplicates show up through their canonical task
+const HIDDEN_STATUSES = ['cancelled', 'needs_review', 'discarded', 'duplicate'];
+const PERIOD_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// "chat:"Family Chat" type:payment since:7d" -> { raw: { chat, type, since }, errors }
+function parseFilterText(text) {
+    const raw = {};
+    const errors = [];
+    const tokenPattern = /(\S+?):(?:"([^"]*)"|(\S+))|(\S+)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(text || '')) !== null) {
+        if (match[4] !== undefined) {
+            errors.push(`Unexpected "${match[4]}" - filters look like key:value`);
+            continue;
+        }
+        const key = match[1].toLowerCase();
+        raw[key] = match[2] !== undefined ? match[2] : match[3];
+    }
+
+    return { raw, errors };
+}
+
+// "7d" / "24h" / "2w" ago, or a YYYY-MM-DD date at local midnight
+function parseFilterDate(value, now, timeZone) {
+    const period = String(value).trim().toLowerCase().match(/^(\d+)([hdw])$/);
+    if (period) {
+        return new Date(now.getTime() - parseInt(period[1]) * PERIOD_UNITS[period[2]]);
+    }
+
+    const date = String(value).trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (date) {
+        const [year, month, day] = date.slice(1).map(Number);
+        return zonedTimeToDate(year, month, day, 0, 0, timeZone);
+    }
+    return null;
+}
+
+// raw: { key: string } from either source -> { filters, errors }
+function normalizeTaskFilters(raw, { now = new Date(), timeZone } = {}) {
+    const filters = {};
+    const errors = [];
+
+    for (const [key, rawValue] of Object.entries(raw || {})) {
+        const value = String(rawValue).trim();
+        if (!FILTER_KEYS.includes(key)) {
+            errors.push(`Unknown filter "${key}". Filters: ${FILTER_KEYS.join(', ')}`);
+            continue;
+        }
+        if (value === '') {
+            errors.push(`Filter "${key}" needs a value`);
+            continue;
+        }
+
+        switch (key) {
+            case 'type':
+                if (!TASK_TYPES.includes(value.toLowerCase())) {
+                    errors.push(`Unknown type "${value}". Types: ${TASK_TYPES.join(', ')}`);
+                } else {
+                    filters.type = value.toLowerCase();
+                }
+                break;
+
+            case 'status':
+                if (!STATUSES.includes(value.toLowerCase())) {
+                    errors.push(`Unknown status "${value}". Statuses: ${STATUSES.join(', ')}`);
+                } else {
+                    filters.status = value.toLowerCase();
+                }
+                break;
+
+            case 'since':
+            case 'until': {
+                const date = parseFilterDate(value, now, timeZone);
+                if (!date) {
+                    errors.push(`Invalid ${key} "${value}". Use 24h, 7d, 2w or YYYY-MM-DD`);
+                } else {
+                    filters[key] = date;
+                }
+                break;
+            }
+
+            default:
+                filters[key] = value;
+        }
+    }
+
+    return { filters, errors };
+}
+
+// "%value%" for ILIKE, with the value's own %, _ and \ matched literally
+function containsPattern(value) {
+    return `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// filters -> parameterised SELECT on tasks. filters.chatId (exact id) takes
+// precedence over filters.chat (name substring or id). Cancelled, discarded and
+// not yet reviewed tasks are left out unless asked for by status or with "all".
+function buildTaskQuery(filters, { columns = '*', orderBy = 'created_at DESC', limit = null } = {}) {
+    const conditions = ['is_task = true'];
+    const values = [];
+    const param = value => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    if (filters.chatId) {
+        conditions.push(`chat_id = ${param(filters.chatId)}`);
+    } else if (filters.chat) {
+        conditions.push(`(chat_name ILIKE ${param(containsPattern(filters.chat))} OR chat_id = ${param(filters.chat)})`);
+    }
+    if (filters.type) {
+        conditions.push(`${param(filters.type)} = ANY(task_types)`);
+    }
+    if (filters.from) {
+        conditions.push(`sender_name ILIKE ${param(containsPattern(filters.from))}`);
+    }
+    if (filters.since) {
+        conditions.push(`created_at >= ${param(filters.since)}`);
+    }
+    if (filters.until) {
+        conditions.push(`created_at < ${param(filters.until)}`);
+    }
+    if (!filters.status) {
+        conditions.push(`COALESCE(status, 'pending') NOT IN (${HIDDEN_STATUSES.map(status => `'${status}'`).join(', ')})`);
+    } else if (filters.status !== 'all') {
+        conditions.push(`status = ${param(filters.status)}`);
+    }
+
+    let text = `SELECT ${columns} FROM tasks WHERE ${conditions.join(' AND ')} ORDER BY ${orderBy}`;
+    if (limit) {
+        text += ` LIMIT ${param(limit)}`;
+    }
+    return { text, values };
+}
+
+// Short human-readable description, e.g. "chat: Family • type: payment • since 7d"
+function describeTaskFilters(raw) {
+    return Object.entries(raw)
+        .filter(([key]) => FILTER_KEYS.includes(key))
+        .map(([key, value]) => (key === 'since' || key === 'until') ? `${key} ${value}` : `${key}: ${value}`)
+        .join(' • ');
+}
+
+module.exports = {
+    FILTER_KEYS,
+    parseFilterText,
+    normalizeTaskFilters,
+    buildTaskQuery,
+    describeTaskFilters
+};
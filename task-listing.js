@@ -0,0 +1,51 @@
+// Numbered task lists in the command chat (/tasks, /pending, /agenda, /search). Each user's
+// last list is remembered by the numbers it showed, so "/done 3" or "/undo 3" acts on the
+// task that user saw as #3.
+
+// [task] -> [{ number, task }], numbered from start + 1
+function numberTasks(tasks, start = 0) {
+    return tasks.map((task, index) => ({ number: start + index + 1, task }));
+}
+
+// "All Your Tasks" is shown as a pending and a completed section; numbering runs on across
+// both, so every number in the list is unique. -> [{ status, entries }]
+function getListingSections(tasks, title) {
+    if (!title.includes('All Your Tasks')) {
+        return [{ status: null, entries: numberTasks(tasks) }];
+    }
+    const pendingTasks = tasks.filter(t => t.status !== 'completed');
+    const completedTasks = tasks.filter(t => t.status === 'completed');
+    return [
+        { status: 'pending', entries: numberTasks(pendingTasks) },
+        { status: 'completed', entries: numberTasks(completedTasks, pendingTasks.length) }
+    ];
+}
+
+// -> { remember(key, entries), resolve(key, number) -> { taskId } | { error } }.
+// key identifies the user (the sender in a group, else the chat).
+function createTaskListings() {
+    const listings = new Map();
+
+    return {
+        remember(key, entries) {
+            listings.set(key, new Map(entries.map(({ number, task }) => [number, task.id])));
+        },
+
+        resolve(key, taskNumber) {
+            const taskIds = listings.get(key);
+            if (!taskIds || taskIds.size === 0) {
+                return { error: `❌ No task list to refer to.\nSend /tasks or /pending first, then use the numbers shown.` };
+            }
+            if (!taskIds.has(taskNumber)) {
+                return { error: `❌ Invalid task number. Use 1-${taskIds.size} from your last list.` };
+            }
+            return { taskId: taskIds.get(taskNumber) };
+        }
+    };
+}
+
+module.exports = {
+    numberTasks,
+    getListingSections,
+    createTaskListings
+};
@@ -0,0 +1,312 @@
+// Merging pending tasks that describe the same event, e.g. a teacher's announcement and
+// a parent's "reminder: trip on Sunday, 50 ₪" saved as two tasks. A dedupe pass groups the
+// open tasks of each chat by event_time proximity, amount and summary similarity, and
+// stores each group as a merge suggestion to accept (/merge, dashboard) or dismiss. A
+// merge keeps the most complete task, fills its gaps from the others, collects every
+// source message id and chat on it, and marks the rest 'duplicate' (canonical_task_id).
+const taskActions = require('./task-actions');
+const { normalizeText } = require('./detection-cache');
+
+// Tasks whose event times are further apart than this are never the same event
+const DEFAULT_TIME_WINDOW_HOURS = 3;
+
+// Pairs scoring at least this are proposed: summary similarity (0-1), plus a bonus when
+// the event times are close and, for summaries that already share words, when the
+// amounts match
+const MIN_MERGE_SCORE = 0.8;
+const CLOSE_TIME_BONUS = 0.5;
+const SAME_AMOUNT_BONUS = 0.3;
+
+// Words that say nothing about which event a summary is about
+const STOPWORDS = new Set([
+    'the', 'a', 'an', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'at', 'by', 'with', 'from',
+    'is', 'are', 'be', 'please', 'reminder', 'remind', 'remember', 'don', 't', 'dont', 'forget',
+    'tomorrow', 'today', 'את', 'של', 'על', 'עם', 'אל', 'גם', 'או', 'תזכורת', 'להזכיר', 'לא',
+    'לשכוח', 'נא', 'בבקשה', 'מחר', 'היום'
+]);
+
+// Hebrew summaries often differ only in a prefix letter ("לטיול" / "טיול")
+const HEBREW_PREFIX = /^[ובכלמשה](?=[א-ת]{3,}$)/;
+
+// Numbers are left out: amounts and times are compared on their own, and "Pay 50 for
+// trip" and "Pay 50 for gift" are not about the same thing
+function getSummaryWords(summary) {
+    return new Set(normalizeText(summary).split(' ')
+        .map(word => word.replace(HEBREW_PREFIX, ''))
+        .filter(word => word.length > 1 && !/\d/.test(word) && !STOPWORDS.has(word)));
+}
+
+// Shared words over all words of both summaries (Jaccard, 0-1). Summaries must share at
+// least two words (or be the same single word), so a generic "Pay" does not match every
+// payment.
+function getSummarySimilarity(a, b) {
+    const wordsA = getSummaryWords(a);
+    const wordsB = getSummaryWords(b);
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    const union = wordsA.size + wordsB.size - shared;
+    if (shared < Math.min(2, Math.max(wordsA.size, wordsB.size)) || union === 0) {
+        return 0;
+    }
+    return shared / union;
+}
+
+// "50 ש"ח", "₪50" and "50.00" are the same amount
+function normalizeAmount(amount) {
+    const match = String(amount || '').replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+    return match ? String(parseFloat(match[0])) : null;
+}
+
+// Score for two tasks of the same chat, or null when they cannot be the same event
+// (different chats, event times too far apart or different amounts)
+function scoreTaskPair(a, b, { timeWindowHours = DEFAULT_TIME_WINDOW_HOURS } = {}) {
+    if (a.chat_id !== b.chat_id) {
+        return null;
+    }
+
+    const similarity = getSummarySimilarity(a.summary, b.summary);
+    let score = similarity;
+    if (a.event_time && b.event_time) {
+        const hours = Math.abs(new Date(a.event_time) - new Date(b.event_time)) / 3600000;
+        if (hours > timeWindowHours) {
+            return null;
+        }
+        score += CLOSE_TIME_BONUS;
+    }
+    const amountA = normalizeAmount(a.amount);
+    const amountB = normalizeAmount(b.amount);
+    if (amountA && amountB) {
+        if (amountA !== amountB) {
+            return null;
+        }
+        // Many unrelated payments share an amount
+        if (similarity > 0) {
+            score += SAME_AMOUNT_BONUS;
+        }
+    }
+    return score;
+}
+
+// The task to keep: the one with the most details, then the oldest
+function pickCanonicalTask(tasks) {
+    const filled = task => ['summary', 'event_time', 'amount', 'link']
+        .filter(field => task[field] !== null && task[field] !== undefined && task[field] !== '').length;
+    return [...tasks].sort((a, b) => filled(b) - filled(a) || a.id - b.id)[0];
+}
+
+// Groups tasks linked by pairs scoring at least MIN_MERGE_SCORE (a group can chain:
+// A matches B and B matches C). -> [{ chat_id, task_ids, canonical_task_id, score }],
+// score being the lowest linking pair score in the group
+function findMergeCandidates(tasks, options = {}) {
+    const parent = new Map(tasks.map(task => [task.id, task.id]));
+    const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+    const linkScores = new Map();
+
+    for (let i = 0; i < tasks.length; i++) {
+        for (let j = i + 1; j < tasks.length; j++) {
+            const score = scoreTaskPair(tasks[i], tasks[j], options);
+            if (score === null || score < MIN_MERGE_SCORE) {
+                continue;
+            }
+            const rootA = find(tasks[i].id);
+            const rootB = find(tasks[j].id);
+            const lowest = Math.min(score, linkScores.get(rootA) ?? Infinity, linkScores.get(rootB) ?? Infinity);
+            parent.set(rootB, rootA);
+            linkScores.set(rootA, lowest);
+        }
+    }
+
+    const groups = new Map();
+    for (const task of tasks) {
+        const root = find(task.id);
+        groups.set(root, [...(groups.get(root) || []), task]);
+    }
+
+    return [...groups.entries()]
+        .filter(([, group]) => group.length > 1)
+        .map(([root, group]) => ({
+            chat_id: group[0].chat_id,
+            task_ids: group.map(task => task.id).sort((a, b) => a - b),
+            canonical_task_id: pickCanonicalTask(group).id,
+            score: Math.round(linkScores.get(root) * 100) / 100
+        }));
+}
+
+// Open tasks saved within the last `days` that are not already linked to another task
+async function getPendingTasksForDedupe(pool, { days = 14 } = {}) {
+    const result = await pool.query(`
+        SELECT * FROM tasks
+        WHERE is_task = true AND status = 'pending' AND canonical_task_id IS NULL
+          AND created_at >= NOW() - $1 * INTERVAL '1 day'
+        ORDER BY chat_id, id
+    `, [days]);
+    return result.rows;
+}
+
+// Stores a candidate group unless one of its tasks is already in a pending suggestion
+// or the same tasks (or more) were dismissed before. Returns the suggestion or null.
+async function createMergeSuggestion(pool, candidate) {
+    const result = await pool.query(`
+        INSERT INTO merge_suggestions (chat_id, task_ids, canonical_task_id, score)
+        SELECT $1, $2::int[], $3, $4
+        WHERE NOT EXISTS (
+            SELECT 1 FROM merge_suggestions
+            WHERE (status = 'pending' AND task_ids && $2::int[])
+               OR (status = 'dismissed' AND task_ids @> $2::int[])
+        )
+        RETURNING *
+    `, [candidate.chat_id, candidate.task_ids, candidate.canonical_task_id, candidate.score]);
+    return result.rows[0] || null;
+}
+
+// One dedupe pass: returns the suggestions it created
+async function proposeMerges(pool, { days, timeWindowHours } = {}) {
+    const tasks = await getPendingTasksForDedupe(pool, { days });
+    const created = [];
+    for (const candidate of findMergeCandidates(tasks, { timeWindowHours })) {
+        const suggestion = await createMergeSuggestion(pool, candidate);
+        if (suggestion) {
+            created.push(suggestion);
+        }
+    }
+    return created;
+}
+
+// Pending suggestions with their tasks (in task_ids order), oldest first
+async function getPendingMergeSuggestions(pool) {
+    const suggestions = await pool.query(
+        `SELECT * FROM merge_suggestions WHERE status = 'pending' ORDER BY id`
+    );
+    if (suggestions.rows.length === 0) {
+        return [];
+    }
+    const taskIds = [...new Set(suggestions.rows.flatMap(suggestion => suggestion.task_ids))];
+    const tasks = await pool.query('SELECT * FROM tasks WHERE id = ANY($1::int[])', [taskIds]);
+    const byId = new Map(tasks.rows.map(task => [task.id, task]));
+    return suggestions.rows.map(suggestion => ({
+        ...suggestion,
+        tasks: suggestion.task_ids.map(id => byId.get(id)).filter(Boolean)
+    }));
+}
+
+// Claims a pending suggestion as 'merged' or 'dismissed'; null when it does not exist
+// or was already answered
+async function resolveMergeSuggestion(pool, suggestionId, status) {
+    const result = await pool.query(`
+        UPDATE merge_suggestions SET status = $2, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+    `, [suggestionId, status]);
+    return result.rows[0] || null;
+}
+
+// Merges the tasks of `taskIds` that are still open into the canonical one (or the most
+// complete of them when it is no longer open). Returns { task, merged_task_ids }, or
+// null when fewer than two of the tasks are still open. Runs several statements: call it
+// with a client inside a transaction (acceptMergeSuggestion does).
+async function mergeTasks(pool, canonicalTaskId, taskIds, { changedBy = null } = {}) {
+    const open = await pool.query(`
+        SELECT * FROM tasks
+        WHERE id = ANY($1::int[]) AND is_task = true AND status = 'pending' AND canonical_task_id IS NULL
+        ORDER BY id
+        FOR UPDATE
+    `, [taskIds]);
+    if (open.rows.length < 2) {
+        return null;
+    }
+
+    const canonical = open.rows.find(task => task.id === canonicalTaskId) || pickCanonicalTask(open.rows);
+    const others = open.rows.filter(task => task.id !== canonical.id);
+    const mergedIds = others.map(task => task.id);
+
+    // Details the kept task is missing come from the first merged task that has them
+    const fill = field => canonical[field] ?? (others.find(task => task[field] !== null && task[field] !== undefined) || {})[field] ?? null;
+    const unique = values => [...new Set(values.filter(Boolean))];
+    const merged = {
+        event_time: fill('event_time'),
+        amount: fill('amount'),
+        link: fill('link'),
+        task_types: unique(open.rows.flatMap(task => task.task_types || [])),
+        source_message_ids: unique([canonical, ...others].flatMap(task => task.source_message_ids || [task.message_id])),
+        source_chats: unique([canonical, ...others].flatMap(task => task.source_chats || [task.chat_name || task.chat_id]))
+    };
+
+    const updated = await pool.query(`
+        UPDATE tasks
+        SET event_time = $2, amount = $3, link = $4, task_types = $5, source_message_ids = $6, source_chats = $7
+        WHERE id = $1
+        RETURNING *
+    `, [canonical.id, merged.event_time, merged.amount, merged.link, merged.task_types,
+        merged.source_message_ids, merged.source_chats]);
+    await pool.query(
+        `UPDATE tasks SET status = 'duplicate', canonical_task_id = $1 WHERE id = ANY($2::int[])`,
+        [canonical.id, mergedIds]
+    );
+    // Copies already linked to a merged task now point at the kept one
+    await pool.query(
+        'UPDATE tasks SET canonical_task_id = $1 WHERE canonical_task_id = ANY($2::int[])',
+        [canonical.id, mergedIds]
+    );
+
+    await taskActions.recordTaskHistory(pool, canonical.id, {
+        changeType: 'merge',
+        oldValues: {
+            event_time: canonical.event_time,
+            amount: canonical.amount,
+            link: canonical.link,
+            task_types: canonical.task_types,
+            source_message_ids: canonical.source_message_ids || [canonical.message_id]
+        },
+        newValues: { ...merged, merged_task_ids: mergedIds },
+        changedBy
+    });
+
+    return { task: updated.rows[0], merged_task_ids: mergedIds };
+}
+
+// Accepts a suggestion: claims it and merges its tasks in one transaction, so a failure
+// leaves neither a half-merged group nor a suggestion marked 'merged'.
+// -> { suggestion, task, merged_task_ids }, { suggestion, task: null } when its tasks are
+// no longer open (it is then marked 'expired'), or null when the suggestion does not
+// exist or was already answered
+async function acceptMergeSuggestion(pool, suggestionId, { changedBy = null } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const suggestion = await resolveMergeSuggestion(client, suggestionId, 'merged');
+        if (!suggestion) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const result = await mergeTasks(client, suggestion.canonical_task_id, suggestion.task_ids, { changedBy });
+        if (!result) {
+            await client.query(`UPDATE merge_suggestions SET status = 'expired' WHERE id = $1`, [suggestion.id]);
+        }
+        await client.query('COMMIT');
+        return result
+            ? { suggestion, ...result }
+            : { suggestion: { ...suggestion, status: 'expired' }, task: null, merged_task_ids: [] };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    DEFAULT_TIME_WINDOW_HOURS,
+    MIN_MERGE_SCORE,
+    getSummarySimilarity,
+    normalizeAmount,
+    scoreTaskPair,
+    pickCanonicalTask,
+    findMergeCandidates,
+    getPendingTasksForDedupe,
+    createMergeSuggestion,
+    proposeMerges,
+    getPendingMergeSuggestions,
+    resolveMergeSuggestion,
+    mergeTasks,
+    acceptMergeSuggestion
+};
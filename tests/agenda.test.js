@@ -0,0 +1,47 @@
+const agenda = require('../agenda');
+
+const TZ = 'Asia/Jerusalem';
+// Thursday 2025-07-03, 10:00 local
+const now = new Date('2025-07-03T07:00:00Z');
+
+describe('parseAgendaRange', () => {
+  test('defaults to today and includes overdue tasks', () => {
+    const range = agenda.parseAgendaRange('', now, TZ);
+    expect(range.dateKey).toBe('2025-07-03');
+    expect(range.label).toBe('Today');
+    expect(range.includeOverdue).toBe(true);
+  });
+
+  test('supports tomorrow and a 7-day week', () => {
+    const tomorrow = agenda.parseAgendaRange('tomorrow', now, TZ);
+    expect(tomorrow.dateKey).toBe('2025-07-04');
+    expect(tomorrow.includeOverdue).toBe(false);
+
+    const week = agenda.parseAgendaRange('week', now, TZ);
+    expect(week.start.toISOString()).toBe('2025-07-02T21:00:00.000Z');
+    expect(week.end.toISOString()).toBe('2025-07-09T21:00:00.000Z');
+  });
+
+  test('parses ISO and day-first dates', () => {
+    expect(agenda.parseAgendaRange('2025-08-15', now, TZ).dateKey).toBe('2025-08-15');
+    expect(agenda.parseAgendaRange('15/8', now, TZ).dateKey).toBe('2025-08-15');
+    expect(agenda.parseAgendaRange('1.9.26', now, TZ).dateKey).toBe('2026-09-01');
+  });
+
+  test('rejects unknown words and impossible dates', () => {
+    expect(agenda.parseAgendaRange('someday', now, TZ)).toBeNull();
+    expect(agenda.parseAgendaRange('31/2', now, TZ)).toBeNull();
+  });
+});
+
+describe('groupTasksByDay', () => {
+  test('groups by local day in order', () => {
+    const tasks = [
+      { id: 1, event_time: new Date('2025-07-03T20:30:00Z') }, // 23:30 on the 3rd
+      { id: 2, event_time: new Date('2025-07-03T21:30:00Z') }, // 00:30 on the 4th
+      { id: 3, event_time: new Date('2025-07-04T09:00:00Z') }
+    ];
+    expect(agenda.groupTasksByDay(tasks, TZ).map(day => [day.dateKey, day.tasks.map(t => t.id)]))
+      .toEqual([['2025-07-03', [1]], ['2025-07-04', [2, 3]]]);
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const attachments = require('../attachments');
+
+const PDF = { mimetype: 'application/pdf', data: Buffer.from('%PDF-1.4 invoice').toString('base64'), filename: 'invoice.pdf' };
+const PHOTO = { mimetype: 'image/jpeg', data: Buffer.from('JFIF flyer').toString('base64') };
+
+describe('resolveAttachmentConfig', () => {
+  test('is off by default and reads English and Hebrew', () => {
+    const config = attachments.resolveAttachmentConfig({});
+    expect(config).toMatchObject({
+      enabled: false,
+      ocrLanguages: 'eng+heb',
+      tesseractPath: 'tesseract',
+      maxBytes: 10 * 1024 * 1024,
+      maxPages: 3,
+      maxChars: 3000,
+      timeoutMs: 60000,
+      retentionHours: 24
+    });
+    expect(config.dir).toBe(path.resolve('./attachments'));
+  });
+
+  test('reads the limits and tools', () => {
+    const config = attachments.resolveAttachmentConfig({
+      ATTACHMENTS_ENABLED: 'true', OCR_LANGUAGES: 'heb', ATTACHMENT_MAX_MB: '2.5', ATTACHMENT_DIR: '/data/files'
+    });
+    expect(config.enabled).toBe(true);
+    expect(config.ocrLanguages).toBe('heb');
+    expect(config.maxBytes).toBe(2.5 * 1024 * 1024);
+    expect(config.dir).toBe('/data/files');
+  });
+});
+
+describe('getAttachmentKind', () => {
+  test('accepts PDFs and common image types', () => {
+    expect(attachments.getAttachmentKind('application/pdf')).toBe('document');
+    expect(attachments.getAttachmentKind('image/jpeg')).toBe('image');
+    expect(attachments.getAttachmentKind('image/png; charset=binary')).toBe('image');
+    expect(attachments.getAttachmentKind('application/msword')).toBeNull();
+    expect(attachments.getAttachmentKind(undefined)).toBeNull();
+  });
+
+  test('isAttachmentMessage needs media of an image or document message', () => {
+    expect(attachments.isAttachmentMessage({ type: 'image', hasMedia: true })).toBe(true);
+    expect(attachments.isAttachmentMessage({ type: 'document', hasMedia: true })).toBe(true);
+    expect(attachments.isAttachmentMessage({ type: 'sticker', hasMedia: true })).toBe(false);
+    expect(attachments.isAttachmentMessage({ type: 'image', hasMedia: false })).toBe(false);
+  });
+
+  test('getMessageMediaInfo reads the type and size known before download', () => {
+    expect(attachments.getMessageMediaInfo({ _data: { mimetype: 'application/zip', size: 52428800 } }))
+      .toEqual({ mimetype: 'application/zip', size: 52428800 });
+    expect(attachments.getMessageMediaInfo({ type: 'image' })).toEqual({ mimetype: null, size: null });
+  });
+});
+
+describe('buildDetectionText', () => {
+  test('puts the caption before the labelled text', () => {
+    expect(attachments.buildDetectionText('Please pay by Friday', ' Invoice 1234\n\n  Total: 150 ₪ ', { kind: 'document', filename: 'invoice.pdf' }))
+      .toBe('Please pay by Friday\n\n[PDF "invoice.pdf" text]\nInvoice 1234\nTotal: 150 ₪');
+    expect(attachments.buildDetectionText('', 'Trip on Sunday', { kind: 'image' })).toBe('[Image text]\nTrip on Sunday');
+    expect(attachments.buildDetectionText('Flyer', '', { kind: 'image' })).toBe('Flyer');
+  });
+
+  test('cuts long text', () => {
+    const text = attachments.buildDetectionText(null, 'a'.repeat(50), { kind: 'image', maxChars: 10 });
+    expect(text).toBe(`[Image text]\n${'a'.repeat(10)} …`);
+  });
+});
+
+describe('createTextExtractor', () => {
+  const config = attachments.resolveAttachmentConfig({ ATTACHMENTS_ENABLED: 'true' });
+
+  test('uses the text layer of a PDF', async () => {
+    const execFile = jest.fn().mockResolvedValue({ stdout: 'Invoice 1234\n   Total due:   150 ₪\n', stderr: '' });
+    const extractor = attachments.createTextExtractor(config, { execFile });
+
+    expect(await extractor.extract(PDF)).toEqual({ text: 'Invoice 1234\nTotal due: 150 ₪', method: 'pdf' });
+    expect(execFile).toHaveBeenCalledTimes(1);
+    expect(execFile.mock.calls[0][0]).toBe('pdftotext');
+    expect(execFile.mock.calls[0][1]).toEqual(expect.arrayContaining(['-l', '3']));
+  });
+
+  test('renders and OCRs the pages of a scanned PDF', async () => {
+    const calls = [];
+    const execFile = jest.fn(async (file, args) => {
+      calls.push([file, args]);
+      if (file === 'pdftoppm') {
+        const prefix = args[args.length - 1];
+        fs.writeFileSync(`${prefix}-1.png`, 'page 1');
+        fs.writeFileSync(`${prefix}-2.png`, 'page 2');
+      }
+      if (file === 'tesseract') {
+        return { stdout: `Text of ${path.basename(args[0])}\n`, stderr: '' };
+      }
+      return { stdout: ' \n', stderr: '' };
+    });
+    const extractor = attachments.createTextExtractor(config, { execFile });
+
+    expect(await extractor.extract(PDF)).toEqual({ text: 'Text of page-1.png\nText of page-2.png', method: 'ocr' });
+    expect(calls.map(([file]) => file)).toEqual(['pdftotext', 'pdftoppm', 'tesseract', 'tesseract']);
+    expect(calls[2][1]).toEqual(expect.arrayContaining(['-l', 'eng+heb']));
+    // The temporary directory is removed
+    expect(fs.existsSync(path.dirname(calls[2][1][0]))).toBe(false);
+  });
+
+  test('OCRs images', async () => {
+    const execFile = jest.fn().mockResolvedValue({ stdout: 'טיול ביום ראשון\nלהביא 50 ש"ח\n', stderr: '' });
+    const extractor = attachments.createTextExtractor(config, { execFile });
+
+    expect(await extractor.extract(PHOTO)).toEqual({ text: 'טיול ביום ראשון\nלהביא 50 ש"ח', method: 'ocr' });
+    expect(execFile.mock.calls[0][0]).toBe('tesseract');
+    expect(execFile.mock.calls[0][1][0]).toMatch(/input\.jpg$/);
+  });
+
+  test('rejects other file types', async () => {
+    const extractor = attachments.createTextExtractor(config, { execFile: jest.fn() });
+    await expect(extractor.extract({ mimetype: 'application/zip', data: '' })).rejects.toThrow('Unsupported attachment type');
+  });
+});
+
+describe('storeAttachmentFile', () => {
+  test('names the file after the message id, not the sender\'s file name', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-'));
+    try {
+      const fileName = await attachments.storeAttachmentFile(dir, 'false_123@g.us_ABC', { ...PDF, filename: '../../evil.pdf' });
+      expect(fileName).toMatch(/^[0-9a-f]{32}\.pdf$/);
+      expect(fs.readFileSync(path.join(dir, fileName), 'utf8')).toBe('%PDF-1.4 invoice');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('pruneAttachmentFiles', () => {
+  test('removes the files of attachments no task uses', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-test-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'unused.jpg'), 'flyer');
+      fs.writeFileSync(path.join(dir, 'kept.pdf'), 'invoice');
+      const pool = { query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 3, file_name: 'unused.jpg' }] })
+        .mockResolvedValueOnce({ rows: [] }) };
+
+      expect(await attachments.pruneAttachmentFiles(pool, dir, { hours: 12 })).toBe(1);
+      expect(pool.query.mock.calls[0][0]).toContain('NOT EXISTS');
+      expect(pool.query.mock.calls[0][1]).toEqual([12]);
+      expect(pool.query.mock.calls[1][1]).toEqual([[3]]);
+      expect(fs.readdirSync(dir)).toEqual(['kept.pdf']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,65 @@
+const batchDetection = require('../batch-detection');
+
+const messages = [
+  { id: 'false_123@g.us_AAA', body: 'Who can drive on Thursday?', timestamp: 1751540400, senderName: 'Dana' },
+  { id: 'false_123@g.us_BBB', body: 'Me, at 8', timestamp: 1751540460, senderName: 'Avi' },
+  { id: 'false_123@g.us_CCC', body: 'Pay 50₪ for the gift by Sunday', timestamp: 1751540520, senderName: 'Dana' }
+];
+
+describe('chunkMessages', () => {
+  test('splits by batch size', () => {
+    const batches = batchDetection.chunkMessages(messages, { batchSize: 2 });
+    expect(batches.map(batch => batch.length)).toEqual([2, 1]);
+  });
+
+  test('splits by token budget but never leaves a message out', () => {
+    const batches = batchDetection.chunkMessages(messages, { batchSize: 20, maxTokens: 1 });
+    expect(batches).toHaveLength(3);
+  });
+});
+
+describe('formatBatchMessages', () => {
+  test('lists messages with short keys, time and sender', () => {
+    const text = batchDetection.formatBatchMessages(messages.slice(0, 2), { timeZone: 'UTC' });
+    expect(text.split('\n')).toEqual([
+      '[m1] (Thursday, July 3, 2025 at 11:00 AM) Dana: Who can drive on Thursday?',
+      '[m2] (Thursday, July 3, 2025 at 11:01 AM) Avi: Me, at 8'
+    ]);
+  });
+});
+
+describe('parseBatchResponse', () => {
+  test('maps results back to message ids', () => {
+    const content = JSON.stringify({
+      results: [
+        { id: 'm1', is_task: false },
+        { id: 'm2', is_task: true, types: ['event'], summary: 'Avi drives Thursday 8:00' },
+        { id: 'm3', is_task: true, types: ['payment'], summary: 'Pay for the gift', amount: '50₪' }
+      ]
+    });
+    const results = batchDetection.parseBatchResponse(content, messages);
+
+    expect(results.get('false_123@g.us_AAA')).toEqual({ is_task: false });
+    expect(results.get('false_123@g.us_BBB').summary).toBe('Avi drives Thursday 8:00');
+    expect(results.get('false_123@g.us_CCC').amount).toBe('50₪');
+  });
+
+  test('drops entries it cannot use so those messages are retried alone', () => {
+    const content = JSON.stringify({
+      results: [
+        { id: 'm1', is_task: 'maybe' },
+        { id: 'm9', is_task: false },
+        { id: 'm2', is_task: false },
+        { id: 'm3', is_task: true, types: ['payment'] }
+      ]
+    });
+    const results = batchDetection.parseBatchResponse(content, messages);
+    expect([...results.keys()]).toEqual(['false_123@g.us_BBB']);
+  });
+
+  test('returns null for malformed responses', () => {
+    expect(batchDetection.parseBatchResponse('not json', messages)).toBeNull();
+    expect(batchDetection.parseBatchResponse('{"is_task": true}', messages)).toBeNull();
+    expect(batchDetection.parseBatchResponse('{"results": []}', messages)).toBeNull();
+  });
+});
@@ -0,0 +1,72 @@
+const chatProfiles = require('../chat-profiles');
+
+describe('normalizeProfileSetting', () => {
+  test('maps setting names to columns and parses values', () => {
+    expect(chatProfiles.normalizeProfileSetting('types', 'Payment, event')).toEqual({ column: 'task_types', value: ['payment', 'event'] });
+    expect(chatProfiles.normalizeProfileSetting('keywords', ['homework', ' אסיפה ', 'homework'])).toEqual({ column: 'extra_keywords', value: ['homework', 'אסיפה'] });
+    expect(chatProfiles.normalizeProfileSetting('confidence', '80%')).toEqual({ column: 'confidence_threshold', value: 0.8 });
+    expect(chatProfiles.normalizeProfileSetting('deny', 'none')).toEqual({ column: 'blocked_senders', value: null });
+    expect(chatProfiles.normalizeProfileSetting('instructions', '')).toEqual({ column: 'prompt_instructions', value: null });
+  });
+
+  test('rejects unknown settings and invalid values', () => {
+    expect(() => chatProfiles.normalizeProfileSetting('colour', 'red')).toThrow('Unknown setting');
+    expect(() => chatProfiles.normalizeProfileSetting('types', 'payment chore')).toThrow('Unknown task type "chore"');
+    expect(() => chatProfiles.normalizeProfileSetting('confidence', '1.5')).toThrow('Invalid confidence');
+    expect(() => chatProfiles.normalizeProfileSetting('instructions', 'x'.repeat(1001))).toThrow('too long');
+  });
+});
+
+describe('updateChatProfile', () => {
+  test('updates only the given columns', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ chat_id: '123@g.us', task_types: ['payment'] }] }) };
+    const profile = await chatProfiles.updateChatProfile(pool, '123@g.us', { types: 'payment', allow: null });
+
+    expect(profile).toEqual({ chat_id: '123@g.us', task_types: ['payment'] });
+    expect(pool.query.mock.calls[0][0]).toContain('task_types = $2, allowed_senders = $3');
+    expect(pool.query.mock.calls[0][1]).toEqual(['123@g.us', ['payment'], null]);
+  });
+});
+
+describe('isSenderAllowed', () => {
+  const sender = { name: 'Dana Levi', id: '972501234567@c.us' };
+
+  test('allows everyone without lists', () => {
+    expect(chatProfiles.isSenderAllowed(null, sender)).toBe(true);
+    expect(chatProfiles.isSenderAllowed({ allowed_senders: [], blocked_senders: null }, sender)).toBe(true);
+  });
+
+  test('matches names and phone numbers, the block list wins', () => {
+    expect(chatProfiles.isSenderAllowed({ allowed_senders: ['dana levi'] }, sender)).toBe(true);
+    expect(chatProfiles.isSenderAllowed({ allowed_senders: ['+972-50-123-4567'] }, sender)).toBe(true);
+    expect(chatProfiles.isSenderAllowed({ allowed_senders: ['Teacher'] }, sender)).toBe(false);
+    expect(chatProfiles.isSenderAllowed({ allowed_senders: ['Dana Levi'], blocked_senders: ['972501234567'] }, sender)).toBe(false);
+  });
+});
+
+describe('applyProfileToResult', () => {
+  const result = { is_task: true, types: ['event', 'payment'], summary: 'Trip' };
+
+  test('keeps only the chat task types', () => {
+    expect(chatProfiles.applyProfileToResult({ task_types: ['payment'] }, result)).toEqual({ ...result, types: ['payment'] });
+    expect(chatProfiles.applyProfileToResult({ task_types: null }, result)).toBe(result);
+  });
+
+  test('drops tasks with none of the chat task types', () => {
+    expect(chatProfiles.applyProfileToResult({ task_types: ['reminder'] }, result)).toEqual({
+      ...result, is_task: false, filtered_types: ['event', 'payment']
+    });
+  });
+});
+
+describe('formatProfileForPrompt', () => {
+  test('adds the chat instructions and task types', () => {
+    const section = chatProfiles.formatProfileForPrompt({
+      chat_name: 'Class 3B', task_types: ['event'], prompt_instructions: 'Only the teacher posts tasks.'
+    });
+    expect(section).toContain('INSTRUCTIONS FOR THIS CHAT (Class 3B)');
+    expect(section).toContain('Only these task types matter here: event');
+    expect(section).toContain('Only the teacher posts tasks.');
+    expect(chatProfiles.formatProfileForPrompt({ extra_keywords: ['homework'] })).toBe('');
+  });
+});
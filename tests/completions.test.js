@@ -0,0 +1,82 @@
+const completions = require('../completions');
+
+describe('parseCompletionPhrase', () => {
+  test('recognises payment and done phrases in Hebrew and English', () => {
+    expect(completions.parseCompletionPhrase('paid')).toEqual({ kind: 'payment' });
+    expect(completions.parseCompletionPhrase('שילמתי 🙏')).toEqual({ kind: 'payment' });
+    expect(completions.parseCompletionPhrase('done ✅')).toEqual({ kind: 'done' });
+    expect(completions.parseCompletionPhrase('✅')).toEqual({ kind: 'done' });
+    expect(completions.parseCompletionPhrase('ושילמתי')).toEqual({ kind: 'payment' });
+  });
+
+  test('matches whole words only and not "closed"', () => {
+    expect(completions.parseCompletionPhrase('הגן סגור מחר')).toBeNull();
+    expect(completions.parseCompletionPhrase('סגרתי את זה')).toBeNull();
+    expect(completions.parseCompletionPhrase('undone')).toBeNull();
+    expect(completions.parseCompletionPhrase('נעשיתי עייף')).toBeNull();
+  });
+
+  test('ignores questions, negations and long messages', () => {
+    expect(completions.parseCompletionPhrase('paid?')).toBeNull();
+    expect(completions.parseCompletionPhrase("haven't paid yet")).toBeNull();
+    expect(completions.parseCompletionPhrase('עוד לא שילמתי')).toBeNull();
+    expect(completions.parseCompletionPhrase('I paid for the dinner but we still need to book the hall')).toBeNull();
+    expect(completions.parseCompletionPhrase('see you tomorrow')).toBeNull();
+  });
+});
+
+describe('findCompletionTarget', () => {
+  const payment = { id: 1, task_types: ['payment'], status: 'pending' };
+  const event = { id: 2, task_types: ['event'], status: 'pending' };
+
+  test('a quoted open task wins', () => {
+    expect(completions.findCompletionTarget({ kind: 'done' }, { quotedTask: event, openTasks: [payment] })).toBe(event);
+    expect(completions.findCompletionTarget({ kind: 'done' }, { quotedTask: { ...event, status: 'completed' } })).toBeNull();
+  });
+
+  test('"paid" picks the only open payment', () => {
+    expect(completions.findCompletionTarget({ kind: 'payment' }, { openTasks: [payment, event] })).toBe(payment);
+    expect(completions.findCompletionTarget({ kind: 'payment' }, { openTasks: [event] })).toBeNull();
+  });
+
+  test('an ambiguous "done" changes nothing', () => {
+    expect(completions.findCompletionTarget({ kind: 'done' }, { openTasks: [payment, event] })).toBeNull();
+    expect(completions.findCompletionTarget({ kind: 'done' }, { openTasks: [event] })).toBe(event);
+  });
+});
+
+describe('getCompletionAction', () => {
+  test('auto mode only completes quoted replies and asks about the rest', () => {
+    expect(completions.getCompletionAction('auto', { quoted: true })).toBe('complete');
+    expect(completions.getCompletionAction('auto', { quoted: false })).toBe('suggest');
+    expect(completions.getCompletionAction('confirm', { quoted: true })).toBe('suggest');
+    expect(completions.getCompletionAction('off', { quoted: true })).toBeNull();
+  });
+});
+
+describe('applyCompletion', () => {
+  test('completes the task with who did it and records history', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1, status: 'completed', completed_by: 'Dana' }] }) };
+    const task = await completions.applyCompletion(pool, { id: 1, status: 'pending' }, { messageId: 'm1', completedBy: 'Dana' });
+
+    expect(task.completed_by).toBe('Dana');
+    expect(pool.query.mock.calls[0][1]).toEqual([1, 'Dana']);
+    expect(pool.query.mock.calls[1][1]).toEqual([
+      1, 'complete', '{"status":"pending"}', '{"status":"completed","completed_by":"Dana"}', 'm1', 'Dana'
+    ]);
+  });
+
+  test('records nothing when the task is no longer pending', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    expect(await completions.applyCompletion(pool, { id: 1, status: 'pending' }, { completedBy: 'Dana' })).toBeNull();
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('resolveCompletionSuggestion', () => {
+  test('only answers pending suggestions', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    expect(await completions.resolveCompletionSuggestion(pool, 4, 'confirmed')).toBeNull();
+    expect(pool.query.mock.calls[0][0]).toContain("status = 'pending'");
+  });
+});
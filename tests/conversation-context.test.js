@@ -0,0 +1,48 @@
+const conversationContext = require('../conversation-context');
+
+const entries = [
+  { sender: 'Dana', body: 'Who can drive the kids on Thursday?', timestamp: 1751540400 },
+  { sender: 'Avi', body: 'I can, what time?', timestamp: 1751540460 },
+  { sender: 'Dana', body: '7 or 8?', timestamp: 1751540520 }
+];
+
+describe('getSenderName', () => {
+  test('prefers the push name, then the phone number', () => {
+    expect(conversationContext.getSenderName({ _data: { notifyName: 'Dana' }, author: '972501234567@c.us' })).toBe('Dana');
+    expect(conversationContext.getSenderName({ _data: {}, author: '972501234567@c.us' })).toBe('972501234567');
+    expect(conversationContext.getSenderName({ fromMe: true })).toBe('Me');
+  });
+});
+
+describe('selectContextMessages', () => {
+  test('keeps the newest messages within the message limit, oldest first', () => {
+    const context = conversationContext.selectContextMessages(entries, { maxMessages: 2 });
+    expect(context.messages.map(entry => entry.sender)).toEqual(['Avi', 'Dana']);
+  });
+
+  test('stops at the token cap and reserves room for the quoted message', () => {
+    const quoted = { sender: 'Dana', body: 'Who can drive the kids on Thursday?', timestamp: 1751540400 };
+    const context = conversationContext.selectContextMessages(entries, { quoted, maxMessages: 10, maxTokens: 30 });
+    expect(context.quoted.body).toBe(quoted.body);
+    expect(context.messages).toEqual([entries[1], entries[2]]);
+  });
+
+  test('truncates a long quoted message', () => {
+    const quoted = { sender: 'Dana', body: 'x'.repeat(100), timestamp: 1751540400 };
+    const context = conversationContext.selectContextMessages([], { quoted, maxTokens: 10 });
+    expect(context.quoted.body).toBe('x'.repeat(14) + '…');
+  });
+});
+
+describe('formatContextForPrompt', () => {
+  test('lists earlier messages with times and names', () => {
+    const context = conversationContext.selectContextMessages(entries, { sender: 'Avi' });
+    const section = conversationContext.formatContextForPrompt(context, { timeZone: 'Asia/Jerusalem' });
+    expect(section).toContain('[14:01] Avi: I can, what time?');
+    expect(section).toContain('The new message was sent by Avi.');
+  });
+
+  test('is empty without context', () => {
+    expect(conversationContext.formatContextForPrompt(null)).toBe('');
+  });
+});
@@ -0,0 +1,82 @@
+const costs = require('../costs');
+
+describe('parsePriceTable', () => {
+  test('reads model=input/output entries', () => {
+    expect(costs.parsePriceTable('GPT-4o=2.5/10, my-model = 0.2/0.8')).toEqual({
+      'gpt-4o': { input: 2.5, output: 10 },
+      'my-model': { input: 0.2, output: 0.8 }
+    });
+    expect(costs.parsePriceTable('')).toEqual({});
+    expect(() => costs.parsePriceTable('gpt-4o=2.5')).toThrow('Invalid price "gpt-4o=2.5"');
+  });
+});
+
+describe('resolveBudgets', () => {
+  test('defaults to no caps and rule-based detection', () => {
+    expect(costs.resolveBudgets({})).toEqual({ daily: 0, monthly: 0, mode: 'rules' });
+    expect(costs.resolveBudgets({ LLM_DAILY_BUDGET: '0.5', LLM_MONTHLY_BUDGET: '-3', BUDGET_EXCEEDED_MODE: 'Prefilter' }))
+      .toEqual({ daily: 0.5, monthly: 0, mode: 'prefilter' });
+  });
+});
+
+describe('getModelPrice', () => {
+  test('matches dated model names by the longest prefix', () => {
+    expect(costs.getModelPrice('gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+    expect(costs.getModelPrice('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+    expect(costs.getModelPrice('claude-3-5-haiku-latest', { provider: 'anthropic' })).toEqual({ input: 0.8, output: 4 });
+  });
+
+  test('local models are free unless priced, unknown hosted models have no price', () => {
+    expect(costs.getModelPrice('llama3.1', { provider: 'openai-compatible' })).toEqual({ input: 0, output: 0 });
+    expect(costs.getModelPrice('llama3.1', { provider: 'openai-compatible', prices: { llama3: { input: 0.1, output: 0.1 } } }))
+      .toEqual({ input: 0.1, output: 0.1 });
+    expect(costs.getModelPrice('o3', { provider: 'openai' })).toBeNull();
+  });
+});
+
+describe('computeCost', () => {
+  test('prices are per million tokens', () => {
+    expect(costs.computeCost({ input: 2.5, output: 10 }, 1000, 100)).toBeCloseTo(0.0035);
+    expect(costs.computeCost(null, 1000, 100)).toBeNull();
+  });
+});
+
+describe('getPeriodStart', () => {
+  const now = new Date('2025-07-15T08:30:00Z');
+
+  test('starts days, weeks and months at local midnight', () => {
+    expect(costs.getPeriodStart('day', now, 'Asia/Jerusalem').toISOString()).toBe('2025-07-14T21:00:00.000Z');
+    expect(costs.getPeriodStart('week', now, 'Asia/Jerusalem').toISOString()).toBe('2025-07-08T21:00:00.000Z');
+    expect(costs.getPeriodStart('month', now, 'Asia/Jerusalem').toISOString()).toBe('2025-06-30T21:00:00.000Z');
+  });
+});
+
+describe('getBudgetStatus', () => {
+  test('reports the cap that was reached', async () => {
+    const pool = { query: jest.fn()
+      .mockResolvedValueOnce({ rows: [{ cost: '1.20' }] })
+      .mockResolvedValueOnce({ rows: [{ cost: '4.00' }] }) };
+    expect(await costs.getBudgetStatus(pool, { daily: 1, monthly: 20, timeZone: 'UTC' })).toEqual({
+      daily: { spent: 1.2, budget: 1 },
+      monthly: { spent: 4, budget: 20 },
+      exceeded: 'daily'
+    });
+  });
+
+  test('does not query without caps', async () => {
+    const pool = { query: jest.fn() };
+    expect((await costs.getBudgetStatus(pool, {})).exceeded).toBeNull();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordUsage', () => {
+  test('stores tokens, cost and the messages of the request', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }) };
+    await costs.recordUsage(pool, {
+      chatId: '123@g.us', messageIds: ['a', 'b'], purpose: 'batch', provider: 'openai', model: 'gpt-4o',
+      promptTokens: 900, completionTokens: 80, estimated: false, cost: 0.00305
+    });
+    expect(pool.query.mock.calls[0][1]).toEqual(['123@g.us', ['a', 'b'], 'batch', 'openai', 'gpt-4o', 900, 80, false, 0.00305]);
+  });
+});
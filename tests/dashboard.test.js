@@ -13,4 +13,107 @@ describe('API authentication', () => {
       .send({ monitored: true });
     expect(res.statusCode).toBe(401);
   });
+
+  test('PATCH /api/tasks/1 without token returns 401', async () => {
+    const res = await request(app)
+      .patch('/api/tasks/1')
+      .send({ amount: '150₪' });
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('POST /api/tasks/1/keep without token returns 401', async () => {
+    const res = await request(app).post('/api/tasks/1/keep');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('POST /api/merge-suggestions/1/accept without token returns 401', async () => {
+    const res = await request(app).post('/api/merge-suggestions/1/accept');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('GET /api/tasks/1/attachment without token returns 401', async () => {
+    const res = await request(app).get('/api/tasks/1/attachment');
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('API validation', () => {
+  async function getToken() {
+    const res = await request(app).post('/api/generate-token');
+    return res.body.token;
+  }
+
+  test('GET /api/tasks with an unknown filter returns 400', async () => {
+    const token = await getToken();
+    const res = await request(app).get(`/api/tasks?token=${token}&type=chore`);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('Unknown type');
+  });
+
+  test('GET /api/tasks/search without a query returns 400', async () => {
+    const token = await getToken();
+    const res = await request(app).get(`/api/tasks/search?token=${token}&q=%20`);
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('PATCH /api/tasks/1 with an invalid field returns 400', async () => {
+    const token = await getToken();
+    const res = await request(app)
+      .patch(`/api/tasks/1?token=${token}`)
+      .send({ status: 'done' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('GET /api/tasks with an invalid BOT_TIMEZONE still validates the filters', async () => {
+    const token = await getToken();
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.BOT_TIMEZONE = 'Mars/Olympus';
+    try {
+      const res = await request(app).get(`/api/tasks?token=${token}&until=someday`);
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toContain('Invalid until');
+    } finally {
+      delete process.env.BOT_TIMEZONE;
+      consoleError.mockRestore();
+    }
+  });
+
+  test('GET /api/costs with an unknown period returns 400', async () => {
+    const token = await getToken();
+    const res = await request(app).get(`/api/costs?token=${token}&period=year`);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('Unknown period');
+  });
+
+  test('POST /api/merge-suggestions/1/undo returns 400', async () => {
+    const token = await getToken();
+    const res = await request(app).post(`/api/merge-suggestions/1/undo?token=${token}`);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('Unknown action');
+  });
+
+  test('PUT /api/chats/123/profile with an unknown task type returns 400', async () => {
+    const token = await getToken();
+    const res = await request(app)
+      .put(`/api/chats/123/profile?token=${token}`)
+      .send({ types: ['payment', 'chore'] });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('Unknown task type');
+  });
+
+  test('PUT /api/chats/123/profile without settings returns 400', async () => {
+    const token = await getToken();
+    const res = await request(app)
+      .put(`/api/chats/123/profile?token=${token}`)
+      .send({});
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toContain('No settings provided');
+  });
+
+  test('GET /api/task-types lists the task types', async () => {
+    const token = await getToken();
+    const res = await request(app).get(`/api/task-types?token=${token}`);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual(['event', 'payment', 'reminder', 'request']);
+  });
 });
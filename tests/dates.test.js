@@ -0,0 +1,45 @@
+const dates = require('../dates');
+
+const TZ = 'Asia/Jerusalem';
+
+describe('getLocalDayRange', () => {
+  test('returns local midnight boundaries in the given timezone', () => {
+    // 2025-07-02 22:30 UTC is already July 3rd in Israel (UTC+3)
+    const range = dates.getLocalDayRange(new Date('2025-07-02T22:30:00Z'), TZ);
+    expect(range.dateKey).toBe('2025-07-03');
+    expect(range.start.toISOString()).toBe('2025-07-02T21:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2025-07-03T21:00:00.000Z');
+  });
+
+  test('spans several days across a DST change', () => {
+    // Israel moves back to UTC+2 on 2025-10-26
+    const range = dates.getLocalDayRange(new Date('2025-10-24T10:00:00Z'), TZ, 7);
+    expect(range.start.toISOString()).toBe('2025-10-23T21:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2025-10-30T22:00:00.000Z');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  test('accepts IANA names only', () => {
+    expect(dates.isValidTimeZone('Asia/Jerusalem')).toBe(true);
+    expect(dates.isValidTimeZone('Mars/Olympus')).toBe(false);
+  });
+});
+
+describe('resolveBotTimeZone', () => {
+  test('reads BOT_TIMEZONE, then DIGEST_TIMEZONE', () => {
+    expect(dates.resolveBotTimeZone({ BOT_TIMEZONE: 'Asia/Jerusalem', DIGEST_TIMEZONE: 'Europe/London' })).toBe('Asia/Jerusalem');
+    expect(dates.resolveBotTimeZone({ DIGEST_TIMEZONE: 'Europe/London' })).toBe('Europe/London');
+  });
+
+  test('falls back to the system timezone for an invalid name', () => {
+    const systemTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(dates.resolveBotTimeZone({ BOT_TIMEZONE: 'Mars/Olympus' })).toBe(systemTimeZone);
+      expect(dates.resolveBotTimeZone({})).toBe(systemTimeZone);
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,56 @@
+const detectionCache = require('../detection-cache');
+
+const ANNOUNCEMENT = 'Parents meeting on Thursday at 18:00 in the school hall, please confirm attendance';
+
+describe('normalizeText', () => {
+  test('ignores case, punctuation, emoji and spacing', () => {
+    expect(detectionCache.normalizeText('  📢 Trip ON Sunday!!\n Bring  water… ')).toBe('trip on sunday bring water');
+    expect(detectionCache.normalizeText('טיול ביום ראשון, להביא מים')).toBe('טיול ביום ראשון להביא מים');
+  });
+});
+
+describe('getFingerprint', () => {
+  test('matches copies of the same message sent on the same day', () => {
+    const original = detectionCache.getFingerprint(ANNOUNCEMENT, '2025-07-15');
+    expect(original).toMatch(/^[0-9a-f]{64}$/);
+    expect(detectionCache.getFingerprint(`📢 ${ANNOUNCEMENT.toUpperCase()}!`, '2025-07-15')).toBe(original);
+    expect(detectionCache.getFingerprint(ANNOUNCEMENT, '2025-07-16')).not.toBe(original);
+  });
+
+  test('skips short texts', () => {
+    expect(detectionCache.getFingerprint('see you at 8', '2025-07-15')).toBeNull();
+    expect(detectionCache.getFingerprint('see you at 8', '2025-07-15', { minLength: 5 })).not.toBeNull();
+  });
+});
+
+describe('isCacheable', () => {
+  test('keeps only clean answers that are not follow-ups', () => {
+    expect(detectionCache.isCacheable({ is_task: true, summary: 'Parents meeting' })).toBe(true);
+    expect(detectionCache.isCacheable({ is_task: false, action: 'none' })).toBe(true);
+    expect(detectionCache.isCacheable({ is_task: true, action: 'update', task_id: 3 })).toBe(false);
+    expect(detectionCache.isCacheable({ is_task: true, detector: 'rules' })).toBe(false);
+    expect(detectionCache.isCacheable({ is_task: false, error: true })).toBe(false);
+    expect(detectionCache.isCacheable({ is_task: false, budget_exceeded: true })).toBe(false);
+  });
+});
+
+describe('storeDetection', () => {
+  test('stores the result without the cached flag', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    await detectionCache.storeDetection(pool, 'abc', {
+      messageId: 'msg-1', chatId: 'class@g.us', result: { is_task: true, summary: 'Meeting', cached: true }
+    });
+    expect(pool.query.mock.calls[0][1]).toEqual(['abc', 'msg-1', 'class@g.us', '{"is_task":true,"summary":"Meeting"}']);
+  });
+});
+
+describe('getCachedDetection', () => {
+  test('returns the stored result or null', async () => {
+    const pool = { query: jest.fn()
+      .mockResolvedValueOnce({ rows: [{ result: { is_task: true, summary: 'Meeting' } }] })
+      .mockResolvedValueOnce({ rows: [] }) };
+    expect(await detectionCache.getCachedDetection(pool, 'abc', { days: 3 })).toEqual({ is_task: true, summary: 'Meeting' });
+    expect(await detectionCache.getCachedDetection(pool, 'def')).toBeNull();
+    expect(pool.query.mock.calls[0][1]).toEqual(['abc', 3]);
+  });
+});
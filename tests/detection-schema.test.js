@@ -0,0 +1,73 @@
+const detectionSchema = require('../detection-schema');
+
+describe('validateDetection', () => {
+  test('passes a well-formed task through', () => {
+    const { result, issues } = detectionSchema.validateDetection({
+      is_task: true,
+      types: ['event'],
+      summary: 'Dentist appointment',
+      event_time: '2025-07-04T10:00:00',
+      amount: null,
+      link: null,
+      confidence: 0.9
+    });
+    expect(issues).toEqual([]);
+    expect(result).toEqual({
+      is_task: true,
+      types: ['event'],
+      summary: 'Dentist appointment',
+      event_time: '2025-07-04T10:00:00',
+      amount: null,
+      link: null,
+      confidence: 0.9
+    });
+  });
+
+  test('coerces fixable fields and drops unusable ones', () => {
+    const { result, issues } = detectionSchema.validateDetection({
+      is_task: 'true',
+      types: ['Payment', 'todo', 'payment'],
+      summary: '  Pay for the trip ',
+      event_time: 'next Friday',
+      amount: 120,
+      link: 'www.example.com',
+      confidence: 85
+    });
+    expect(result).toEqual({
+      is_task: true,
+      types: ['payment'],
+      summary: 'Pay for the trip',
+      event_time: null,
+      amount: '120',
+      link: null,
+      confidence: 0.85
+    });
+    expect(issues).toEqual([
+      'is_task was a string',
+      'unknown type "todo"',
+      'invalid event_time "next Friday"',
+      'amount was a number',
+      'invalid link "www.example.com"',
+      'confidence 85 read as a percentage'
+    ]);
+  });
+
+  test('rejects results that cannot be used', () => {
+    expect(detectionSchema.validateDetection([]).result).toBeNull();
+    expect(detectionSchema.validateDetection({ is_task: 'maybe' }).issues).toEqual(['is_task must be true or false, got "maybe"']);
+    expect(detectionSchema.validateDetection({ is_task: true, types: ['event'] }).issues).toEqual(['summary is missing']);
+  });
+
+  test('keeps well-formed follow-up fields', () => {
+    const { result, issues } = detectionSchema.validateDetection({ is_task: false, action: 'Cancel', task_id: '12', changes: 'none' });
+    expect(result).toEqual({ is_task: false, action: 'cancel', task_id: 12 });
+    expect(issues).toEqual(['changes was not an object']);
+  });
+});
+
+describe('parseDetection', () => {
+  test('extracts and validates JSON from model text', () => {
+    expect(detectionSchema.parseDetection('```json\n{"is_task": false}\n```')).toEqual({ result: { is_task: false }, issues: [] });
+    expect(detectionSchema.parseDetection('Sorry, I cannot help with that').result).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+const digest = require('../digest');
+
+const TZ = 'Asia/Jerusalem';
+const settings = { is_enabled: true, send_time: '08:00', weekly_enabled: true };
+
+describe('parseDigestTime', () => {
+  test('normalises valid times and rejects invalid ones', () => {
+    expect(digest.parseDigestTime('7:30')).toBe('07:30');
+    expect(digest.parseDigestTime('23:59')).toBe('23:59');
+    expect(digest.parseDigestTime('24:00')).toBeNull();
+    expect(digest.parseDigestTime('8am')).toBeNull();
+  });
+});
+
+describe('getDueDigests', () => {
+  test('is due from the send time until the catch-up window ends', () => {
+    // Thursday 2025-07-03, 08:01 local
+    expect(digest.getDueDigests(new Date('2025-07-03T05:01:00Z'), settings, TZ))
+      .toEqual([{ type: 'daily', dateKey: '2025-07-03' }]);
+    expect(digest.getDueDigests(new Date('2025-07-03T04:59:00Z'), settings, TZ)).toEqual([]);
+    expect(digest.getDueDigests(new Date('2025-07-03T12:00:00Z'), settings, TZ)).toEqual([]);
+  });
+
+  test('adds the weekly overview on Sundays only when enabled', () => {
+    const sunday = new Date('2025-07-06T05:15:00Z');
+    expect(digest.getDueDigests(sunday, settings, TZ).map(d => d.type)).toEqual(['daily', 'weekly']);
+    expect(digest.getDueDigests(sunday, { ...settings, weekly_enabled: false }, TZ).map(d => d.type)).toEqual(['daily']);
+  });
+
+  test('sends nothing when the digest is off', () => {
+    expect(digest.getDueDigests(new Date('2025-07-03T05:01:00Z'), { ...settings, is_enabled: false }, TZ)).toEqual([]);
+  });
+
+  test('sends the weekly overview with the daily digest off', () => {
+    const sunday = new Date('2025-07-06T05:15:00Z');
+    const weeklyOnly = { ...settings, is_enabled: false, weekly_enabled: true };
+    expect(digest.getDueDigests(sunday, weeklyOnly, TZ)).toEqual([{ type: 'weekly', dateKey: '2025-07-06' }]);
+    expect(digest.getDueDigests(sunday, { ...weeklyOnly, weekly_enabled: false }, TZ)).toEqual([]);
+  });
+});
+
+describe('claimDigest', () => {
+  test('only the first claim for a date succeeds', async () => {
+    const pool = { query: jest.fn() };
+    pool.query
+      .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+      .mockResolvedValueOnce({ rows: [] });
+    expect(await digest.claimDigest(pool, 'daily', '2025-07-03')).toBe(true);
+    expect(await digest.claimDigest(pool, 'daily', '2025-07-03')).toBe(false);
+  });
+});
+
+describe('getDailyDigestData', () => {
+  test('lists only pending and completed tasks as new', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    await digest.getDailyDigestData(pool, new Date('2025-07-03T05:01:00Z'), TZ);
+    expect(pool.query.mock.calls[0][0]).toContain(`COALESCE(status, 'pending') IN ('pending', 'completed')`);
+  });
+});
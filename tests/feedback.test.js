@@ -0,0 +1,94 @@
+const feedback = require('../feedback');
+
+const label = (id, verdict, text, extra = {}) => ({
+  id, verdict, message_text: text, chat_id: 'family@g.us', task_types: [], summary: null, ...extra
+});
+
+describe('isNotTaskReason', () => {
+  test('accepts the /delete reasons', () => {
+    expect(feedback.isNotTaskReason('notask')).toBe(true);
+    expect(feedback.isNotTaskReason(' Not a task ')).toBe(true);
+    expect(feedback.isNotTaskReason('לא משימה')).toBe(true);
+    expect(feedback.isNotTaskReason('later')).toBe(false);
+  });
+});
+
+describe('recordTaskFeedback', () => {
+  test('labels the message a task came from', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }) };
+    await feedback.recordTaskFeedback(pool, {
+      id: 7, message_id: 'msg-1', chat_id: 'family@g.us', chat_name: 'Family', original_text: 'lol see you',
+      task_types: ['event'], summary: 'See you', source: 'detected', created_at: '2025-07-01T10:00:00'
+    }, 'not_task', 'deleted');
+
+    expect(pool.query.mock.calls[0][0]).toContain('ON CONFLICT (message_id) DO UPDATE');
+    expect(pool.query.mock.calls[0][1]).toEqual([
+      'msg-1', 'family@g.us', 'Family', 'lol see you', 'not_task', 'deleted', true, 7, ['event'], 'See you', '2025-07-01T10:00:00'
+    ]);
+  });
+
+  test('rejects unknown verdicts', async () => {
+    const pool = { query: jest.fn() };
+    await expect(feedback.recordTaskFeedback(pool, {}, 'maybe', 'deleted')).rejects.toThrow('Unknown feedback verdict');
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('tryRecordTaskFeedback', () => {
+  test('logs a failed insert instead of throwing', async () => {
+    const pool = { query: jest.fn().mockRejectedValue(new Error('connection lost')) };
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(await feedback.tryRecordTaskFeedback(pool, { id: 7, message_id: 'msg-1' }, 'task', 'kept')).toBeNull();
+      expect(consoleError).toHaveBeenCalledWith('❌ Failed to record detection feedback:', 'connection lost');
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+});
+
+describe('selectFeedbackExamples', () => {
+  test('prefers relevant examples and balances the verdicts', () => {
+    const recent = [
+      label(1, 'not_task', 'good morning everyone'),
+      label(2, 'not_task', 'the trip was great'),
+      label(3, 'not_task', 'who is coming to the trip?'),
+      label(4, 'task', 'pay 100 for the class trip', { summary: 'Pay for class trip' }),
+      label(5, 'task', 'dentist on monday', { chat_id: 'other@g.us' })
+    ];
+    const examples = feedback.selectFeedbackExamples(recent, { text: 'Trip payment: 120 for the trip', chatId: 'family@g.us', limit: 4 });
+    expect(examples.map(example => example.id)).toEqual([4, 2, 3, 5]);
+  });
+
+  test('fills free slots from the other verdict', () => {
+    const recent = [label(1, 'not_task', 'ok'), label(2, 'not_task', 'thanks'), label(3, 'not_task', 'sure')];
+    expect(feedback.selectFeedbackExamples(recent, { text: 'hello', limit: 2 })).toHaveLength(2);
+    expect(feedback.selectFeedbackExamples(recent, { text: 'hello', limit: 0 })).toEqual([]);
+  });
+});
+
+describe('formatFeedbackForPrompt', () => {
+  test('lists tasks with their summary and non-tasks', () => {
+    const section = feedback.formatFeedbackForPrompt([
+      label(1, 'task', 'pay 100\nfor the trip', { task_types: ['payment'], summary: 'Pay for trip' }),
+      label(2, 'not_task', 'the trip was great')
+    ]);
+    expect(section).toContain('✅ "pay 100 for the trip" → payment: Pay for trip');
+    expect(section).toContain('❌ "the trip was great" → not a task');
+    expect(feedback.formatFeedbackForPrompt([])).toBe('');
+  });
+});
+
+describe('getFeedbackStats', () => {
+  test('computes precision per week', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [
+      { week: '2025-06-23', detected: '0', false_positives: '0', missed: '1' },
+      { week: '2025-06-30', detected: '8', false_positives: '2', missed: '0' }
+    ] }) };
+    expect(await feedback.getFeedbackStats(pool, { weeks: 2 })).toEqual([
+      { week: '2025-06-23', detected: 0, false_positives: 0, missed: 1, precision: null },
+      { week: '2025-06-30', detected: 8, false_positives: 2, missed: 0, precision: 0.75 }
+    ]);
+    expect(pool.query.mock.calls[0][1]).toEqual([2]);
+  });
+});
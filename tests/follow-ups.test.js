@@ -0,0 +1,90 @@
+const followUps = require('../follow-ups');
+
+const openTasks = [
+  {
+    id: 7,
+    summary: 'Parents meeting',
+    task_types: ['event'],
+    event_time: new Date('2025-07-03T15:00:00Z'),
+    amount: null,
+    link: null,
+    status: 'pending'
+  },
+  { id: 9, summary: 'Pay for the trip', task_types: ['payment'], event_time: null, amount: '100₪', link: null, status: 'pending' }
+];
+
+describe('looksLikeFollowUp', () => {
+  test('matches Hebrew and English change wording', () => {
+    expect(followUps.looksLikeFollowUp('הפגישה בוטלה')).toBe(true);
+    expect(followUps.looksLikeFollowUp('Meeting moved to Thursday')).toBe(true);
+    expect(followUps.looksLikeFollowUp('Good morning everyone')).toBe(false);
+  });
+});
+
+describe('formatOpenTasksForPrompt', () => {
+  test('lists open tasks by id, or nothing without tasks', () => {
+    const section = followUps.formatOpenTasksForPrompt(openTasks, { timeZone: 'UTC' });
+    expect(section).toContain('[7] Parents meeting | types: event | event_time: 2025-07-03T15:00:00');
+    expect(section).toContain('[9] Pay for the trip');
+    expect(followUps.formatOpenTasksForPrompt([])).toBe('');
+  });
+
+  test('shows event times as local wall-clock time without an offset', () => {
+    const section = followUps.formatOpenTasksForPrompt(openTasks, { timeZone: 'Asia/Jerusalem' });
+    expect(section).toContain('event_time: 2025-07-03T18:00:00 |');
+  });
+});
+
+describe('resolveFollowUp', () => {
+  test('falls back to plain detection without a follow-up action', () => {
+    expect(followUps.resolveFollowUp({ is_task: true }, openTasks)).toEqual({ action: 'create' });
+    expect(followUps.resolveFollowUp({ is_task: false }, openTasks)).toEqual({ action: 'none' });
+  });
+
+  test('ignores task ids that are not among the open tasks', () => {
+    expect(followUps.resolveFollowUp({ action: 'cancel', task_id: 42, is_task: false }, openTasks))
+      .toEqual({ action: 'none' });
+  });
+
+  test('keeps only valid fields that actually change', () => {
+    const followUp = followUps.resolveFollowUp({
+      action: 'update',
+      task_id: '7',
+      changes: { event_time: '2025-07-03T16:00:00Z', summary: 'Parents meeting', status: 'done', amount: '' }
+    }, openTasks);
+
+    expect(followUp.action).toBe('update');
+    expect(followUp.task.id).toBe(7);
+    expect(Object.keys(followUp.changes)).toEqual(['event_time']);
+    expect(followUp.changes.event_time.toISOString()).toBe('2025-07-03T16:00:00.000Z');
+  });
+
+  test('an update without real changes does nothing', () => {
+    expect(followUps.resolveFollowUp({ action: 'update', task_id: 9, changes: { amount: '100₪' } }, openTasks))
+      .toEqual({ action: 'none' });
+  });
+});
+
+describe('applyFollowUp', () => {
+  test('updates the task and records the old values', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 9, amount: '120₪' }] }) };
+    const task = await followUps.applyFollowUp(
+      pool,
+      { action: 'update', task: openTasks[1], changes: { amount: '120₪' } },
+      { messageId: 'msg-2', changedBy: 'Dana' }
+    );
+
+    expect(task).toEqual({ id: 9, amount: '120₪' });
+    expect(pool.query.mock.calls[0][0]).toContain('UPDATE tasks SET amount = $2');
+    expect(pool.query.mock.calls[1][0]).toContain('INSERT INTO task_history');
+    expect(pool.query.mock.calls[1][1]).toEqual([9, 'update', '{"amount":"100₪"}', '{"amount":"120₪"}', 'msg-2', 'Dana']);
+  });
+
+  test('cancels the task', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 7, status: 'cancelled' }] }) };
+    await followUps.applyFollowUp(pool, { action: 'cancel', task: openTasks[0] });
+
+    expect(pool.query.mock.calls[0][0]).toContain("status = 'cancelled'");
+    expect(pool.query.mock.calls[1][1].slice(0, 4)).toEqual([7, 'cancel', '{"status":"pending"}', '{"status":"cancelled"}']);
+  });
+});
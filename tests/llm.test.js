@@ -0,0 +1,161 @@
+const http = require('http');
+const llm = require('../llm');
+
+// Local stand-in for an LLM server: records requests and answers with `reply(body)`
+function startServer(reply, status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw || '{}');
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(reply(body)));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+describe('resolveLLMConfig', () => {
+  test('defaults to OpenAI with the OpenAI key', () => {
+    const config = llm.resolveLLMConfig({ OPENAI_API_KEY: 'sk-test' });
+    expect(config).toEqual({
+      mode: 'llm',
+      provider: 'openai',
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'gpt-4o',
+      temperature: 0.3,
+      timeoutMs: 30000,
+      apiKey: 'sk-test'
+    });
+  });
+
+  test('database settings override the environment', () => {
+    const config = llm.resolveLLMConfig(
+      { LLM_PROVIDER: 'openai', LLM_MODEL: 'gpt-4o-mini', LLM_TEMPERATURE: '0.1' },
+      { provider: 'ollama', base_url: 'http://gpu-box:11434/v1/', model: null, temperature: '0.00', timeout_ms: 60000 }
+    );
+    expect(config.provider).toBe('openai-compatible');
+    expect(config.baseUrl).toBe('http://gpu-box:11434/v1');
+    expect(config.model).toBe('gpt-4o-mini');
+    expect(config.temperature).toBe(0);
+    expect(config.timeoutMs).toBe(60000);
+  });
+
+  test('reads the detection mode from the environment or the database', () => {
+    expect(llm.resolveLLMConfig({ DETECTION_MODE: 'rules' }).mode).toBe('rules');
+    expect(llm.resolveLLMConfig({ DETECTION_MODE: 'rules' }, { detection_mode: 'llm' }).mode).toBe('llm');
+    expect(llm.resolveLLMConfig({ DETECTION_MODE: 'regex' }).mode).toBe('llm');
+  });
+
+  test('uses the Anthropic key for Anthropic', () => {
+    const config = llm.resolveLLMConfig({ LLM_PROVIDER: 'anthropic', ANTHROPIC_API_KEY: 'ant-key', OPENAI_API_KEY: 'sk' });
+    expect(config.apiKey).toBe('ant-key');
+    expect(config.baseUrl).toBe('https://api.anthropic.com');
+  });
+
+  test('only sends a provider key to that provider\'s own API', () => {
+    const env = { OPENAI_API_KEY: 'sk', ANTHROPIC_API_KEY: 'ant-key' };
+    expect(llm.resolveLLMConfig({ ...env, LLM_PROVIDER: 'ollama' }).apiKey).toBeNull();
+    expect(llm.resolveLLMConfig(env, { base_url: 'http://attacker.example/v1' }).apiKey).toBeNull();
+    expect(llm.resolveLLMConfig({ ...env, LLM_PROVIDER: 'anthropic', LLM_BASE_URL: 'http://proxy:8080' }).apiKey).toBeNull();
+    expect(llm.resolveLLMConfig({ ...env, LLM_API_KEY: 'local-key' }, { base_url: 'http://gpu-box:8080/v1' }).apiKey).toBe('local-key');
+  });
+});
+
+describe('extractJson', () => {
+  test('unwraps fenced or chatty JSON', () => {
+    expect(llm.extractJson('```json\n{"is_task": false}\n```')).toBe('{"is_task": false}');
+    expect(llm.extractJson('Here you go: {"is_task": true} hope it helps')).toBe('{"is_task": true}');
+  });
+});
+
+describe('createLLMClient', () => {
+  test('talks to an OpenAI-compatible server', async () => {
+    const { server, requests, url } = await startServer(() => ({
+      id: 'chatcmpl-1',
+      object: 'chat.completion',
+      choices: [{ index: 0, message: { role: 'assistant', content: '{"is_task": true}' }, finish_reason: 'stop' }]
+    }));
+
+    try {
+      const client = llm.createLLMClient(llm.resolveLLMConfig({
+        LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: `${url}/v1`, LLM_MODEL: 'llama3.1'
+      }));
+      expect(await client.complete('Detect tasks')).toBe('{"is_task": true}');
+      expect(requests[0].url).toBe('/v1/chat/completions');
+      expect(requests[0].body.model).toBe('llama3.1');
+      expect(requests[0].body.messages).toEqual([{ role: 'system', content: 'Detect tasks' }]);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('talks to the Anthropic Messages API', async () => {
+    const { server, requests, url } = await startServer(() => ({
+      content: [{ type: 'text', text: '{"is_task": false}' }]
+    }));
+
+    try {
+      const client = llm.createLLMClient(llm.resolveLLMConfig({
+        LLM_PROVIDER: 'anthropic', LLM_BASE_URL: url, LLM_API_KEY: 'ant-key'
+      }));
+      expect(await client.complete('Detect tasks')).toBe('{"is_task": false}');
+      expect(requests[0].url).toBe('/v1/messages');
+      expect(requests[0].headers['x-api-key']).toBe('ant-key');
+      expect(requests[0].body.system).toBe('Detect tasks');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('reports token usage with the request meta', async () => {
+    const { server, url } = await startServer(() => ({
+      choices: [{ index: 0, message: { role: 'assistant', content: '{"is_task": true}' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 120, completion_tokens: 15, total_tokens: 135 }
+    }));
+    const onUsage = jest.fn();
+
+    try {
+      const client = llm.createLLMClient(llm.resolveLLMConfig({
+        LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: `${url}/v1`, LLM_MODEL: 'llama3.1'
+      }), { onUsage });
+      await client.complete('Detect tasks', { chatId: '123@g.us', messageIds: ['msg-1'], purpose: 'detect' });
+      expect(onUsage).toHaveBeenCalledWith({
+        provider: 'openai-compatible', model: 'llama3.1', promptTokens: 120, completionTokens: 15, estimated: false,
+        chatId: '123@g.us', messageIds: ['msg-1'], purpose: 'detect'
+      });
+    } finally {
+      server.close();
+    }
+  });
+
+  test('estimates usage when the server reports none', async () => {
+    const { server, url } = await startServer(() => ({
+      content: [{ type: 'text', text: '{"is_task": false}' }]
+    }));
+    const onUsage = jest.fn();
+
+    try {
+      const client = llm.createLLMClient(llm.resolveLLMConfig({ LLM_PROVIDER: 'anthropic', LLM_BASE_URL: url }), { onUsage });
+      await client.complete('Detect tasks');
+      expect(onUsage.mock.calls[0][0]).toMatchObject({ promptTokens: 4, completionTokens: 6, estimated: true });
+    } finally {
+      server.close();
+    }
+  });
+
+  test('reports Anthropic API errors', async () => {
+    const { server, url } = await startServer(() => ({ error: { message: 'invalid x-api-key' } }), 401);
+
+    try {
+      const client = llm.createLLMClient(llm.resolveLLMConfig({ LLM_PROVIDER: 'anthropic', LLM_BASE_URL: url }));
+      await expect(client.complete('Detect tasks')).rejects.toThrow('Anthropic API 401: invalid x-api-key');
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,73 @@
+const manualTasks = require('../manual-tasks');
+const ruleDetector = require('../rule-detector');
+
+// Thursday, July 3, 2025 11:00 in Israel
+const message = { id: { _serialized: 'msg-1' }, from: 'me@c.us', timestamp: Date.parse('2025-07-03T08:00:00Z') / 1000 };
+
+function createAdder(detectTask, options = {}) {
+  const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1 }] }) };
+  const saveTask = jest.fn(async (task, saved, chatName, senderName, source) => ({ id: 7, ...task, source }));
+  const adder = manualTasks.createManualTaskAdder(pool, { detectTask, saveTask, ...options });
+  return { adder, pool, saveTask };
+}
+
+describe('createManualTaskAdder', () => {
+  test('/add keeps the time and amount detection found', async () => {
+    const detectTask = jest.fn(async ({ body, timestamp }) =>
+      ruleDetector.detectTaskRules(body, { sentAt: new Date(timestamp * 1000), timeZone: 'Asia/Jerusalem' }));
+    const { adder, saveTask } = createAdder(detectTask);
+
+    await adder.add(message, 'Parents meeting tomorrow at 18:00, bring 50 ₪', 'Me', 'Dana', 'manual');
+
+    expect(detectTask).toHaveBeenCalledWith({ body: 'Parents meeting tomorrow at 18:00, bring 50 ₪', timestamp: message.timestamp });
+    const [task, saved, chatName, senderName, source] = saveTask.mock.calls[0];
+    expect(task).toMatchObject({ is_task: true, event_time: '2025-07-04T18:00:00', amount: '50₪' });
+    expect(saved).toMatchObject({ id: message.id, body: 'Parents meeting tomorrow at 18:00, bring 50 ₪' });
+    expect([chatName, senderName, source]).toEqual(['Me', 'Dana', 'manual']);
+  });
+
+  test('saves a plain task when detection says it is not a task', async () => {
+    const { adder, saveTask } = createAdder(jest.fn().mockResolvedValue({ is_task: false }));
+
+    await adder.add(message, 'Call grandma https://example.com/call', 'Me', 'Dana', 'manual');
+
+    expect(saveTask.mock.calls[0][0]).toEqual({
+      is_task: true,
+      types: [],
+      summary: 'Call grandma https://example.com/call',
+      link: 'https://example.com/call'
+    });
+  });
+
+  test('saves a plain task when detection fails or times out', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const failing = createAdder(jest.fn().mockResolvedValue({ is_task: true, error: true }));
+      await failing.adder.add(message, 'Buy milk', 'Me', 'Dana', 'manual');
+      expect(failing.saveTask.mock.calls[0][0]).toMatchObject({ summary: 'Buy milk', types: [] });
+
+      const slow = createAdder(() => new Promise(() => {}), { timeoutMs: 10 });
+      await slow.adder.add(message, 'Buy bread', 'Me', 'Dana', 'manual');
+      expect(slow.saveTask.mock.calls[0][0]).toMatchObject({ summary: 'Buy bread', types: [] });
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('saving as plain task'), 'Task detection timeout');
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  test('a forwarded message is saved and recorded as forwarded', async () => {
+    const detected = { is_task: true, types: ['payment'], summary: 'Pay for the trip', amount: '120₪' };
+    const { adder, pool, saveTask } = createAdder(jest.fn().mockResolvedValue(detected));
+
+    const task = await adder.add(message, 'Please pay 120 ₪ for the trip', 'Me', 'Dana', 'forwarded');
+
+    expect(task).toMatchObject({ id: 7, summary: 'Pay for the trip', source: 'forwarded' });
+    expect(saveTask.mock.calls[0][4]).toBe('forwarded');
+    expect(pool.query.mock.calls[0][0]).toContain('INSERT INTO detection_feedback');
+    expect(pool.query.mock.calls[0][1].slice(4, 6)).toEqual(['task', 'forwarded']);
+  });
+
+  test('buildPlainTask shortens long text', () => {
+    expect(manualTasks.buildPlainTask('a'.repeat(250)).summary).toBe(`${'a'.repeat(197)}...`);
+  });
+});
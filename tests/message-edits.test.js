@@ -0,0 +1,61 @@
+const messageEdits = require('../message-edits');
+
+const task = {
+  id: 5,
+  status: 'pending',
+  summary: 'Class party',
+  task_types: ['event'],
+  event_time: new Date('2025-07-04T14:00:00Z'),
+  amount: null,
+  link: null,
+  confidence: '0.90',
+  original_text: 'Class party Friday 5pm'
+};
+
+describe('getEditChanges', () => {
+  test('returns only the fields the edit changed', () => {
+    const changes = messageEdits.getEditChanges(task, {
+      is_task: true,
+      summary: 'Class party',
+      types: ['event'],
+      event_time: '2025-07-05T14:00:00Z'
+    });
+
+    expect(Object.keys(changes)).toEqual(['event_time']);
+    expect(changes.event_time.toISOString()).toBe('2025-07-05T14:00:00.000Z');
+  });
+
+  test('clears fields the edited text no longer has', () => {
+    const changes = messageEdits.getEditChanges(
+      { ...task, amount: '50₪' },
+      { is_task: true, summary: 'Class party', types: ['event'], event_time: '2025-07-04T14:00:00Z' }
+    );
+    expect(changes).toEqual({ amount: null });
+  });
+});
+
+describe('applyMessageEdit', () => {
+  test('stores the new text and the changed fields with history', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 5 }] }) };
+    const { changes } = await messageEdits.applyMessageEdit(
+      pool, task, 'Class party Saturday 5pm',
+      { is_task: true, summary: 'Class party', types: ['event'], event_time: '2025-07-05T14:00:00Z', confidence: 0.95 },
+      { messageId: 'm1', changedBy: 'Dana' }
+    );
+
+    expect(Object.keys(changes)).toEqual(['event_time', 'original_text']);
+    expect(pool.query.mock.calls[0][0]).toContain('event_time = $2, original_text = $3, confidence = $4');
+    expect(pool.query.mock.calls[1][1][1]).toBe('edit');
+  });
+});
+
+describe('cancelTaskForMessage', () => {
+  test('cancels pending tasks only', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 5, status: 'cancelled' }] }) };
+    expect(await messageEdits.cancelTaskForMessage(pool, { ...task, status: 'completed' }, 'revoke')).toBeNull();
+    expect(pool.query).not.toHaveBeenCalled();
+
+    await messageEdits.cancelTaskForMessage(pool, task, 'revoke', { messageId: 'm1' });
+    expect(pool.query.mock.calls[1][1].slice(0, 2)).toEqual([5, 'revoke']);
+  });
+});
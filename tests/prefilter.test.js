@@ -0,0 +1,42 @@
+const prefilter = require('../prefilter');
+
+describe('scoreMessage', () => {
+  test('passes messages with enough task signals', () => {
+    expect(prefilter.scoreMessage('Meeting tomorrow at 3pm')).toEqual({
+      score: 5, signals: { time: 2, day: 1.5, event: 1.5 }, passed: true
+    });
+    expect(prefilter.scoreMessage('צריך להעביר 50 ש"ח לטיול').passed).toBe(true);
+    expect(prefilter.scoreMessage('Don’t forget the permission slip').signals).toEqual({ reminder: 2 });
+    expect(prefilter.scoreMessage('בוטל').signals).toEqual({ follow_up: 2 });
+  });
+
+  test('skips chatter that used to match any indicator', () => {
+    expect(prefilter.scoreMessage('How are you?')).toEqual({ score: 0.5, signals: { question: 0.5 }, passed: false });
+    expect(prefilter.scoreMessage('at least we tried, what a time').score).toBe(0);
+    expect(prefilter.scoreMessage('lol 100').passed).toBe(false);
+    expect(prefilter.scoreMessage('מה נשמע? 😂').passed).toBe(false);
+  });
+
+  test('uses the given threshold', () => {
+    expect(prefilter.scoreMessage('see you at the party').passed).toBe(false);
+    expect(prefilter.scoreMessage('see you at the party', { threshold: 1.5 }).passed).toBe(true);
+    expect(prefilter.scoreMessage('ok', { threshold: 0 }).passed).toBe(true);
+  });
+
+  test('adds chat keywords as a signal', () => {
+    expect(prefilter.scoreMessage('Homework for Sunday class', { keywords: ['homework'] }).signals.keyword).toBe(2);
+    expect(prefilter.scoreMessage('nice weather', { keywords: ['homework'] }).passed).toBe(false);
+  });
+});
+
+describe('getPrefilterStats', () => {
+  test('turns counts into numbers', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [
+      { chat_id: '123@g.us', chat_name: 'Class', messages: '40', passed: '8', analyzed: '8', tasks: '3', average_score: '1.25' }
+    ] }) };
+    expect(await prefilter.getPrefilterStats(pool, { days: 7 })).toEqual([
+      { chat_id: '123@g.us', chat_name: 'Class', messages: 40, passed: 8, analyzed: 8, tasks: 3, average_score: 1.25 }
+    ]);
+    expect(pool.query.mock.calls[0][1]).toEqual([7]);
+  });
+});
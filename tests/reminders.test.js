@@ -0,0 +1,38 @@
+const reminders = require('../reminders');
+
+describe('reminder offsets', () => {
+  test('parses minutes, hours and days', () => {
+    expect(reminders.parseOffset('30m')).toBe(30);
+    expect(reminders.parseOffset('2h')).toBe(120);
+    expect(reminders.parseOffset('1d')).toBe(1440);
+    expect(reminders.parseOffset('45')).toBe(45);
+    expect(reminders.parseOffset('0m')).toBeNull();
+    expect(reminders.parseOffset('soon')).toBeNull();
+  });
+
+  test('parses offset lists, longest first and without duplicates', () => {
+    expect(reminders.parseOffsetList('1h, 1d,60m')).toEqual([1440, 60]);
+    expect(() => reminders.parseOffsetList('1h,later')).toThrow('Invalid reminder offset "later"');
+    expect(() => reminders.parseOffsetList(' , ')).toThrow('No reminder offsets given');
+  });
+
+  test('formats offsets in the largest whole unit', () => {
+    expect(reminders.formatOffset(1440)).toBe('1 day');
+    expect(reminders.formatOffset(120)).toBe('2 hours');
+    expect(reminders.formatOffset(90)).toBe('90 minutes');
+  });
+});
+
+describe('claimDueReminders', () => {
+  test('returns claimed reminders with their task', async () => {
+    const pool = { query: jest.fn() };
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ reminder_id: 3, offset_minutes: 60, task_id: 7 }] })
+      .mockResolvedValueOnce({ rows: [{ id: 7, summary: 'Dentist' }] });
+
+    const due = await reminders.claimDueReminders(pool);
+    expect(due).toEqual([{ reminder_id: 3, offset_minutes: 60, task_id: 7, task: { id: 7, summary: 'Dentist' } }]);
+    expect(pool.query.mock.calls[1][0]).toContain('FOR UPDATE SKIP LOCKED');
+  });
+});
@@ -0,0 +1,73 @@
+const retryQueue = require('../retry-queue');
+
+describe('getRetryDelay', () => {
+  test('doubles after every failure up to the cap', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    expect([1, 2, 3, 4].map(attempts => retryQueue.getRetryDelay(attempts, options))).toEqual([1000, 2000, 4000, 5000]);
+    expect(retryQueue.getRetryDelay(1)).toBe(60 * 1000);
+  });
+});
+
+describe('enqueueRetry', () => {
+  test('stores the message with the first delay', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 1, attempts: 1 }] }) };
+    const retry = await retryQueue.enqueueRetry(pool, {
+      messageId: 'false_123@g.us_AAA', chatId: '123@g.us', chatName: 'Class', senderName: 'Dana',
+      text: 'Pay 50₪ by Sunday', timestamp: 1751540400
+    }, 'Task detection timeout', { baseDelayMs: 30000 });
+
+    expect(retry).toEqual({ id: 1, attempts: 1 });
+    expect(pool.query.mock.calls[0][0]).toContain('ON CONFLICT (message_id) DO NOTHING');
+    expect(pool.query.mock.calls[0][1]).toEqual([
+      'false_123@g.us_AAA', '123@g.us', 'Class', 'Dana', 'Pay 50₪ by Sunday', 1751540400, 'Task detection timeout', 30000, null, null, null
+    ]);
+  });
+
+  test('marks voice notes to be transcribed again', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 2 }] }) };
+    await retryQueue.enqueueRetry(pool, {
+      messageId: 'false_123@g.us_BBB', chatId: '123@g.us', chatName: 'Class', text: '', timestamp: 1751540400, mediaType: 'voice'
+    }, 'Transcription failed: socket hang up');
+    expect(pool.query.mock.calls[0][1][4]).toBe('');
+    expect(pool.query.mock.calls[0][1][8]).toBe('voice');
+  });
+
+  test('caps the messages skipped over the budget', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    expect(await retryQueue.enqueueRetry(pool, {
+      messageId: 'false_123@g.us_CCC', chatId: '123@g.us', chatName: 'Class', text: 'Trip on Sunday', timestamp: 1751540400, reason: 'budget'
+    }, 'LLM budget reached', { maxQueued: 50 })).toBeNull();
+    expect(pool.query.mock.calls[0][0]).toContain(`WHERE reason = $10::varchar AND status IN ('pending', 'processing')`);
+    expect(pool.query.mock.calls[0][1].slice(9)).toEqual(['budget', 50]);
+  });
+});
+
+describe('expireRetries', () => {
+  test('gives up budget skips that waited too long', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rowCount: 3 }) };
+    expect(await retryQueue.expireRetries(pool, 'budget', { maxAgeHours: 12 })).toBe(3);
+    expect(pool.query.mock.calls[0][0]).toContain(`SET status = 'expired'`);
+    expect(pool.query.mock.calls[0][1]).toEqual(['budget', 12]);
+  });
+});
+
+describe('recordRetryFailure', () => {
+  test('backs off while attempts remain', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 4, status: 'pending' }] }) };
+    await retryQueue.recordRetryFailure(pool, { id: 4, attempts: 2 }, 'LLM down', { maxAttempts: 5, baseDelayMs: 1000 });
+    expect(pool.query.mock.calls[0][1]).toEqual([4, 3, 'LLM down', 'pending', 4000]);
+  });
+
+  test('gives up after the last attempt', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 4, status: 'failed' }] }) };
+    await retryQueue.recordRetryFailure(pool, { id: 4, attempts: 4 }, 'LLM down', { maxAttempts: 5 });
+    expect(pool.query.mock.calls[0][1]).toEqual([4, 5, 'LLM down', 'failed', null]);
+  });
+});
+
+describe('getRetryStats', () => {
+  test('turns counts into numbers', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ pending: '2', processing: '0', failed: '1', done: '7', next_attempt_at: null }] }) };
+    expect(await retryQueue.getRetryStats(pool)).toEqual({ pending: 2, processing: 0, failed: 1, done: 7, next_attempt_at: null });
+  });
+});
@@ -0,0 +1,91 @@
+const reviewQueue = require('../review-queue');
+
+describe('needsReview', () => {
+  test('sends tasks below the threshold to review', () => {
+    expect(reviewQueue.needsReview(0.45, 0.6)).toBe(true);
+    expect(reviewQueue.needsReview('0.45', 0.6)).toBe(true);
+    expect(reviewQueue.needsReview(0.6, 0.6)).toBe(false);
+  });
+
+  test('keeps tasks without a confidence or with review turned off', () => {
+    expect(reviewQueue.needsReview(null, 0.6)).toBe(false);
+    expect(reviewQueue.needsReview(undefined, 0.6)).toBe(false);
+    expect(reviewQueue.needsReview(0.1, 0)).toBe(false);
+  });
+});
+
+describe('parseReviewReply', () => {
+  test('understands English, Hebrew and emoji answers', () => {
+    expect(reviewQueue.parseReviewReply(' Keep ')).toBe('keep');
+    expect(reviewQueue.parseReviewReply('מחק')).toBe('discard');
+    expect(reviewQueue.parseReviewReply('👍')).toBe('keep');
+    expect(reviewQueue.parseReviewReply('skip!')).toBe('skip');
+    expect(reviewQueue.parseReviewReply('stop')).toBe('stop');
+    expect(reviewQueue.parseReviewReply('keep the second one')).toBeNull();
+  });
+
+  test('keeps the one-letter aliases for /review <word>', () => {
+    expect(reviewQueue.parseReviewReply('k')).toBe('keep');
+    expect(reviewQueue.parseReviewReply('d')).toBe('discard');
+  });
+
+  test('a plain reply must say keep or discard', () => {
+    expect(reviewQueue.parseReviewReply('Keep', { plain: true })).toBe('keep');
+    expect(reviewQueue.parseReviewReply('מחק', { plain: true })).toBe('discard');
+    expect(reviewQueue.parseReviewReply('שמור!', { plain: true })).toBe('keep');
+    for (const text of ['yes', 'no', 'k', 'd', 'לא', '👍', 'stop']) {
+      expect(reviewQueue.parseReviewReply(text, { plain: true })).toBeNull();
+    }
+  });
+});
+
+describe('createReviewSessions', () => {
+  test('forgets a session nobody answered for a few minutes', () => {
+    let time = 0;
+    const sessions = reviewQueue.createReviewSessions({ ttlMs: 1000, now: () => time });
+    sessions.set('dana@c.us', { taskId: 5, skipIds: [] });
+
+    time = 900;
+    expect(sessions.get('dana@c.us')).toEqual({ taskId: 5, skipIds: [] });
+    sessions.set('dana@c.us', { taskId: 6, skipIds: [5] });
+    time = 1800;
+    expect(sessions.get('dana@c.us')).toEqual({ taskId: 6, skipIds: [5] });
+    time = 2901;
+    expect(sessions.get('dana@c.us')).toBeNull();
+  });
+});
+
+describe('review decisions', () => {
+  test('only change tasks still waiting for review', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    expect(await reviewQueue.keepReviewTask(pool, 5)).toBeNull();
+    expect(pool.query.mock.calls[0][0]).toContain(`status = 'needs_review'`);
+  });
+
+  test('record the decision as detection feedback', async () => {
+    const task = { id: 5, message_id: 'msg-5', chat_id: 'c', original_text: 'maybe tomorrow?', source: 'detected' };
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [task] }) };
+    expect(await reviewQueue.discardReviewTask(pool, 5)).toEqual(task);
+    expect(pool.query.mock.calls[1][0]).toContain('INSERT INTO detection_feedback');
+    expect(pool.query.mock.calls[1][1].slice(4, 7)).toEqual(['not_task', 'discarded', true]);
+  });
+
+  test('keep the decision when the feedback cannot be saved', async () => {
+    const task = { id: 5, message_id: 'msg-5', status: 'pending' };
+    const pool = { query: jest.fn()
+      .mockResolvedValueOnce({ rows: [task] })
+      .mockRejectedValueOnce(new Error('connection lost')) };
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(await reviewQueue.keepReviewTask(pool, 5)).toEqual(task);
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  test('leaves skipped tasks out of the next one', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ id: 9 }] }) };
+    expect(await reviewQueue.getNextReviewTask(pool, { skipIds: [4, 7] })).toEqual({ id: 9 });
+    expect(pool.query.mock.calls[0][1]).toEqual([[4, 7]]);
+  });
+});
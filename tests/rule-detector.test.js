@@ -0,0 +1,97 @@
+const ruleDetector = require('../rule-detector');
+
+// Thursday, July 3, 2025 11:00 in Israel (UTC+3)
+const sentAt = new Date('2025-07-03T08:00:00Z');
+const options = { sentAt, timeZone: 'Asia/Jerusalem' };
+
+describe('parseAmount', () => {
+  test('normalizes shekel and dollar amounts', () => {
+    expect(ruleDetector.parseAmount('לשלם 150 ש"ח לגננת')).toBe('150₪');
+    expect(ruleDetector.parseAmount('Pay ₪ 1,200 by Sunday')).toBe('1200₪');
+    expect(ruleDetector.parseAmount('It is 40 NIS per kid')).toBe('40₪');
+    expect(ruleDetector.parseAmount('Tickets are $25.50 each')).toBe('$25.50');
+    expect(ruleDetector.parseAmount('See you at 8')).toBeNull();
+  });
+});
+
+describe('parseEventTime', () => {
+  const eventTime = text => {
+    const result = ruleDetector.parseEventTime(text, sentAt, 'Asia/Jerusalem');
+    return result && result.date.toISOString();
+  };
+
+  test('understands Hebrew relative days and times', () => {
+    expect(eventTime('מחר ב-8 בבוקר')).toBe('2025-07-04T05:00:00.000Z');
+    expect(eventTime('מחרתיים בשעה 17:30')).toBe('2025-07-05T14:30:00.000Z');
+    expect(eventTime('אסיפה ביום שני ב8 בערב')).toBe('2025-07-07T17:00:00.000Z');
+  });
+
+  test('understands English weekdays, dates and times', () => {
+    expect(eventTime('next Monday 10:30')).toBe('2025-07-07T07:30:00.000Z');
+    expect(eventTime('Party on Thursday at 5pm')).toBe('2025-07-10T14:00:00.000Z');
+    expect(eventTime('Deadline 15/7')).toBe('2025-07-15T06:00:00.000Z');
+    expect(eventTime('Exam on March 2nd')).toBe('2026-03-02T07:00:00.000Z');
+  });
+
+  test('reads a dotted day and month without a year', () => {
+    expect(eventTime('Meeting on 3.7 at 10')).toBe('2025-07-03T07:00:00.000Z');
+    expect(eventTime('אסיפה ב-15.7 בשעה 18:00')).toBe('2025-07-15T15:00:00.000Z');
+    expect(eventTime('Costs 2.5 ₪')).toBeNull();
+  });
+
+  test('does not read decimals with a unit as dates', () => {
+    expect(eventTime('שיעור ב 2.5 שעות')).toBeNull();
+    expect(eventTime('The hike is 3.5 km')).toBeNull();
+    expect(eventTime('Class takes 1.5 hours')).toBeNull();
+    expect(eventTime('מרחק 1.5 ק"מ')).toBeNull();
+    expect(eventTime('להביא 2.5 ליטר מים')).toBeNull();
+  });
+
+  test('a time alone is the next time it happens', () => {
+    expect(eventTime('Meet at 14:00')).toBe('2025-07-03T11:00:00.000Z');
+    expect(eventTime('Meet at 9:00')).toBe('2025-07-04T06:00:00.000Z');
+  });
+
+  test('ignores numbers that are amounts', () => {
+    expect(eventTime('להעביר ב-50 ₪')).toBeNull();
+  });
+});
+
+describe('detectTaskRules', () => {
+  test('returns the LLM result shape', () => {
+    const result = ruleDetector.detectTaskRules('תזכורת: מחר ב-8 טקס סיום, להביא 20 ש"ח https://forms.gle/abc', options);
+    expect(result).toEqual({
+      is_task: true,
+      types: ['event', 'payment', 'reminder'],
+      summary: 'תזכורת: מחר ב-8 טקס סיום, להביא 20 ש"ח',
+      event_time: '2025-07-04T08:00:00',
+      amount: '20₪',
+      link: 'https://forms.gle/abc',
+      confidence: 0.8,
+      detector: 'rules'
+    });
+  });
+
+  test('a bare "at N" needs an event word', () => {
+    expect(ruleDetector.detectTaskRules('We were at 5 shops', options).is_task).toBe(false);
+    expect(ruleDetector.detectTaskRules('See you at 8pm', options).event_time).toBe('2025-07-03T20:00:00');
+    expect(ruleDetector.detectTaskRules('Meeting on 3.7 at 10', options)).toMatchObject({
+      types: ['event'],
+      event_time: '2025-07-03T10:00:00'
+    });
+  });
+
+  test('a lesson length is not a lesson date', () => {
+    expect(ruleDetector.detectTaskRules('שיעור ב 2.5 שעות', options).is_task).toBe(false);
+  });
+
+  test('rounds the confidence to two decimals', () => {
+    // event time + event word = 2 signals
+    expect(ruleDetector.detectTaskRules('Meeting tomorrow', options).confidence).toBe(0.6);
+  });
+
+  test('plain chatter is not a task', () => {
+    expect(ruleDetector.detectTaskRules('Haha great photo', options)).toEqual({ is_task: false, detector: 'rules' });
+    expect(ruleDetector.detectTaskRules('It was a fun day today', options).is_task).toBe(false);
+  });
+});
@@ -0,0 +1,29 @@
+const search = require('../search');
+
+describe('tokenizeSearch', () => {
+  test('keeps letters and digits only, lowercased and unique', () => {
+    expect(search.tokenizeSearch("Dentist's  appt, DENTIST 10:30!")).toEqual(['dentist', 'appt', '10', '30']);
+    expect(search.tokenizeSearch('רופא & שיניים')).toEqual(['רופא', 'שיניים']);
+    expect(search.tokenizeSearch(":* | !")).toEqual([]);
+  });
+});
+
+describe('stripHebrewPrefix', () => {
+  test('removes prefix letters only when a real word remains', () => {
+    expect(search.stripHebrewPrefix('לרופא')).toBe('רופא');
+    expect(search.stripHebrewPrefix('ומחר')).toBe('מחר');
+    expect(search.stripHebrewPrefix('שבת')).toBe('שבת');
+    expect(search.stripHebrewPrefix('dentist')).toBe('dentist');
+  });
+});
+
+describe('buildSearchQuery', () => {
+  test('builds one parameterised group per word', () => {
+    const query = search.buildSearchQuery(['dentist', 'לרופא'], 3);
+    expect(query.text).toBe(
+      "(plainto_tsquery('english', $3) || to_tsquery('simple', $4)) && " +
+      "(plainto_tsquery('english', $5) || to_tsquery('simple', $6))"
+    );
+    expect(query.values).toEqual(['dentist', 'dentist:*', 'לרופא', 'לרופא:* | רופא:*']);
+  });
+});
@@ -0,0 +1,80 @@
+const taskActions = require('../task-actions');
+
+function createPool(rows = [{ id: 1 }]) {
+  return { query: jest.fn().mockResolvedValue({ rows }) };
+}
+
+describe('normalizeTaskEdit', () => {
+  test('maps field aliases to columns', () => {
+    expect(taskActions.normalizeTaskEdit('title', 'Dentist')).toEqual({ column: 'summary', value: 'Dentist' });
+    expect(taskActions.normalizeTaskEdit('amount', '150₪')).toEqual({ column: 'amount', value: '150₪' });
+  });
+
+  test('parses event times and clears them with "none"', () => {
+    const edit = taskActions.normalizeTaskEdit('time', '2025-07-03 15:30');
+    expect(edit.column).toBe('event_time');
+    expect(edit.value).toBeInstanceOf(Date);
+    expect(taskActions.normalizeTaskEdit('when', 'none')).toEqual({ column: 'event_time', value: null });
+  });
+
+  test('validates task types', () => {
+    expect(taskActions.normalizeTaskEdit('type', 'event, payment')).toEqual({ column: 'task_types', value: ['event', 'payment'] });
+    expect(() => taskActions.normalizeTaskEdit('type', 'chore')).toThrow('Unknown task type');
+  });
+
+  test('rejects unknown fields, empty summaries and bad dates', () => {
+    expect(() => taskActions.normalizeTaskEdit('status', 'done')).toThrow('Unknown field');
+    expect(() => taskActions.normalizeTaskEdit('summary', '  ')).toThrow('Summary cannot be empty');
+    expect(() => taskActions.normalizeTaskEdit('time', 'someday')).toThrow('Invalid date');
+  });
+});
+
+describe('task mutations', () => {
+  test('editTask builds a parameterised update', async () => {
+    const pool = createPool();
+    await taskActions.editTask(pool, 7, { summary: 'Pay gan', amount: '200₪' });
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toContain('summary = $2, amount = $3');
+    expect(params).toEqual([7, 'Pay gan', '200₪']);
+  });
+
+  test('editTask requires at least one change', async () => {
+    await expect(taskActions.editTask(createPool(), 7, {})).rejects.toThrow('No changes provided');
+  });
+
+  test('returns null when the task does not exist', async () => {
+    const pool = createPool([]);
+    expect(await taskActions.completeTask(pool, 99)).toBeNull();
+    expect(await taskActions.reopenTask(pool, 99)).toBeNull();
+    expect(await taskActions.deleteTask(pool, 99)).toBeNull();
+  });
+
+  test('completeTask only changes pending tasks', async () => {
+    const pool = createPool([]);
+    expect(await taskActions.completeTask(pool, 7)).toBeNull();
+    expect(pool.query.mock.calls[0][0]).toContain(`AND COALESCE(status, 'pending') = 'pending'`);
+  });
+
+  test.each([
+    ['completed', 'is already completed'],
+    ['cancelled', 'was cancelled'],
+    ['discarded', 'was discarded in review'],
+    ['needs_review', 'is waiting for review'],
+    ['duplicate', 'is a duplicate of another task']
+  ])('a %s task cannot be completed', (status, reason) => {
+    expect(taskActions.getCompletionBlock({ id: 7, status })).toContain(reason);
+  });
+
+  test('a pending task can be completed', () => {
+    expect(taskActions.getCompletionBlock({ id: 7, status: 'pending' })).toBeNull();
+    expect(taskActions.getCompletionBlock({ id: 7, status: null })).toBeNull();
+  });
+
+  test('deleteTask puts copies of the same message back in the pending list, not merged tasks', async () => {
+    const pool = createPool([{ id: 7 }]);
+    expect(await taskActions.deleteTask(pool, 7)).toEqual({ id: 7 });
+    expect(pool.query.mock.calls[0][0]).toMatch(
+      /SET status = 'pending', canonical_task_id = NULL\s+WHERE canonical_task_id = \(SELECT id FROM deleted\) AND status = 'duplicate'\s+AND fingerprint = \(SELECT fingerprint FROM deleted\)/
+    );
+  });
+});
@@ -0,0 +1,77 @@
+const taskFilters = require('../task-filters');
+
+const now = new Date('2025-07-10T12:00:00Z');
+
+describe('parseFilterText', () => {
+  test('reads key:value pairs including quoted values', () => {
+    const { raw, errors } = taskFilters.parseFilterText(' chat:"Family Chat" type:payment since:7d');
+    expect(raw).toEqual({ chat: 'Family Chat', type: 'payment', since: '7d' });
+    expect(errors).toEqual([]);
+  });
+
+  test('reports words that are not filters', () => {
+    const { errors } = taskFilters.parseFilterText('dentist type:event');
+    expect(errors[0]).toContain('Unexpected "dentist"');
+  });
+});
+
+describe('normalizeTaskFilters', () => {
+  test('validates types and statuses and resolves dates', () => {
+    const { filters, errors } = taskFilters.normalizeTaskFilters(
+      { type: 'Payment', status: 'pending', since: '7d', until: '2025-07-09' },
+      { now, timeZone: 'UTC' }
+    );
+    expect(errors).toEqual([]);
+    expect(filters.type).toBe('payment');
+    expect(filters.status).toBe('pending');
+    expect(filters.since.toISOString()).toBe('2025-07-03T12:00:00.000Z');
+    expect(filters.until.toISOString()).toBe('2025-07-09T00:00:00.000Z');
+  });
+
+  test('accepts cancelled, review and all statuses', () => {
+    expect(taskFilters.normalizeTaskFilters({ status: 'Cancelled' }).filters).toEqual({ status: 'cancelled' });
+    expect(taskFilters.normalizeTaskFilters({ status: 'needs_review' }).filters).toEqual({ status: 'needs_review' });
+    expect(taskFilters.normalizeTaskFilters({ status: 'all' }).filters).toEqual({ status: 'all' });
+  });
+
+  test('collects errors for unknown keys and bad values', () => {
+    const { errors } = taskFilters.normalizeTaskFilters({ colour: 'red', type: 'chore', since: 'ages' }, { now });
+    expect(errors).toHaveLength(3);
+  });
+});
+
+describe('buildTaskQuery', () => {
+  test('parameterises every filter', () => {
+    const since = new Date('2025-07-03T12:00:00Z');
+    const query = taskFilters.buildTaskQuery(
+      { chat: 'Family', type: 'payment', from: 'Dana', since, status: 'pending' },
+      { limit: 20 }
+    );
+    expect(query.text).toBe(
+      'SELECT * FROM tasks WHERE is_task = true AND (chat_name ILIKE $1 OR chat_id = $2) ' +
+      'AND $3 = ANY(task_types) AND sender_name ILIKE $4 AND created_at >= $5 AND status = $6 ' +
+      'ORDER BY created_at DESC LIMIT $7'
+    );
+    expect(query.values).toEqual(['%Family%', 'Family', 'payment', '%Dana%', since, 'pending', 20]);
+  });
+
+  test('hides cancelled, discarded and unreviewed tasks unless a status is given', () => {
+    expect(taskFilters.buildTaskQuery({}).text).toContain(
+      `COALESCE(status, 'pending') NOT IN ('cancelled', 'needs_review', 'discarded', 'duplicate')`
+    );
+    const all = taskFilters.buildTaskQuery({ status: 'all' });
+    expect(all.text).not.toContain('status');
+    expect(all.values).toEqual([]);
+  });
+
+  test('matches %, _ and \\ in chat and sender names literally', () => {
+    const query = taskFilters.buildTaskQuery({ chat: '100%_parents', from: 'a\\b' });
+    expect(query.values).toEqual(['%100\\%\\_parents%', '100%_parents', '%a\\\\b%']);
+  });
+
+  test('an exact chat id wins over a chat name', () => {
+    const query = taskFilters.buildTaskQuery({ chat: 'Family', chatId: '123@g.us' });
+    expect(query.text).toContain('chat_id = $1');
+    expect(query.values).toEqual(['123@g.us']);
+  });
+});
@@ -0,0 +1,42 @@
+const taskListing = require('../task-listing');
+
+const TASKS = [
+  { id: 11, status: 'pending', summary: 'Pay for trip' },
+  { id: 12, status: 'completed', summary: 'Sign form' },
+  { id: 13, status: 'pending', summary: 'Parents meeting' },
+  { id: 14, status: 'completed', summary: 'Buy gift' }
+];
+
+describe('getListingSections', () => {
+  test('numbers the completed section after the pending one', () => {
+    const [pending, completed] = taskListing.getListingSections(TASKS, '🎯 All Your Tasks');
+    expect(pending.entries.map(({ number, task }) => [number, task.id])).toEqual([[1, 11], [2, 13]]);
+    expect(completed.entries.map(({ number, task }) => [number, task.id])).toEqual([[3, 12], [4, 14]]);
+  });
+
+  test('keeps other lists in one section', () => {
+    const sections = taskListing.getListingSections(TASKS.slice(0, 2), '⏳ Pending Tasks');
+    expect(sections).toHaveLength(1);
+    expect(sections[0].entries.map(entry => entry.number)).toEqual([1, 2]);
+  });
+});
+
+describe('createTaskListings', () => {
+  test('/tasks then /undo N resolves the completed task shown as #N', () => {
+    const listings = taskListing.createTaskListings();
+    const sections = taskListing.getListingSections(TASKS, '🎯 All Your Tasks');
+    listings.remember('dana@c.us', sections.flatMap(section => section.entries));
+
+    const shown = sections[1].entries.find(entry => entry.task.id === 12);
+    expect(listings.resolve('dana@c.us', shown.number)).toEqual({ taskId: 12 });
+    expect(listings.resolve('dana@c.us', 1)).toEqual({ taskId: 11 });
+  });
+
+  test('rejects numbers that were not shown and users without a list', () => {
+    const listings = taskListing.createTaskListings();
+    listings.remember('dana@c.us', taskListing.numberTasks(TASKS.slice(0, 2)));
+    expect(listings.resolve('dana@c.us', 3).error).toMatch('Use 1-2');
+    expect(listings.resolve('dana@c.us', NaN).error).toMatch('Invalid task number');
+    expect(listings.resolve('avi@c.us', 1).error).toMatch('No task list');
+  });
+});
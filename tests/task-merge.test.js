@@ -0,0 +1,127 @@
+const taskMerge = require('../task-merge');
+
+const trip = { id: 1, chat_id: 'class@g.us', summary: 'Class trip payment', event_time: '2025-07-20T09:00:00Z', amount: '50 ₪', link: null };
+const reminder = { id: 2, chat_id: 'class@g.us', summary: 'Reminder: pay for the class trip', event_time: null, amount: '₪50', link: null };
+const meeting = { id: 3, chat_id: 'class@g.us', summary: 'Parents meeting', event_time: '2025-07-20T18:00:00Z', amount: null, link: null };
+
+describe('getSummarySimilarity', () => {
+  test('compares the words that name the event', () => {
+    expect(taskMerge.getSummarySimilarity('Class trip payment', 'Pay for the class trip')).toBeCloseTo(2 / 4);
+    expect(taskMerge.getSummarySimilarity('תשלום לטיול', 'תזכורת: תשלום טיול')).toBe(1);
+    expect(taskMerge.getSummarySimilarity('Parents meeting', 'Class trip payment')).toBe(0);
+    expect(taskMerge.getSummarySimilarity('Reminder', 'Class trip')).toBe(0);
+  });
+
+  test('ignores numbers and needs two shared words', () => {
+    expect(taskMerge.getSummarySimilarity('Pay 50 for trip', 'Pay 50 for gift')).toBe(0);
+    expect(taskMerge.getSummarySimilarity('Pay', 'Pay for the class trip')).toBe(0);
+    expect(taskMerge.getSummarySimilarity('Trip', 'trip!')).toBe(1);
+  });
+});
+
+describe('scoreTaskPair', () => {
+  test('adds bonuses for close times and equal amounts', () => {
+    expect(taskMerge.scoreTaskPair(trip, reminder)).toBeCloseTo(2 / 4 + 0.3);
+    expect(taskMerge.scoreTaskPair(trip, { ...trip, id: 4, event_time: '2025-07-20T10:30:00Z' })).toBeCloseTo(1.8);
+  });
+
+  test('gives no amount bonus when the amount is all they share', () => {
+    const payments = ['Pay 50 for trip', 'Pay 50 for gift', 'Pay 50 for class party']
+      .map((summary, index) => ({ id: 10 + index, chat_id: 'class@g.us', summary, event_time: null, amount: '50' }));
+    expect(taskMerge.scoreTaskPair(payments[0], payments[1])).toBe(0);
+    expect(taskMerge.findMergeCandidates(payments)).toEqual([]);
+  });
+
+  test('never pairs tasks from other chats, far apart or with other amounts', () => {
+    expect(taskMerge.scoreTaskPair(trip, { ...trip, id: 4, chat_id: 'other@g.us' })).toBeNull();
+    expect(taskMerge.scoreTaskPair(trip, { ...trip, id: 4, event_time: '2025-07-21T09:00:00Z' })).toBeNull();
+    expect(taskMerge.scoreTaskPair(trip, { ...trip, id: 4, amount: '80' })).toBeNull();
+    expect(taskMerge.scoreTaskPair(trip, { ...trip, id: 4, event_time: '2025-07-20T14:00:00Z' }, { timeWindowHours: 6 })).not.toBeNull();
+  });
+});
+
+describe('findMergeCandidates', () => {
+  test('groups matching tasks and keeps the most complete one', () => {
+    expect(taskMerge.findMergeCandidates([reminder, meeting, trip])).toEqual([
+      { chat_id: 'class@g.us', task_ids: [1, 2], canonical_task_id: 1, score: 0.8 }
+    ]);
+    expect(taskMerge.findMergeCandidates([trip, meeting])).toEqual([]);
+  });
+
+  test('chains tasks that match through a third one', () => {
+    const link = { ...reminder, id: 5, summary: 'Class trip' };
+    const candidates = taskMerge.findMergeCandidates([trip, reminder, link]);
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0].task_ids).toEqual([1, 2, 5]);
+  });
+});
+
+describe('pickCanonicalTask', () => {
+  test('prefers more details, then the oldest task', () => {
+    expect(taskMerge.pickCanonicalTask([reminder, trip]).id).toBe(1);
+    expect(taskMerge.pickCanonicalTask([{ ...reminder, id: 7 }, reminder]).id).toBe(2);
+  });
+});
+
+describe('mergeTasks', () => {
+  test('fills gaps, keeps every source message and records the merge', async () => {
+    const pool = { query: jest.fn()
+      .mockResolvedValueOnce({ rows: [
+        { ...trip, message_id: 'msg-1', chat_name: 'Class', task_types: ['event'], link: null },
+        { ...reminder, message_id: 'msg-2', chat_name: 'Class', task_types: ['payment'], link: 'https://pay.example' }
+      ] })
+      .mockResolvedValue({ rows: [{ id: 1 }] }) };
+
+    const result = await taskMerge.mergeTasks(pool, 1, [1, 2], { changedBy: 'Dana' });
+    expect(result.merged_task_ids).toEqual([2]);
+    expect(pool.query.mock.calls[1][1]).toEqual([
+      1, trip.event_time, '50 ₪', 'https://pay.example', ['event', 'payment'], ['msg-1', 'msg-2'], ['Class']
+    ]);
+    expect(pool.query.mock.calls[2][1]).toEqual([1, [2]]);
+    expect(pool.query.mock.calls[4][1][1]).toBe('merge');
+  });
+
+  test('does nothing when fewer than two tasks are still open', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [trip] }) };
+    expect(await taskMerge.mergeTasks(pool, 1, [1, 2])).toBeNull();
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('acceptMergeSuggestion', () => {
+  const suggestion = { id: 9, task_ids: [1, 2], canonical_task_id: 1, status: 'merged' };
+
+  function createPool(client) {
+    return { connect: jest.fn().mockResolvedValue(client) };
+  }
+
+  test('claims the suggestion and merges in one transaction', async () => {
+    const client = { release: jest.fn(), query: jest.fn(async text => {
+      if (text.includes('UPDATE merge_suggestions')) return { rows: [suggestion] };
+      if (text.includes('FOR UPDATE')) return { rows: [{ ...trip, message_id: 'msg-1' }, { ...reminder, message_id: 'msg-2' }] };
+      return { rows: [{ id: 1 }] };
+    }) };
+
+    const result = await taskMerge.acceptMergeSuggestion(createPool(client), 9);
+    expect(result.merged_task_ids).toEqual([2]);
+    const statements = client.query.mock.calls.map(([text]) => text.trim());
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements[statements.length - 1]).toBe('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('rolls back when a step fails', async () => {
+    const client = { release: jest.fn(), query: jest.fn(async text => {
+      if (text.includes('UPDATE merge_suggestions')) return { rows: [suggestion] };
+      if (text.includes('FOR UPDATE')) return { rows: [trip, reminder] };
+      if (text.includes("status = 'duplicate'")) throw new Error('connection lost');
+      return { rows: [{ id: 1 }] };
+    }) };
+
+    await expect(taskMerge.acceptMergeSuggestion(createPool(client), 9)).rejects.toThrow('connection lost');
+    const statements = client.query.mock.calls.map(([text]) => text.trim());
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
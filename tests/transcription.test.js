@@ -0,0 +1,100 @@
+const fs = require('fs');
+const transcription = require('../transcription');
+
+const VOICE_NOTE = { mimetype: 'audio/ogg; codecs=opus', data: Buffer.from('OggS voice').toString('base64') };
+
+describe('resolveTranscriptionConfig', () => {
+  test('is off unless a provider is set', () => {
+    expect(transcription.resolveTranscriptionConfig({}).provider).toBeNull();
+    expect(transcription.resolveTranscriptionConfig({ TRANSCRIPTION_PROVIDER: 'none' }).provider).toBeNull();
+  });
+
+  test('defaults to OpenAI whisper-1 with the OpenAI key', () => {
+    const config = transcription.resolveTranscriptionConfig({ TRANSCRIPTION_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' });
+    expect(config).toMatchObject({
+      provider: 'openai-compatible',
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'whisper-1',
+      apiKey: 'sk-test',
+      language: null,
+      timeoutMs: 60000,
+      maxSeconds: 300
+    });
+  });
+
+  test('reads the whisper.cpp binary and model', () => {
+    const config = transcription.resolveTranscriptionConfig({
+      TRANSCRIPTION_PROVIDER: 'whisper.cpp', WHISPER_CPP_MODEL: '/models/ggml-small.bin', VOICE_NOTE_MAX_SECONDS: '0'
+    });
+    expect(config.provider).toBe('whisper-cpp');
+    expect(config.whisperBinary).toBe('whisper-cli');
+    expect(config.maxSeconds).toBe(0);
+    expect(transcription.getTranscriptionModel(config)).toBe('ggml-small.bin');
+  });
+
+  test('only sends the OpenAI key to OpenAI', () => {
+    const env = { TRANSCRIPTION_PROVIDER: 'openai-compatible', OPENAI_API_KEY: 'sk-test' };
+    expect(transcription.resolveTranscriptionConfig({ ...env, TRANSCRIPTION_BASE_URL: 'http://localhost:8000/v1' }).apiKey).toBeNull();
+    expect(transcription.resolveTranscriptionConfig({
+      ...env, TRANSCRIPTION_BASE_URL: 'http://localhost:8000/v1', TRANSCRIPTION_API_KEY: 'local'
+    }).apiKey).toBe('local');
+  });
+});
+
+describe('isVoiceNote', () => {
+  test('matches voice notes and audio files with media', () => {
+    expect(transcription.isVoiceNote({ type: 'ptt', hasMedia: true })).toBe(true);
+    expect(transcription.isVoiceNote({ type: 'audio', hasMedia: true })).toBe(true);
+    expect(transcription.isVoiceNote({ type: 'ptt', hasMedia: false })).toBe(false);
+    expect(transcription.isVoiceNote({ type: 'image', hasMedia: true })).toBe(false);
+  });
+});
+
+describe('createTranscriber', () => {
+  test('posts the audio to an OpenAI-compatible endpoint', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ text: ' Trip on Sunday, bring 50 shekels ' }) });
+    const config = transcription.resolveTranscriptionConfig({
+      TRANSCRIPTION_PROVIDER: 'openai-compatible', TRANSCRIPTION_BASE_URL: 'http://localhost:8000/v1/', TRANSCRIPTION_LANGUAGE: 'he'
+    });
+    const transcriber = transcription.createTranscriber(config, { fetch });
+
+    expect(await transcriber.transcribe(VOICE_NOTE)).toBe('Trip on Sunday, bring 50 shekels');
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8000/v1/audio/transcriptions');
+    expect(init.body.get('model')).toBe('whisper-1');
+    expect(init.body.get('language')).toBe('he');
+    expect(init.body.get('file').name).toBe('voice-note.ogg');
+  });
+
+  test('reports API errors', async () => {
+    const fetch = jest.fn().mockResolvedValue({ ok: false, status: 401, json: async () => ({ error: { message: 'Invalid key' } }) });
+    const transcriber = transcription.createTranscriber(transcription.resolveTranscriptionConfig({ TRANSCRIPTION_PROVIDER: 'openai' }), { fetch });
+    await expect(transcriber.transcribe(VOICE_NOTE)).rejects.toThrow('Transcription API 401: Invalid key');
+  });
+
+  test('converts the note with ffmpeg and reads the whisper.cpp transcript', async () => {
+    const calls = [];
+    const execFile = jest.fn(async (file, args) => {
+      calls.push([file, args]);
+      if (file === 'whisper-cli') {
+        fs.writeFileSync(`${args[args.indexOf('-of') + 1]}.txt`, ' טיול ביום ראשון\n להביא 50 ש"ח \n');
+      }
+      return { stdout: '', stderr: '' };
+    });
+    const config = transcription.resolveTranscriptionConfig({ TRANSCRIPTION_PROVIDER: 'whisper-cpp', WHISPER_CPP_MODEL: '/models/ggml-small.bin' });
+    const transcriber = transcription.createTranscriber(config, { execFile });
+
+    expect(await transcriber.transcribe(VOICE_NOTE)).toBe('טיול ביום ראשון להביא 50 ש"ח');
+    expect(calls.map(([file]) => file)).toEqual(['ffmpeg', 'whisper-cli']);
+    expect(calls[0][1]).toEqual(expect.arrayContaining(['-ar', '16000', '-ac', '1']));
+    expect(calls[1][1]).toEqual(expect.arrayContaining(['-m', '/models/ggml-small.bin', '-l', 'auto']));
+    // The temporary directory is removed
+    expect(fs.existsSync(calls[1][1][calls[1][1].indexOf('-f') + 1])).toBe(false);
+  });
+
+  test('needs a whisper.cpp model', async () => {
+    const transcriber = transcription.createTranscriber(
+      transcription.resolveTranscriptionConfig({ TRANSCRIPTION_PROVIDER: 'whisper-cpp' }), { execFile: jest.fn() });
+    await expect(transcriber.transcribe(VOICE_NOTE)).rejects.toThrow('WHISPER_CPP_MODEL is not set');
+  });
+});
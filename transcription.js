@@ -0,0 +1,219 @@
+// Speech-to-text for voice notes, which arrive without a message body. Providers: any
+// OpenAI-compatible /audio/transcriptions endpoint (OpenAI's whisper-1, a local
+// faster-whisper or LocalAI server) or a local whisper.cpp binary, fed a 16 kHz WAV made
+// with ffmpeg. Settings come from TRANSCRIPTION_* env vars; transcription is off unless
+// TRANSCRIPTION_PROVIDER is set. Transcripts are stored in message_transcripts, so a
+// voice note is only transcribed once and its task can say it came from a voice note.
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const TRANSCRIPTION_PROVIDERS = ['openai-compatible', 'whisper-cpp'];
+
+// WhatsApp voice notes are 'ptt' (push to talk); 'audio' is a forwarded or attached audio file
+const VOICE_MESSAGE_TYPES = ['ptt', 'audio'];
+
+const PROVIDER_DEFAULTS = {
+    'openai-compatible': { baseUrl: 'https://api.openai.com/v1', model: 'whisper-1' },
+    'whisper-cpp': { binary: 'whisper-cli', ffmpeg: 'ffmpeg' }
+};
+
+const AUDIO_EXTENSIONS = {
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/aac': 'aac',
+    'audio/wav': 'wav',
+    'audio/webm': 'webm'
+};
+
+function normalizeTranscriptionProvider(value) {
+    const provider = String(value || '').trim().toLowerCase();
+    if (provider === 'openai' || provider === 'whisper-api') {
+        return 'openai-compatible';
+    }
+    if (provider === 'whisper.cpp' || provider === 'whispercpp' || provider === 'whisper') {
+        return 'whisper-cpp';
+    }
+    return TRANSCRIPTION_PROVIDERS.includes(provider) ? provider : null;
+}
+
+// env -> { provider, baseUrl, model, apiKey, language, timeoutMs, whisperBinary, whisperModel,
+// ffmpegPath, maxSeconds }. provider is null when transcription is off. OPENAI_API_KEY is
+// only sent to OpenAI's own API; any other TRANSCRIPTION_BASE_URL needs TRANSCRIPTION_API_KEY.
+function resolveTranscriptionConfig(env) {
+    const provider = normalizeTranscriptionProvider(env.TRANSCRIPTION_PROVIDER);
+    const defaults = { ...PROVIDER_DEFAULTS['openai-compatible'], ...PROVIDER_DEFAULTS['whisper-cpp'] };
+    const timeoutMs = parseInt(env.TRANSCRIPTION_TIMEOUT);
+    const baseUrl = String(env.TRANSCRIPTION_BASE_URL || defaults.baseUrl).replace(/\/+$/, '');
+
+    return {
+        provider,
+        baseUrl,
+        model: env.TRANSCRIPTION_MODEL || defaults.model,
+        apiKey: env.TRANSCRIPTION_API_KEY || (baseUrl === defaults.baseUrl ? env.OPENAI_API_KEY : null) || null,
+        // null lets the provider detect the language (Hebrew and English notes in one chat)
+        language: env.TRANSCRIPTION_LANGUAGE || null,
+        timeoutMs: isNaN(timeoutMs) || timeoutMs <= 0 ? 60000 : timeoutMs,
+        whisperBinary: env.WHISPER_CPP_PATH || defaults.binary,
+        whisperModel: env.WHISPER_CPP_MODEL || null,
+        ffmpegPath: env.FFMPEG_PATH || defaults.ffmpeg,
+        maxSeconds: env.VOICE_NOTE_MAX_SECONDS !== undefined
+            ? Math.max(parseInt(env.VOICE_NOTE_MAX_SECONDS) || 0, 0)
+            : 300
+    };
+}
+
+function isVoiceNote(message) {
+    return !!message && !!message.hasMedia && VOICE_MESSAGE_TYPES.includes(message.type);
+}
+
+// Model name stored with each transcript: the ggml file name for whisper.cpp
+function getTranscriptionModel(config) {
+    return config.provider === 'whisper-cpp' ? path.basename(config.whisperModel || '') || null : config.model;
+}
+
+// "audio/ogg; codecs=opus" -> "ogg"
+function getAudioExtension(mimetype) {
+    const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+    return AUDIO_EXTENSIONS[type] || 'ogg';
+}
+
+async function transcribeWithEndpoint(config, media, fetchImpl) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+    try {
+        const form = new FormData();
+        const mimetype = String(media.mimetype || 'audio/ogg').split(';')[0].trim();
+        form.append('file', new Blob([Buffer.from(media.data, 'base64')], { type: mimetype }),
+            media.filename || `voice-note.${getAudioExtension(mimetype)}`);
+        form.append('model', config.model);
+        form.append('response_format', 'json');
+        if (config.language) {
+            form.append('language', config.language);
+        }
+
+        const response = await fetchImpl(`${config.baseUrl}/audio/transcriptions`, {
+            method: 'POST',
+            // Local servers usually accept any key
+            headers: { authorization: `Bearer ${config.apiKey || 'not-needed'}` },
+            body: form,
+            signal: controller.signal
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`Transcription API ${response.status}: ${data.error ? data.error.message || data.error : 'request failed'}`);
+        }
+        return String(data.text || '').trim();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Transcription timed out after ${config.timeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// whisper.cpp only reads 16 kHz WAV, so the note is converted with ffmpeg first. Both run
+// in a temporary directory that is removed afterwards.
+async function transcribeWithWhisperCpp(config, media, execFileImpl) {
+    if (!config.whisperModel) {
+        throw new Error('WHISPER_CPP_MODEL is not set');
+    }
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-note-'));
+    try {
+        const input = path.join(dir, `input.${getAudioExtension(media.mimetype)}`);
+        const wav = path.join(dir, 'input.wav');
+        const output = path.join(dir, 'transcript');
+        await fs.writeFile(input, Buffer.from(media.data, 'base64'));
+
+        await execFileImpl(config.ffmpegPath,
+            ['-y', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav],
+            { timeout: config.timeoutMs });
+        await execFileImpl(config.whisperBinary,
+            ['-m', config.whisperModel, '-f', wav, '-l', config.language || 'auto', '-nt', '-otxt', '-of', output],
+            { timeout: config.timeoutMs });
+
+        return (await fs.readFile(`${output}.txt`, 'utf8')).replace(/\s+/g, ' ').trim();
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+// -> { config, transcribe(media) -> text }. media is a whatsapp-web.js MessageMedia
+// ({ mimetype, data: base64, filename }). An empty string means nothing was said.
+function createTranscriber(config, { fetch: fetchImpl = globalThis.fetch, execFile: execFileImpl = promisify(execFile) } = {}) {
+    if (config.provider === 'whisper-cpp') {
+        return {
+            config,
+            transcribe: media => transcribeWithWhisperCpp(config, media, execFileImpl)
+        };
+    }
+    return {
+        config,
+        transcribe: media => transcribeWithEndpoint(config, media, fetchImpl)
+    };
+}
+
+async function getTranscript(pool, messageId) {
+    const result = await pool.query('SELECT * FROM message_transcripts WHERE message_id = $1', [messageId]);
+    return result.rows[0] || null;
+}
+
+// entry: { messageId, chatId, mediaType, mimetype, durationSeconds, provider, model, transcript, error }
+async function saveTranscript(pool, entry) {
+    const result = await pool.query(`
+        INSERT INTO message_transcripts (
+            message_id, chat_id, media_type, mimetype, duration_seconds, provider, model, transcript, error
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (message_id) DO UPDATE SET
+            transcript = EXCLUDED.transcript,
+            error = EXCLUDED.error,
+            created_at = CURRENT_TIMESTAMP
+        RETURNING *
+    `, [
+        entry.messageId,
+        entry.chatId || null,
+        entry.mediaType || 'voice',
+        entry.mimetype || null,
+        entry.durationSeconds ?? null,
+        entry.provider || null,
+        entry.model || null,
+        entry.transcript ?? null,
+        entry.error || null
+    ]);
+    return result.rows[0] || null;
+}
+
+// Transcribed and failed voice notes for /status
+async function getTranscriptionStats(pool) {
+    const result = await pool.query(`
+        SELECT COUNT(*) FILTER (WHERE error IS NULL) AS transcribed,
+               COUNT(*) FILTER (WHERE error IS NOT NULL) AS failed
+        FROM message_transcripts
+    `);
+    return {
+        transcribed: parseInt(result.rows[0].transcribed) || 0,
+        failed: parseInt(result.rows[0].failed) || 0
+    };
+}
+
+module.exports = {
+    TRANSCRIPTION_PROVIDERS,
+    VOICE_MESSAGE_TYPES,
+    normalizeTranscriptionProvider,
+    resolveTranscriptionConfig,
+    isVoiceNote,
+    getTranscriptionModel,
+    getAudioExtension,
+    createTranscriber,
+    getTranscript,
+    saveTranscript,
+    getTranscriptionStats
+};